@@ -1,24 +1,74 @@
 // src/App.js
-import React, { useEffect, useState, useMemo } from "react";
+import React, { useEffect, useState, useMemo, useRef, useId } from "react";
 import "leaflet/dist/leaflet.css";
 import "./App.css";
-import { MapContainer, TileLayer, Marker, Popup } from "react-leaflet";
-import { auth, googleProvider } from "./firebase";
-import { onAuthStateChanged, signInWithPopup, signOut } from "firebase/auth";
-import { db, storage } from "./firebase";
+import { MapContainer, TileLayer, Marker, Popup, Polyline, CircleMarker, Tooltip, useMap, useMapEvents } from "react-leaflet";
+import MarkerClusterGroup from "react-leaflet-cluster";
+import { getRepository } from "./repository";
+import exifr from "exifr";
+import { EXPORT_FORMATS, downloadFile } from "./exporters";
+import { IMPORT_ACCEPT, IMPORT_FIELDS, readImportFile, guessMapping, validateImportRow } from "./importers";
 import {
-  collection,
-  onSnapshot,
-  addDoc,
-  GeoPoint,
-  serverTimestamp,
-  deleteDoc,
-  doc,
-  updateDoc,
-  query,
-  orderBy,
-} from "firebase/firestore";
-import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+  ROLES,
+  ROLE_LABELS,
+  DEFAULT_ROLE,
+  NO_ACCESS_ROLE,
+  can,
+  roleKey,
+  useRole,
+  subscribeRoles,
+  assignRole,
+  removeRole,
+} from "./roles";
+import { useSyncStatus, isOnline, queuedWrite, queueUpload, flushUploads } from "./offline";
+import { MEMORY_SCHEMA_VERSION, readMemory, planMigration, normalizeColor, parseLatLng } from "./memorySchema";
+import { getGeocoder } from "./geocoder";
+import { URL_PUSH_DELAY_MS, readUrlState, writeUrlState } from "./urlState";
+import {
+  COMMENT_STATUS_LABELS,
+  MAX_AUTHOR_LENGTH,
+  MAX_COMMENT_LENGTH,
+  buildThreads,
+  commentStatus,
+  commentWaitMinutes,
+  countsAsVisible,
+  hasUnreadComments,
+  initialCommentStatus,
+  isUnreadComment,
+  recordCommentPosted,
+  visibleComments,
+} from "./comments";
+import {
+  MAX_STORY_STEPS,
+  MAX_STORY_TEXT_LENGTH,
+  MAX_STORY_TITLE_LENGTH,
+  STORY_STEP_MS,
+  cleanStory,
+  moveStep,
+  playableSteps,
+} from "./stories";
+import {
+  INVITE_ROLES,
+  INVITE_ROLE_LABELS,
+  MAIN_MAP_ID,
+  MAX_MAP_NAME_LENGTH,
+  inviteUrl,
+  isPrivateMap,
+  mapPath,
+  readInviteToken,
+  withoutInvite,
+} from "./maps";
+import {
+  DEFAULT_SITE_SETTINGS,
+  SETTINGS_LIMITS,
+  nextWelcomeVersion,
+  shouldShowWelcome,
+  validateSiteSettings,
+  withDefaults,
+} from "./siteSettings";
+import { parseRichText } from "./richText";
+import { TILE_PROVIDERS, pickTileProvider } from "./tileProviders";
+import { memoryStats, pathLengthKm } from "./stats";
 
 import L from "leaflet";
 import icon from "leaflet/dist/images/marker-icon.png";
@@ -72,453 +122,3497 @@ function iconFromColor(color) {
   return colorIconCache.get(color);
 }
 
-/* normalize color string (accepts #rgb or #rrggbb) */
-function normalizeColor(raw) {
-  if (typeof raw !== "string") return null;
-  const s = raw.trim();
-  if (/^#[0-9a-fA-F]{6}$/.test(s)) return s;
-  if (/^#[0-9a-fA-F]{3}$/.test(s)) {
-    const r = s[1], g = s[2], b = s[3];
-    return `#${r}${r}${g}${g}${b}${b}`;
+/* choose colour for a memory: prefer explicit color, else fallback by category */
+function colorForMemory(memory) {
+  const explicit = normalizeColor(memory.color);
+  if (explicit) return explicit;
+
+  return (
+    CATEGORY_COLORS[(memory.category || "").toString().trim().toLowerCase()] ||
+    CATEGORY_COLORS.default
+  );
+}
+
+/* the coloured pin with its comment count in a corner badge, red while some are unread */
+function makeBadgedPinIcon(color, label, unread) {
+  const pin = iconFromColor(color).options;
+  return L.divIcon({
+    html: `<img src="${pin.iconUrl}" alt="" width="25" height="41" /><span class="memory-pin__badge${unread ? " is-unread" : ""}" aria-hidden="true">${label}</span>`,
+    className: "memory-pin",
+    iconSize: pin.iconSize,
+    iconAnchor: pin.iconAnchor,
+    popupAnchor: pin.popupAnchor,
+  });
+}
+
+/* cache badged icons by color, count and unread */
+const badgeIconCache = new Map();
+function iconForMemory(memory, { unread = false } = {}) {
+  const color = colorForMemory(memory);
+  const count = memory.commentCount || 0;
+  if (!count) return iconFromColor(color);
+  const label = count > 99 ? "99+" : String(count);
+  const key = `${color}|${label}|${unread}`;
+  if (!badgeIconCache.has(key)) {
+    badgeIconCache.set(key, makeBadgedPinIcon(color, label, unread));
   }
-  return null;
+  return badgeIconCache.get(key);
 }
 
-/* choose icon for a memory: prefer explicit color, else fallback by category */
-function iconForMemory(memory) {
-  const explicit = normalizeColor(memory.color || memory.pinColor || memory.colour);
-  if (explicit) return iconFromColor(explicit);
+/* ---------------- Cluster badge (ring split by pin colour) ---------------- */
+function clusterIcon(cluster) {
+  const markers = cluster.getAllChildMarkers();
+  const total = markers.length;
+  const counts = new Map();
+  markers.forEach((m) => {
+    const c = m.options.pinColor || CATEGORY_COLORS.default;
+    counts.set(c, (counts.get(c) || 0) + 1);
+  });
 
-  const fallback =
-    CATEGORY_COLORS[(memory.category || "").toString().trim().toLowerCase()] ||
-    CATEGORY_COLORS.default;
-  return iconFromColor(fallback);
+  let seen = 0;
+  const stops = [];
+  counts.forEach((n, c) => {
+    const from = (seen / total) * 360;
+    seen += n;
+    stops.push(`${c} ${from}deg ${(seen / total) * 360}deg`);
+  });
+
+  const size = total < 10 ? 34 : total < 100 ? 40 : 48;
+  return L.divIcon({
+    html: `<div class="memory-cluster__ring" style="background: conic-gradient(${stops.join(", ")})"><span>${total}</span></div>`,
+    className: "memory-cluster",
+    iconSize: L.point(size, size),
+  });
 }
 
 /* ---------------- Helpers ---------------- */
-function toLatLng(coord) {
-  if (!coord) return null;
-  if (typeof coord.latitude === "number" && typeof coord.longitude === "number") {
-    return [coord.latitude, coord.longitude];
-  }
-  if (typeof coord.lat === "number" && typeof (coord.lng ?? coord.lon) === "number") {
-    return [coord.lat, coord.lng ?? coord.lon];
+function positionOf(memory) {
+  const c = memory.coordinates;
+  return c ? [c.latitude, c.longitude] : null;
+}
+
+/* memories that have both a date and a position, oldest first */
+function chronological(memories) {
+  return memories
+    .map((memory) => ({ memory, time: memory.date ? new Date(memory.date).getTime() : NaN, pos: positionOf(memory) }))
+    .filter((e) => Number.isFinite(e.time) && e.pos)
+    .sort((a, b) => a.time - b.time);
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString() : "";
+}
+
+/* ---------------- Search & filters ---------------- */
+const EMPTY_FILTERS = { text: "", categories: [], colors: [] };
+
+function categoryKey(memory) {
+  return (memory.category || "").toString().trim().toLowerCase();
+}
+
+function foldText(s) {
+  return String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+function hasActiveFilters(filters) {
+  return Boolean(filters.text.trim() || filters.categories.length || filters.colors.length);
+}
+
+function memoryMatchesFilters(memory, filters) {
+  const q = foldText(filters.text.trim());
+  if (q) {
+    const { title, description } = memory;
+    if (!foldText(`${title} ${description}`).includes(q)) return false;
   }
-  const rawLat = coord.Latitude ?? coord.LAT ?? coord.lat ?? coord.latitude;
-  const rawLng = coord.Longitude ?? coord.LONG ?? coord.lng ?? coord.lon ?? coord.longitude;
-  const lat = typeof rawLat === "number" ? rawLat : parseFloat(rawLat);
-  const lng = typeof rawLng === "number" ? rawLng : parseFloat(rawLng);
-  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+  if (filters.categories.length && !filters.categories.includes(categoryKey(memory))) return false;
+  if (filters.colors.length && !filters.colors.includes(colorForMemory(memory))) return false;
+  return true;
 }
 
-function getTextFields(memory) {
-  const title = memory.title ?? memory.name ?? memory.Title ?? "Untitled location";
-  const description =
-    memory.description ??
-    memory.desc ??
-    memory.Details ??
-    memory.text ??
-    memory.Description ??
-    "";
-  return { title, description };
+/* palette entries (always listed) followed by any custom colours in use */
+function buildLegend(memories) {
+  const counts = new Map();
+  memories.forEach((m) => {
+    const c = colorForMemory(m);
+    counts.set(c, (counts.get(c) || 0) + 1);
+  });
+
+  const palette = new Map();
+  Object.entries(CATEGORY_COLORS).forEach(([name, color]) => {
+    if (name === "default") return;
+    palette.set(color, [...(palette.get(color) || []), name]);
+  });
+
+  const entries = [...palette].map(([color, names]) => ({
+    color,
+    label: names.map((n) => n.charAt(0).toUpperCase() + n.slice(1)).join(" / "),
+    count: counts.get(color) || 0,
+  }));
+  counts.forEach((count, color) => {
+    if (!palette.has(color)) entries.push({ color, label: `Custom ${color}`, count });
+  });
+  return entries;
 }
 
+/* uploaded or linked photos as { src, caption, path }; outbox placeholders are left out */
 function getImages(memory) {
-  const raw =
-    memory.images ??
-    memory.photos ??
-    memory.image ??
-    memory.photo ??
-    memory.imageUrl ??
-    memory.imageURL ??
-    memory.Image ??
-    [];
-  let arr = [];
-  if (Array.isArray(raw)) {
-    arr = raw
-      .map((item) => {
-        if (typeof item === "string") return { src: item, caption: "" };
-        if (item && typeof item === "object") {
-          const src = item.url ?? item.src ?? item.downloadURL ?? "";
-          const caption = item.caption ?? item.alt ?? "";
-          return src ? { src, caption } : null;
-        }
+  return (memory.images || [])
+    .filter((img) => img.url)
+    .map((img) => ({ src: img.url, caption: img.caption || "", path: img.path ?? null }));
+}
+
+/* round picked/dragged coordinates so the inputs stay readable */
+function roundCoord(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+/* ---------------- Photo EXIF (GPS + capture date) ---------------- */
+function toDateInputValue(d) {
+  if (!(d instanceof Date) || Number.isNaN(d.getTime())) return "";
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/* resolves to { lat, lng, date } (any may be null), or null when nothing useful is found */
+async function readPhotoMetadata(file) {
+  try {
+    const data = await exifr.parse(file, {
+      gps: true,
+      pick: ["DateTimeOriginal", "CreateDate", "GPSLatitude", "GPSLongitude", "GPSLatitudeRef", "GPSLongitudeRef"],
+    });
+    if (!data) return null;
+    const pos = parseLatLng(data.latitude ?? "", data.longitude ?? "");
+    const date = toDateInputValue(data.DateTimeOriginal ?? data.CreateDate);
+    if (!pos && !date) return null;
+    return {
+      lat: pos ? roundCoord(pos[0]) : null,
+      lng: pos ? roundCoord(pos[1]) : null,
+      date: date || null,
+    };
+  } catch (err) {
+    // not a JPEG/HEIC/TIFF, or no EXIF block — manual entry still works
+    return null;
+  }
+}
+
+/* ---------------- Places (geocoder, see geocoder.js) ---------------- */
+const PLACE_SEARCH_DELAY_MS = 400;
+const placeCache = new Map();
+
+/* "City, Country" for a position, or null if there's no named place near it or the
+   geocoder can't be reached. One lookup per position per session. */
+function lookupPlace(lat, lng) {
+  const key = `${Number(lat).toFixed(4)},${Number(lng).toFixed(4)}`;
+  if (!placeCache.has(key)) {
+    const lookup = getGeocoder()
+      .reverse(Number(lat), Number(lng))
+      .then((place) => place?.label || null)
+      .catch((err) => {
+        console.error("Place lookup failed: ", err);
+        placeCache.delete(key); // try again next time
         return null;
-      })
-      .filter(Boolean);
-  } else if (typeof raw === "string") {
-    arr = [{ src: raw, caption: "" }];
-  } else if (raw && typeof raw === "object") {
-    const src = raw.url ?? raw.src ?? raw.downloadURL ?? "";
-    const caption = raw.caption ?? raw.alt ?? "";
-    if (src) arr = [{ src, caption }];
+      });
+    placeCache.set(key, lookup);
   }
-  return arr;
+  return placeCache.get(key);
+}
+
+function samePosition(a, b) {
+  return Boolean(a && b) && a[0] === b[0] && a[1] === b[1];
+}
+
+/* ---------------- Data: add / update a memory ---------------- */
+// All reads and writes go through the repository (Firebase in production, see repository.js)
+const repo = () => getRepository();
+
+function toCoordinates(lat, lng) {
+  return { latitude: Number(lat), longitude: Number(lng) };
 }
 
-/* ---------------- Firestore: add / update a memory ---------------- */
-async function addMemory({ title, description, lat, lng, file, category, color, date }) {
-  let imageUrl = "";
-  if (file) {
-    const path = `memories/${Date.now()}-${file.name}`;
-    const storageRef = ref(storage, path);
-    await uploadBytes(storageRef, file);
-    imageUrl = await getDownloadURL(storageRef);
+/* upload any new files and return the `images` array shape the popup renders.
+   Offline, files go to the outbox and a `{ url: null, pendingUpload }` placeholder
+   is stored instead (getImages skips it) until uploadQueuedPhoto fills it in. */
+async function resolvePhotos(photos = [], memoryId) {
+  const out = [];
+  for (const p of photos) {
+    const caption = (p.caption || "").trim().slice(0, 200);
+    if (p.file && !isOnline()) {
+      const pendingUpload = await queueUpload({ mapId: repo().mapId, memoryId, file: p.file, caption });
+      out.push({ url: null, path: null, caption, pendingUpload });
+    } else if (p.file) {
+      const { url, path } = await repo().uploadImage(p.file);
+      out.push({ url, path, caption });
+    } else if (p.url) {
+      out.push({ url: p.url, path: p.path || null, caption });
+    }
   }
-  await addDoc(collection(db, "memories"), {
+  return out;
+}
+
+/* placeholders for photos still waiting in the outbox; kept across edits and reverts */
+function pendingPhotos(memory) {
+  return (memory.images || []).filter((img) => img.pendingUpload);
+}
+
+/* `place` is the name picked in the place search; otherwise it's looked up from lat/lng */
+async function addMemory({ title, description, lat, lng, place, photos, category, color, date, tripId }, trips = []) {
+  // id generated up front so queued photos can point at the memory
+  const id = repo().newMemoryId();
+  const images = await resolvePhotos(photos, id);
+  const placeName = place || (await lookupPlace(lat, lng));
+  await queuedWrite(repo().addMemory({
+    schemaVersion: MEMORY_SCHEMA_VERSION,
     title,
     description: description ?? "",
-    coordinates: new GeoPoint(Number(lat), Number(lng)),
-    imageUrl: imageUrl || null,
+    coordinates: toCoordinates(lat, lng),
+    images,
     category: (category || "").trim(),
     color: normalizeColor(color) || null,
-    date: date || null, // Add this line
-    createdAt: serverTimestamp(),
-  });
+    date: date || null,
+    place: placeName,
+  }, id));
+  if (tripId) await assignMemoryToTrip(id, tripId, trips);
+  return id;
 }
 
-async function updateMemory(id, { title, description, lat, lng, file, removeImage, category, color, date }) {
+async function updateMemory(memory, { title, description, lat, lng, place, photos, category, color, date, tripId }, trips = []) {
+  const id = memory.id;
   const payload = {
     title,
     description: description ?? "",
-    coordinates: new GeoPoint(Number(lat), Number(lng)),
+    coordinates: toCoordinates(lat, lng),
     category: (category || "").trim(),
     color: normalizeColor(color) || null,
     date: date || null,
   };
-  if (file) {
-    const path = `memories/${Date.now()}-${file.name}`;
-    const storageRef = ref(storage, path);
-    await uploadBytes(storageRef, file);
-    const newUrl = await getDownloadURL(storageRef);
-    payload.imageUrl = newUrl;
-  } else if (removeImage) {
-    payload.imageUrl = null;
+  // the stored name only changes when the memory moves (or never had one)
+  if (place) payload.place = place;
+  else if (!memory.place || !samePosition(positionOf(memory), [Number(lat), Number(lng)])) {
+    payload.place = await lookupPlace(lat, lng);
+  }
+  if (photos) {
+    payload.images = [...(await resolvePhotos(photos, id)), ...pendingPhotos(memory)];
   }
-  await updateDoc(doc(db, "memories", id), payload);
+  await commitMemoryUpdate(memory, payload);
+  // offline, leftover files are left for the orphan scan in Maintenance
+  if (payload.images && isOnline()) {
+    // photos that were removed or replaced no longer belong to anything
+    const kept = new Set(payload.images.map((img) => img.url));
+    await deleteStoredImages(getImages(memory).filter((img) => !kept.has(img.src)));
+  }
+  if (tripId !== undefined) await assignMemoryToTrip(id, tripId, trips);
 }
 
-/* ---------------- Forms ---------------- */
-// src/App.js
+/* upload one photo from this map's offline outbox and swap it in for its placeholder.
+   Dropped silently if the memory (or the placeholder) is gone by now. */
+async function uploadQueuedPhoto(entry) {
+  const stored = await repo().getMemory(entry.memoryId);
+  if (!stored) return;
+  const memory = readMemory(stored);
+  const images = memory.images;
+  if (!images.some((img) => img.pendingUpload === entry.id)) return;
 
-function AddMemoryForm({ onClose }) {
-  const [title, setTitle] = useState("");
-  const [description, setDescription] = useState("");
-  const [lat, setLat] = useState("");
-  const [lng, setLng] = useState("");
-  const [file, setFile] = useState(null);
-  const [category, setCategory] = useState("");
-  const [color, setColor] = useState("#3b82f6");
-  const [date, setDate] = useState("");
-  const [saving, setSaving] = useState(false);
+  const { url, path } = await repo().uploadImage(entry.file);
+  await commitMemoryUpdate(memory, {
+    images: images.map((img) =>
+      img.pendingUpload === entry.id ? { url, path, caption: img.caption || entry.caption || "" } : img
+    ),
+  });
+}
 
-  const submit = async (e) => {
-    e.preventDefault();
-    setSaving(true);
-    try {
-      if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
-        alert("Please enter valid numeric latitude and longitude.");
-        setSaving(false);
-        return;
-      }
-      // 👇 CORRECTION IS HERE: Added 'date' to the object being passed
-      await addMemory({ title, description, lat, lng, file, category, color, date });
-      setTitle(""); setDescription(""); setLat(""); setLng(""); setFile(null);
-      setCategory(""); setColor("#3b82f6"); setDate("");
-      onClose?.();
-    } catch (err) {
-      console.error(err);
-      alert("Failed to add marker");
-    } finally {
-      setSaving(false);
-    }
-  };
+/* ---------------- Edit history (memories/{id}/revisions) ---------------- */
+// Each save stores who/when, which fields changed, and the tracked fields before and after.
+const REVISION_FIELDS = ["title", "description", "location", "category", "color", "date", "images"];
+const REVISION_LABELS = {
+  title: "Title",
+  description: "Description",
+  location: "Location",
+  category: "Category",
+  color: "Colour",
+  date: "Date",
+  images: "Photos",
+};
 
-  return (
-    <form className="memory-form" onSubmit={submit}>
-      <div className="memory-form__header">
-        <strong>Add Memory</strong>
-        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close">✕</button>
-      </div>
+function revisionState(memory) {
+  const { title, description } = memory;
+  const pos = positionOf(memory);
+  return {
+    title,
+    description,
+    location: pos ? { lat: pos[0], lng: pos[1] } : null,
+    category: (memory.category || "").toString().trim(),
+    color: normalizeColor(memory.color) || null,
+    date: memory.date || null,
+    images: getImages(memory).map((img) => ({ url: img.src, caption: img.caption || "" })),
+  };
+}
 
-      <div className="memory-form__row">
-        <input className="memory-form__input" placeholder="Title *" value={title} onChange={(e) => setTitle(e.target.value)} required />
-      </div>
+function changedFields(before, after) {
+  return REVISION_FIELDS.filter((f) => JSON.stringify(before[f]) !== JSON.stringify(after[f]));
+}
 
-      <div className="memory-form__row">
-        <textarea className="memory-form__input" placeholder="Description (optional)" rows={3} value={description} onChange={(e) => setDescription(e.target.value)} />
-      </div>
+function revisionAuthor() {
+  const u = repo().currentUser();
+  return { uid: u?.uid || null, name: u?.displayName || u?.email || "Unknown" };
+}
 
-      <div className="memory-form__grid-2">
-        <input className="memory-form__input" placeholder="Latitude *" value={lat} onChange={(e) => setLat(e.target.value)} required />
-        <input className="memory-form__input" placeholder="Longitude *" value={lng} onChange={(e) => setLng(e.target.value)} required />
-      </div>
+/* write `payload` to the memory and record a revision in the same batch (skipped if nothing changed) */
+async function commitMemoryUpdate(memory, payload, extra = {}) {
+  const before = revisionState(memory);
+  const after = revisionState({ ...memory, ...payload });
+  const changed = changedFields(before, after);
+  const revision = changed.length ? { by: revisionAuthor(), changed, before, after, ...extra } : null;
+  await queuedWrite(repo().updateMemory(memory.id, payload, revision));
+}
 
-      <div className="memory-form__grid-2">
-        <input className="memory-form__input" placeholder="Category" value={category} onChange={(e) => setCategory(e.target.value)} />
-        <div className="memory-form__color memory-form__input">
-          <label htmlFor="pinColor">Marker colour</label>
-          <input id="pinColor" type="color" value={color} onChange={(e) => setColor(e.target.value)} title="Choose pin colour" />
-        </div>
-      </div>
-      
-      {/* 👇 CORRECTION IS HERE: Added the date input field */}
-      <div className="memory-form__row">
-        <input className="memory-form__input" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
-      </div>
+/* restore a recorded state. Photo files deleted since then can't come back, so only photos
+   that still exist are restored (with that version's captions/order) and newer ones are kept. */
+async function revertMemory(memory, state, revisionId) {
+  const current = getImages(memory);
+  const byUrl = new Map(current.map((img) => [img.src, img]));
+  const restored = state.images
+    .filter((img) => byUrl.has(img.url))
+    .map((img) => ({ url: img.url, caption: img.caption, path: byUrl.get(img.url).path || null }));
+  const restoredUrls = new Set(restored.map((img) => img.url));
+  const newer = current
+    .filter((img) => !restoredUrls.has(img.src))
+    .map((img) => ({ url: img.src, caption: img.caption || "", path: img.path || null }));
 
-      <div className="memory-form__row">
-        <input className="memory-form__input" type="file" accept="image/*" onChange={(e) => setFile(e.target.files?.[0] ?? null)} title="Image" />
-      </div>
+  const location = state.location ? [state.location.lat, state.location.lng] : null;
+  const place =
+    location && !samePosition(positionOf(memory), location) ? await lookupPlace(location[0], location[1]) : memory.place;
 
-      <button className="memory-form__btn" disabled={saving}>{saving ? "Saving..." : "Add Marker"}</button>
-    </form>
+  await commitMemoryUpdate(
+    memory,
+    {
+      title: state.title,
+      description: state.description,
+      coordinates: state.location ? toCoordinates(state.location.lat, state.location.lng) : memory.coordinates,
+      category: state.category,
+      color: state.color,
+      date: state.date,
+      images: [...restored, ...newer, ...pendingPhotos(memory)],
+      place: place ?? null,
+    },
+    { revertedFrom: revisionId }
   );
 }
 
-function EditMemoryForm({ memory, onClose }) {
-  const [title, setTitle] = useState(memory.title || "");
-  const [description, setDescription] = useState(memory.description || "");
-  const [date, setDate] = useState(memory.date || "");
-  const [lat, setLat] = useState(() => {
-    const pos = toLatLng(memory.coordinates ?? memory.location ?? memory.position);
-    return pos ? String(pos[0]) : "";
-  });
-  const [lng, setLng] = useState(() => {
-    const pos = toLatLng(memory.coordinates ?? memory.location ?? memory.position);
-    return pos ? String(pos[1]) : "";
-  });
-  const [category, setCategory] = useState(memory.category || "");
-  const [color, setColor] = useState(memory.color || "#3b82f6");
-  const [file, setFile] = useState(null);
-  const [removeImage, setRemoveImage] = useState(false);
-  const [saving, setSaving] = useState(false);
-
-  const existingImageUrl = memory.imageUrl || null;
-
-  const submit = async (e) => {
-    e.preventDefault();
-    setSaving(true);
+/* ---------------- Storage / comment cleanup ---------------- */
+async function deleteStoredImages(images) {
+  for (const img of images) {
+    const path = repo().imagePath(img);
+    if (!path) continue;
     try {
-      if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
-        alert("Please enter valid numeric latitude and longitude.");
-        setSaving(false);
-        return;
-      }
-      await updateMemory(memory.id, {
-        title, description, lat, lng, file, removeImage, category, color, date
-      });
-      onClose?.();
+      await repo().deleteImage(path);
     } catch (err) {
       console.error(err);
-      alert("Failed to update marker");
-    } finally {
-      setSaving(false);
     }
-  };
-
-  return (
-    <form className="memory-form" onSubmit={submit}>
-      <div className="memory-form__header">
-        <strong>Edit Memory</strong>
-        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close">✕</button>
-      </div>
+  }
+}
 
-      <div className="memory-form__row">
-        <input className="memory-form__input" placeholder="Title *" value={title} onChange={(e) => setTitle(e.target.value)} required />
-      </div>
+/* delete a memory together with its comments, history, trip membership and uploaded photos */
+async function deleteMemory(memory) {
+  await repo().deleteMemory(memory.id);
+  await deleteStoredImages(getImages(memory));
+}
 
-      <div className="memory-form__row">
-        <textarea className="memory-form__input" placeholder="Description (optional)" rows={3} value={description} onChange={(e) => setDescription(e.target.value)} />
-      </div>
+/* ---------------- Trash ---------------- */
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-      <div className="memory-form__row">
-        <input className="memory-form__input" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
-      </div>
+async function trashMemory(memory, user) {
+  await queuedWrite(repo().trashMemory(memory.id, user?.uid));
+}
 
-      <div className="memory-form__grid-2">
-        <input className="memory-form__input" placeholder="Latitude *" value={lat} onChange={(e) => setLat(e.target.value)} required />
-        <input className="memory-form__input" placeholder="Longitude *" value={lng} onChange={(e) => setLng(e.target.value)} required />
-      </div>
+async function restoreMemory(memory) {
+  await queuedWrite(repo().restoreMemory(memory.id));
+}
 
-      <div className="memory-form__grid-2">
-        <input className="memory-form__input" placeholder="Category (anything)" value={category} onChange={(e) => setCategory(e.target.value)} />
-        <div className="memory-form__color memory-form__input">
-          <label htmlFor={`pinColor-${memory.id}`}>Marker colour</label>
-          <input id={`pinColor-${memory.id}`} type="color" value={color} onChange={(e) => setColor(e.target.value)} />
-        </div>
-      </div>
+function isTrashExpired(memory, retentionDays) {
+  const at = memory.deletedAt;
+  return at instanceof Date && Date.now() - at.getTime() > retentionDays * DAY_MS;
+}
 
-      <div className="memory-form__row" style={{ display: "grid", gap: 8 }}>
-        {existingImageUrl && (
-          <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
-            <img src={existingImageUrl} alt="current" style={{ width: 56, height: 56, borderRadius: 8, objectFit: "cover" }} />
-            <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 14 }}>
-              <input type="checkbox" checked={removeImage} onChange={(e) => setRemoveImage(e.target.checked)} />
-              Remove existing image
-            </label>
-          </div>
-        )}
-        <input className="memory-form__input" type="file" accept="image/*" onChange={(e) => setFile(e.target.files?.[0] ?? null)} title="Replace image (optional)" />
-      </div>
+async function saveSiteSettings(fields) {
+  await repo().saveSettings(fields);
+}
 
-      <button className="memory-form__btn" disabled={saving}>{saving ? "Saving..." : "Save Changes"}</button>
-    </form>
+/* uploaded files no memory points at, and comments whose memory is gone */
+async function findOrphans(memories) {
+  const referenced = new Set();
+  memories.forEach((m) =>
+    getImages(m).forEach((img) => {
+      const path = repo().imagePath(img);
+      if (path) referenced.add(path);
+    })
   );
+  const files = (await repo().listImages()).filter((path) => !referenced.has(path));
+
+  const ids = new Set(memories.map((m) => m.id));
+  const comments = (await repo().listAllComments()).filter((c) => !ids.has(c.memoryId));
+
+  return { files, comments };
 }
 
-/* ---------------- Comments (subcollection) ---------------- */
-function CommentsSection({ memoryId, user, ownerUid }) {
-  const [comments, setComments] = useState([]);
-  const [author, setAuthor] = useState("");
-  const [text, setText] = useState("");
-  const [posting, setPosting] = useState(false);
+async function purgeOrphans({ files, comments }) {
+  for (const path of files) await repo().deleteImage(path);
+  for (const c of comments) await repo().deleteComment(c.memoryId, c.id);
+}
 
-  useEffect(() => {
-    const colRef = collection(db, "memories", memoryId, "comments");
-    const q = query(colRef, orderBy("createdAt", "asc"));
-    const unsub = onSnapshot(q, (snap) => {
-      setComments(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
-    });
-    return () => unsub();
-  }, [memoryId]);
+/* set each memory's commentCount/lastCommentAt from its comments, for memories from
+   before the count was kept; returns how many memories were corrected */
+async function recountComments(memories) {
+  const counts = new Map();
+  (await repo().listAllComments()).filter(countsAsVisible).forEach((c) => {
+    const entry = counts.get(c.memoryId) || { commentCount: 0, lastCommentAt: null };
+    entry.commentCount += 1;
+    if (c.createdAt && !(entry.lastCommentAt > c.createdAt)) entry.lastCommentAt = c.createdAt;
+    counts.set(c.memoryId, entry);
+  });
+  let corrected = 0;
+  for (const m of memories) {
+    const next = counts.get(m.id) || { commentCount: 0, lastCommentAt: null };
+    const same =
+      (m.commentCount || 0) === next.commentCount &&
+      (m.lastCommentAt?.getTime() ?? null) === (next.lastCommentAt?.getTime() ?? null);
+    if (same) continue;
+    await repo().updateMemory(m.id, next);
+    corrected += 1;
+  }
+  return corrected;
+}
 
-  const addComment = async (e) => {
-    e.preventDefault();
-    if (!text.trim()) return;
-    setPosting(true);
+/* ---------------- Schema migration (owner only) ---------------- */
+// Reads every stored document (not the converted view the map shows) and reports
+// { current, convertible: [{ id, title, changes, memory }], failing: [{ id, title, errors }] }
+async function planSchemaMigration() {
+  return planMigration(await repo().listMemories());
+}
+
+/* rewrite the convertible documents; no revisions, the content doesn't change.
+   Resolves to { migrated, failed: [{ id, title, error }] } */
+async function migrateMemories(convertible, onProgress) {
+  let migrated = 0;
+  const failed = [];
+  for (const { id, title, memory } of convertible) {
     try {
-      await addDoc(collection(db, "memories", memoryId, "comments"), {
-        author: author.trim().slice(0, 60) || "Anonymous",
-        text: text.trim().slice(0, 1000),
-        authorUid: user?.uid || null,     // ← tie comment to signed-in user (if any)
-        createdAt: serverTimestamp(),
-      });
-      setText("");
+      await repo().replaceMemory(id, memory);
+      migrated += 1;
     } catch (err) {
       console.error(err);
-      alert("Failed to post comment");
-    } finally {
-      setPosting(false);
+      failed.push({ id, title, error: err.message || String(err) });
     }
-  };
+    onProgress?.(migrated + failed.length, convertible.length);
+  }
+  return { migrated, failed };
+}
 
-  const canDelete = (c) =>
-    user && (user.uid === ownerUid || (c.authorUid && c.authorUid === user.uid));
+/* write validated import rows in batches; resolves to { written, failed: [{ row, error }] } */
+const IMPORT_BATCH_SIZE = 400;
 
-  const deleteComment = async (id) => {
-    if (!user) return alert("Sign in to delete comments.");
-    if (!window.confirm("Delete this comment?")) return;
+async function importMemories(rows, onProgress) {
+  let written = 0;
+  const failed = [];
+  for (let i = 0; i < rows.length; i += IMPORT_BATCH_SIZE) {
+    const chunk = rows.slice(i, i + IMPORT_BATCH_SIZE);
     try {
-      await deleteDoc(doc(db, "memories", memoryId, "comments", id));
+      await repo().addMemories(
+        chunk.map((r) => ({
+          schemaVersion: MEMORY_SCHEMA_VERSION,
+          title: r.title,
+          description: r.description,
+          coordinates: toCoordinates(r.lat, r.lng),
+          images: r.images.map((url) => ({ url, path: null, caption: "" })),
+          category: r.category,
+          color: r.color,
+          date: r.date,
+          // no reverse lookups in bulk (public geocoders forbid it): PlaceName fills it in when opened
+          place: r.place,
+        }))
+      );
+      written += chunk.length;
     } catch (err) {
       console.error(err);
-      alert("Delete failed (check rules or sign-in).");
+      chunk.forEach((r) => failed.push({ row: r.rowNumber, error: err.message || String(err) }));
     }
-  };
+    onProgress?.(Math.min(i + chunk.length, rows.length), rows.length);
+  }
+  return { written, failed };
+}
 
-  return (
-    <div style={{ marginTop: 10 }}>
-      <h4 style={{ margin: "0 0 6px", fontSize: 14 }}>Comments</h4>
-      {comments.length === 0 ? (
-        null
-      ) : (
-        <div style={{ display: "grid", gap: 6, maxHeight: 180, overflow: "auto" }}>
-          {comments.map((c) => (
-            <div key={c.id} style={{ background: "#f9fafb", padding: 8, borderRadius: 8 }}>
-              <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 4 }}>
-                <strong>{c.author || "Anonymous"}</strong>
-                <span style={{ color: "#6b7280" }}>
-                  {c.createdAt?.toDate ? c.createdAt.toDate().toLocaleString() : "Just now"}
-                </span>
-              </div>
-              <div style={{ whiteSpace: "pre-wrap", fontSize: 13 }}>{c.text}</div>
-
-              {canDelete(c) && (
-                <div style={{ marginTop: 6, textAlign: "right" }}>
-                  <button
-                    onClick={() => deleteComment(c.id)}
-                    style={{
-                      background: "#ef4444",
-                      color: "#fff",
-                      border: "none",
-                      padding: "4px 8px",
-                      borderRadius: 6,
-                      cursor: "pointer",
-                      fontSize: 12,
-                    }}
-                  >
-                    Delete
-                  </button>
-                </div>
-              )}
-            </div>
-          ))}
-        </div>
-      )}
+/* ---------------- Data: trips ---------------- */
+// A trip owns the ordered list of its memories (`memoryIds`); a memory belongs to at most one trip.
+const TRIP_COLORS = ["#ef4444", "#8b5cf6", "#0ea5e9", "#f97316", "#14b8a6", "#d946ef"];
 
-      <form onSubmit={addComment} style={{ display: "grid", gap: 6, marginTop: 8 }}>
-        <input
-          value={author}
-          onChange={(e) => setAuthor(e.target.value)}
-          placeholder="Your name "
-          style={{ fontSize: 13, padding: 8, borderRadius: 8, border: "1px solid #e5e7eb" }}
-        />
-        <textarea
-          value={text}
-          onChange={(e) => setText(e.target.value)}
-          placeholder="Write a comment…"
-          rows={2}
-          required
-          style={{ fontSize: 13, padding: 8, borderRadius: 8, border: "1px solid #e5e7eb" }}
-        />
-        <button
-          disabled={posting || !text.trim()}
-          style={{
-            justifySelf: "end",
-            background: "#111827",
-            color: "#fff",
-            border: "none",
-            padding: "6px 10px",
-            borderRadius: 8,
-            cursor: posting ? "default" : "pointer",
-          }}
-        >
-          {posting ? "Posting…" : "Post comment"}
-        </button>
-      </form>
-    </div>
-  );
+function tripOfMemory(trips, memoryId) {
+  return trips.find((t) => (t.memoryIds || []).includes(memoryId)) || null;
 }
 
-/* ---------------- Welcome modal (first visit) ---------------- */
-function WelcomeModal({ onClose }) {
-  useEffect(() => {
-    const onKey = (e) => e.key === "Escape" && onClose();
-    document.addEventListener("keydown", onKey);
-    return () => document.removeEventListener("keydown", onKey);
-  }, [onClose]);
+async function addTrip({ name, startDate, endDate, color }) {
+  await repo().addTrip({
+    name: name.trim().slice(0, 80),
+    startDate: startDate || null,
+    endDate: endDate || null,
+    color: normalizeColor(color) || TRIP_COLORS[0],
+    memoryIds: [],
+  });
+}
 
-  return (
-    <div className="modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="welcome-title">
-      <div className="modal-card">
-        <button className="modal-close" onClick={onClose} aria-label="Close welcome">✕</button>
+async function updateTrip(id, fields) {
+  const payload = { ...fields };
+  if ("name" in payload) payload.name = payload.name.trim().slice(0, 80);
+  if ("color" in payload) payload.color = normalizeColor(payload.color) || TRIP_COLORS[0];
+  await repo().updateTrip(id, payload);
+}
 
-        <h1 id="welcome-title">Welcome to Our Memory Map 💛</h1>
-        <p>
-          I know how much you love collecting things from different trips and experiences to scrapbook with. 
-          I wanted to bring together that with my love (bordering special interest) of maps to create something that highlights how much our relationship has meant to me. 
-          Every marker on this map holds a different memory I'll always treasure. I hope exploring it brings back some of the joy of our relationship. Love, Sam
-          P.S. the memories will look quite congested in places so you have to zoom in quite far to see them all
-        </p>
-
-        <ul className="modal-list">
-          <li>Tap markers to bring up memories</li>
-          <li>Hold down the circle on the scroll bar to change the date and the amount of memories on the map</li>
-          <li>Zoom using usual controls</li>
+async function deleteTrip(id) {
+  await repo().deleteTrip(id);
+}
+
+/* move a memory into `tripId` (or out of every trip when tripId is empty) */
+async function assignMemoryToTrip(memoryId, tripId, trips) {
+  const current = tripOfMemory(trips, memoryId);
+  if ((current?.id || "") === (tripId || "")) return;
+  await queuedWrite(repo().moveMemoryToTrip(memoryId, current?.id || null, tripId || null));
+}
+
+/* stops in trip order (only memories that exist and have a position) plus a summary */
+function tripSummary(trip, memoriesById) {
+  const stops = (trip.memoryIds || [])
+    .map((id) => memoriesById.get(id))
+    .filter((m) => m && positionOf(m));
+  const positions = stops.map(positionOf);
+  const dates = stops.map((m) => m.date).filter(Boolean).sort();
+  return {
+    stops,
+    positions,
+    startDate: trip.startDate || dates[0] || null,
+    endDate: trip.endDate || dates[dates.length - 1] || null,
+    distanceKm: pathLengthKm(positions),
+  };
+}
+
+/* ---------------- Data: stories ---------------- */
+async function saveStory(id, fields) {
+  const payload = cleanStory(fields);
+  if (id) await repo().updateStory(id, payload);
+  else await repo().addStory(payload);
+}
+
+async function deleteStory(id) {
+  await repo().deleteStory(id);
+}
+
+/* ---------------- Data: maps and share links ---------------- */
+async function createMap(name) {
+  const siteTitle = name.trim().slice(0, MAX_MAP_NAME_LENGTH);
+  if (!siteTitle) throw new Error("A map needs a name");
+  return repo().createMap(siteTitle);
+}
+
+/* the maps someone belongs to, the original one first (everyone can look at it) */
+async function listMyMaps(email) {
+  const list = await repo().listMyMaps(email);
+  const title = (m) => m.siteTitle || DEFAULT_SITE_SETTINGS.siteTitle;
+  const others = list.filter((m) => m.id !== MAIN_MAP_ID).sort((a, b) => title(a).localeCompare(title(b)));
+  const main = list.find((m) => m.id === MAIN_MAP_ID) || { id: MAIN_MAP_ID, role: null, siteTitle: null };
+  return [main, ...others].map((m) => ({ ...m, title: title(m) }));
+}
+
+async function copyLink(url) {
+  try {
+    await navigator.clipboard.writeText(url);
+    alert("Link copied");
+  } catch (err) {
+    window.prompt("Copy this link:", url);
+  }
+}
+
+/* ---------------- Forms ---------------- */
+
+/* existing images → editable photo list entries */
+let photoKeySeq = 0;
+function photoItemsFromMemory(memory) {
+  return getImages(memory).map((img) => ({
+    key: `existing-${photoKeySeq++}`,
+    url: img.src,
+    path: img.path || null,
+    preview: img.src,
+    caption: img.caption,
+  }));
+}
+
+/* pick several photos, caption them, reorder and remove */
+function PhotoListEditor({ items, onChange, onFilesAdded }) {
+  // revoke object URLs created for new files when the form goes away
+  const itemsRef = useRef(items);
+  itemsRef.current = items;
+  useEffect(() => {
+    return () => itemsRef.current.forEach((p) => p.file && URL.revokeObjectURL(p.preview));
+  }, []);
+
+  const addFiles = (fileList) => {
+    const added = Array.from(fileList || []).map((file) => ({
+      key: `new-${photoKeySeq++}`,
+      file,
+      preview: URL.createObjectURL(file),
+      caption: "",
+    }));
+    if (added.length) {
+      onChange([...items, ...added]);
+      onFilesAdded?.(added.map((p) => p.file));
+    }
+  };
+
+  const setCaption = (key, caption) =>
+    onChange(items.map((p) => (p.key === key ? { ...p, caption } : p)));
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= items.length) return;
+    const next = items.slice();
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const remove = (key) => {
+    const gone = items.find((p) => p.key === key);
+    if (gone?.file) URL.revokeObjectURL(gone.preview);
+    onChange(items.filter((p) => p.key !== key));
+  };
+
+  return (
+    <div className="memory-form__row">
+      {items.length > 0 && (
+        <ul className="photo-list">
+          {items.map((p, i) => (
+            <li key={p.key} className="photo-list__item">
+              <img src={p.preview} alt={p.caption || `Photo ${i + 1}`} className="photo-list__thumb" />
+              <input
+                className="memory-form__input photo-list__caption"
+                placeholder="Caption (optional)"
+                value={p.caption}
+                onChange={(e) => setCaption(p.key, e.target.value)}
+              />
+              <div className="photo-list__actions">
+                <button type="button" onClick={() => move(i, -1)} disabled={i === 0} aria-label="Move photo up">↑</button>
+                <button type="button" onClick={() => move(i, 1)} disabled={i === items.length - 1} aria-label="Move photo down">↓</button>
+                <button type="button" onClick={() => remove(p.key)} aria-label="Remove photo">✕</button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      <input
+        className="memory-form__input"
+        type="file"
+        accept="image/*"
+        multiple
+        onChange={(e) => {
+          addFiles(e.target.files);
+          e.target.value = "";
+        }}
+        title="Add photos"
+      />
+    </div>
+  );
+}
+
+/* keep the typed lat/lng inputs and the draft pin on the map in sync */
+function useDraftCoordinates(initial, draftPos, onDraftChange) {
+  const [lat, setLat] = useState(initial ? String(initial[0]) : "");
+  const [lng, setLng] = useState(initial ? String(initial[1]) : "");
+
+  // map click / marker drag → inputs
+  // (what was typed is kept when it already says the same, e.g. "48.80")
+  useEffect(() => {
+    if (!draftPos) return;
+    const follow = (value) => (typed) => (String(typed).trim() !== "" && Number(typed) === value ? typed : String(value));
+    setLat(follow(draftPos[0]));
+    setLng(follow(draftPos[1]));
+  }, [draftPos]);
+
+  // inputs → draft pin (only once both values parse)
+  const update = (nextLat, nextLng) => {
+    setLat(nextLat);
+    setLng(nextLng);
+    const pos = parseLatLng(nextLat, nextLng);
+    if (pos) onDraftChange?.(pos);
+  };
+
+  return {
+    lat,
+    lng,
+    setLat: (v) => update(v, lng),
+    setLng: (v) => update(lat, v),
+    setPosition: (pos) => update(String(pos[0]), String(pos[1])),
+    reset: () => { setLat(""); setLng(""); onDraftChange?.(null); },
+  };
+}
+
+/* offer the location/date found in a photo's EXIF data */
+function ExifSuggestion({ meta, onApply, onDismiss }) {
+  const hasPos = meta.lat !== null && meta.lng !== null;
+  return (
+    <div className="exif-suggestion" role="status">
+      <div>
+        Found in photo:
+        {hasPos && <> 📍 <b>{meta.lat}, {meta.lng}</b></>}
+        {meta.date && <> 📅 <b>{new Date(meta.date).toLocaleDateString()}</b></>}
+      </div>
+      <div className="exif-suggestion__actions">
+        {hasPos && meta.date && (
+          <button type="button" onClick={() => onApply({ position: true, date: true })}>Use both</button>
+        )}
+        {hasPos && <button type="button" onClick={() => onApply({ position: true })}>Use location</button>}
+        {meta.date && <button type="button" onClick={() => onApply({ date: true })}>Use date</button>}
+        <button type="button" onClick={onDismiss}>Ignore</button>
+      </div>
+    </div>
+  );
+}
+
+function TripSelect({ trips, value, onChange }) {
+  if (!trips.length) return null;
+  return (
+    <div className="memory-form__row">
+      <select className="memory-form__input" value={value} onChange={(e) => onChange(e.target.value)} aria-label="Trip">
+        <option value="">No trip</option>
+        {trips.map((t) => (
+          <option key={t.id} value={t.id}>{t.name}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+function PickOnMapButton({ active, onToggle }) {
+  return (
+    <button
+      type="button"
+      className={`memory-form__pick${active ? " is-active" : ""}`}
+      onClick={onToggle}
+      title="Click the map to place the pin"
+    >
+      {active ? "Click the map… (cancel)" : "📍 Pick on map"}
+    </button>
+  );
+}
+
+/* type-ahead place search; onSelect({ label, latitude, longitude, ... }) */
+function PlaceSearch({ onSelect, autoFocus }) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [active, setActive] = useState(0);
+  const [status, setStatus] = useState("");
+  const listId = useId();
+
+  useEffect(() => {
+    const q = query.trim();
+    if (q.length < 2) {
+      setResults([]);
+      setStatus("");
+      return;
+    }
+    let cancelled = false;
+    // wait for typing to pause; HTTP geocoders limit how often they may be asked
+    const timer = setTimeout(async () => {
+      setStatus("Searching…");
+      try {
+        const found = await getGeocoder().search(q);
+        if (cancelled) return;
+        setResults(found);
+        setActive(0);
+        setStatus(found.length ? "" : "No places found");
+      } catch (err) {
+        console.error("Place search failed: ", err);
+        if (!cancelled) setStatus("Place search is unavailable right now");
+      }
+    }, PLACE_SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  const choose = (place) => {
+    onSelect(place);
+    setQuery("");
+    setResults([]);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === "Enter") {
+      // never submit the surrounding form from here
+      e.preventDefault();
+      if (results[active]) choose(results[active]);
+    } else if (e.key === "ArrowDown" && results.length) {
+      e.preventDefault();
+      setActive((i) => (i + 1) % results.length);
+    } else if (e.key === "ArrowUp" && results.length) {
+      e.preventDefault();
+      setActive((i) => (i - 1 + results.length) % results.length);
+    } else if (e.key === "Escape") {
+      setResults([]);
+    }
+  };
+
+  return (
+    <div className="place-search">
+      <input
+        className="memory-form__input"
+        type="search"
+        role="combobox"
+        aria-label="Search for a place"
+        aria-expanded={results.length > 0}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        placeholder="🔎 Search for a place…"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        onKeyDown={onKeyDown}
+        autoFocus={autoFocus}
+      />
+      {results.length > 0 && (
+        <ul className="place-search__results" role="listbox" id={listId}>
+          {results.map((place, i) => (
+            <li
+              key={`${place.label}-${place.latitude}-${place.longitude}`}
+              role="option"
+              aria-selected={i === active}
+              className={i === active ? "is-active" : ""}
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(place)}
+            >
+              {place.label}
+            </li>
+          ))}
+        </ul>
+      )}
+      {status && <div className="panel-muted">{status}</div>}
+    </div>
+  );
+}
+
+/* place search in the add/edit forms: fills lat/lng and remembers the name for saving */
+function useFormPlace(setPosition) {
+  const [picked, setPicked] = useState(null);
+  const select = (place) => {
+    const pos = [roundCoord(place.latitude), roundCoord(place.longitude)];
+    setPosition(pos);
+    setPicked({ label: place.label, pos });
+  };
+  // the picked name only applies while the pin is still where the search put it
+  const placeFor = (lat, lng) => (picked && samePosition(picked.pos, [Number(lat), Number(lng)]) ? picked.label : null);
+  return { select, placeFor, reset: () => setPicked(null) };
+}
+
+/* "📍 Lisbon, Portugal" in the popup. Memories saved before places existed (or imported)
+   are looked up when first opened, and the name is stored if the viewer may edit. */
+function PlaceName({ memory, canEdit }) {
+  const [found, setFound] = useState(null);
+  const pos = positionOf(memory);
+  const lat = pos?.[0];
+  const lng = pos?.[1];
+
+  useEffect(() => {
+    if (memory.place || lat === undefined) return;
+    let cancelled = false;
+    lookupPlace(lat, lng).then((label) => {
+      if (cancelled || !label) return;
+      setFound(label);
+      if (canEdit) {
+        queuedWrite(repo().updateMemory(memory.id, { place: label })).catch((err) =>
+          console.error("Error saving place name: ", err)
+        );
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [memory.id, memory.place, lat, lng, canEdit]);
+
+  const label = memory.place || found;
+  return label ? <div className="memory-place">📍 {label}</div> : null;
+}
+
+/* toolbar panel: find a place and fly the map there */
+function PlacePanel({ onSelect, onClose }) {
+  return (
+    <aside className="side-panel" aria-label="Find a place">
+      <div className="memory-form__header">
+        <strong>Find a place</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close place search">✕</button>
+      </div>
+      <PlaceSearch onSelect={onSelect} autoFocus />
+    </aside>
+  );
+}
+
+/* value "" follows the category's colour (stored as null); picking a colour pins it down */
+function PinColorPicker({ id, value, category, onChange }) {
+  return (
+    <div className="memory-form__color memory-form__input">
+      <label htmlFor={id}>Marker colour</label>
+      <input
+        id={id}
+        type="color"
+        value={value || colorForMemory({ category })}
+        onChange={(e) => onChange(e.target.value)}
+        title="Choose pin colour"
+      />
+      {value ? (
+        <button type="button" className="memory-form__color-reset" onClick={() => onChange("")}>
+          Use category colour
+        </button>
+      ) : (
+        <span className="memory-form__color-note">by category</span>
+      )}
+    </div>
+  );
+}
+
+function AddMemoryForm({ onClose, draftPos, onDraftChange, picking, onTogglePicking, trips = [] }) {
+  const [title, setTitle] = useState("");
+  const [description, setDescription] = useState("");
+  const { lat, lng, setLat, setLng, setPosition, reset: resetCoords } = useDraftCoordinates(null, draftPos, onDraftChange);
+  const formPlace = useFormPlace(setPosition);
+  const [photos, setPhotos] = useState([]);
+  const [category, setCategory] = useState("");
+  const [color, setColor] = useState(""); // "" = colour by category
+  const [date, setDate] = useState("");
+  const [tripId, setTripId] = useState("");
+  const [exifMeta, setExifMeta] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  // look for GPS/date in the first newly chosen photo that has any
+  const onFilesAdded = async (files) => {
+    for (const file of files) {
+      const meta = await readPhotoMetadata(file);
+      if (meta) {
+        setExifMeta(meta);
+        return;
+      }
+    }
+  };
+
+  const applyExif = ({ position, date: useDate }) => {
+    if (position) setPosition([exifMeta.lat, exifMeta.lng]);
+    if (useDate) setDate(exifMeta.date);
+    setExifMeta(null);
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+        alert("Please enter valid numeric latitude and longitude.");
+        setSaving(false);
+        return;
+      }
+      // 👇 CORRECTION IS HERE: Added 'date' to the object being passed
+      const place = formPlace.placeFor(lat, lng);
+      await addMemory({ title, description, lat, lng, place, photos, category, color, date, tripId }, trips);
+      setTitle(""); setDescription(""); resetCoords(); formPlace.reset(); setPhotos([]); setExifMeta(null);
+      setCategory(""); setColor(""); setDate(""); setTripId("");
+      onClose?.();
+    } catch (err) {
+      console.error(err);
+      alert("Failed to add marker");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="memory-form" onSubmit={submit}>
+      <div className="memory-form__header">
+        <strong>Add Memory</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close">✕</button>
+      </div>
+
+      <div className="memory-form__row">
+        <input className="memory-form__input" placeholder="Title *" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={200} required />
+      </div>
+
+      <div className="memory-form__row">
+        <textarea className="memory-form__input" placeholder="Description (optional)" rows={3} value={description} onChange={(e) => setDescription(e.target.value)} maxLength={5000} />
+      </div>
+
+      <PlaceSearch onSelect={formPlace.select} />
+      <div className="memory-form__grid-2">
+        <input className="memory-form__input" placeholder="Latitude *" value={lat} onChange={(e) => setLat(e.target.value)} required />
+        <input className="memory-form__input" placeholder="Longitude *" value={lng} onChange={(e) => setLng(e.target.value)} required />
+      </div>
+      {formPlace.placeFor(lat, lng) && <div className="memory-place">📍 {formPlace.placeFor(lat, lng)}</div>}
+      <PickOnMapButton active={picking} onToggle={onTogglePicking} />
+
+      <div className="memory-form__grid-2">
+        <input className="memory-form__input" placeholder="Category" value={category} onChange={(e) => setCategory(e.target.value)} maxLength={80} />
+        <PinColorPicker id="pinColor" value={color} category={category} onChange={setColor} />
+      </div>
+      
+      {/* 👇 CORRECTION IS HERE: Added the date input field */}
+      <div className="memory-form__row">
+        <input className="memory-form__input" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+      </div>
+
+      <TripSelect trips={trips} value={tripId} onChange={setTripId} />
+
+      <PhotoListEditor items={photos} onChange={setPhotos} onFilesAdded={onFilesAdded} />
+      {exifMeta && <ExifSuggestion meta={exifMeta} onApply={applyExif} onDismiss={() => setExifMeta(null)} />}
+
+      <button className="memory-form__btn" disabled={saving}>{saving ? "Saving..." : "Add Marker"}</button>
+    </form>
+  );
+}
+
+function EditMemoryForm({ memory, onClose, draftPos, onDraftChange, picking, onTogglePicking, trips = [], canRevert }) {
+  const [title, setTitle] = useState(memory.title || "");
+  const [description, setDescription] = useState(memory.description || "");
+  const [date, setDate] = useState(memory.date || "");
+  const { lat, lng, setLat, setLng, setPosition } = useDraftCoordinates(
+    positionOf(memory),
+    draftPos,
+    onDraftChange
+  );
+  const formPlace = useFormPlace(setPosition);
+  const [category, setCategory] = useState(memory.category || "");
+  const [color, setColor] = useState(memory.color || "");
+  const [photos, setPhotos] = useState(() => photoItemsFromMemory(memory));
+  const [tripId, setTripId] = useState(() => tripOfMemory(trips, memory.id)?.id || "");
+  const [saving, setSaving] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+        alert("Please enter valid numeric latitude and longitude.");
+        setSaving(false);
+        return;
+      }
+      await updateMemory(memory, {
+        title, description, lat, lng, place: formPlace.placeFor(lat, lng), photos, category, color, date, tripId
+      }, trips);
+      onClose?.();
+    } catch (err) {
+      console.error(err);
+      alert("Failed to update marker");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="memory-form" onSubmit={submit}>
+      <div className="memory-form__header">
+        <strong>Edit Memory</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close">✕</button>
+      </div>
+
+      <div className="memory-form__row">
+        <input className="memory-form__input" placeholder="Title *" value={title} onChange={(e) => setTitle(e.target.value)} maxLength={200} required />
+      </div>
+
+      <div className="memory-form__row">
+        <textarea className="memory-form__input" placeholder="Description (optional)" rows={3} value={description} onChange={(e) => setDescription(e.target.value)} maxLength={5000} />
+      </div>
+
+      <div className="memory-form__row">
+        <input className="memory-form__input" type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+      </div>
+
+      <PlaceSearch onSelect={formPlace.select} />
+      <div className="memory-form__grid-2">
+        <input className="memory-form__input" placeholder="Latitude *" value={lat} onChange={(e) => setLat(e.target.value)} required />
+        <input className="memory-form__input" placeholder="Longitude *" value={lng} onChange={(e) => setLng(e.target.value)} required />
+      </div>
+      {formPlace.placeFor(lat, lng) && <div className="memory-place">📍 {formPlace.placeFor(lat, lng)}</div>}
+      <PickOnMapButton active={picking} onToggle={onTogglePicking} />
+
+      <div className="memory-form__grid-2">
+        <input className="memory-form__input" placeholder="Category (anything)" value={category} onChange={(e) => setCategory(e.target.value)} />
+        <PinColorPicker id={`pinColor-${memory.id}`} value={color} category={category} onChange={setColor} />
+      </div>
+
+      <TripSelect trips={trips} value={tripId} onChange={setTripId} />
+
+      <PhotoListEditor items={photos} onChange={setPhotos} />
+
+      <button className="memory-form__btn" disabled={saving}>{saving ? "Saving..." : "Save Changes"}</button>
+
+      <RevisionHistory memory={memory} canRevert={canRevert} onReverted={onClose} />
+    </form>
+  );
+}
+
+/* ---------------- Edit history ---------------- */
+function formatRevisionValue(field, value) {
+  if (value === null || value === undefined || value === "") return "—";
+  switch (field) {
+    case "location":
+      return `${value.lat.toFixed(5)}, ${value.lng.toFixed(5)}`;
+    case "date":
+      return formatDate(value);
+    case "images":
+      if (!value.length) return "no photos";
+      return `${value.length} ${value.length === 1 ? "photo" : "photos"}` +
+        (value.some((img) => img.caption) ? ` (${value.map((img) => img.caption || "untitled").join(", ")})` : "");
+    case "description":
+      return value.length > 120 ? `${value.slice(0, 120)}…` : value;
+    default:
+      return String(value);
+  }
+}
+
+function RevisionHistory({ memory, canRevert, onReverted }) {
+  const [open, setOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]);
+  const [reverting, setReverting] = useState(false);
+
+  useEffect(() => {
+    if (!open) return undefined;
+    return repo().subscribeRevisions(memory.id, setRevisions, (error) =>
+      console.error("Error fetching history: ", error)
+    );
+  }, [open, memory.id]);
+
+  const revert = async (state, rev, label) => {
+    if (!window.confirm(`Revert "${memory.title}" to ${label}?`)) return;
+    setReverting(true);
+    try {
+      await revertMemory(memory, state, rev.id);
+      onReverted?.();
+    } catch (err) {
+      console.error(err);
+      alert("Failed to revert");
+    } finally {
+      setReverting(false);
+    }
+  };
+
+  return (
+    <div className="history">
+      <button type="button" className="history__toggle" onClick={() => setOpen((o) => !o)} aria-expanded={open}>
+        {open ? "▾" : "▸"} Edit history
+      </button>
+      {open && revisions.length === 0 && <div className="panel-muted">No edits recorded yet.</div>}
+      {open && (
+        <ol className="history__list">
+          {revisions.map((rev, i) => {
+            const when = rev.at ? rev.at.toLocaleString() : "Just now";
+            const oldest = i === revisions.length - 1;
+            return (
+              <li key={rev.id}>
+                <div className="history__meta">
+                  <strong>{rev.by?.name || "Unknown"}</strong> · {when}
+                  {rev.revertedFrom && <em> · revert</em>}
+                </div>
+                <ul className="history__diff">
+                  {rev.changed.map((f) => (
+                    <li key={f}>
+                      <span>{REVISION_LABELS[f] || f}:</span>{" "}
+                      <del>{formatRevisionValue(f, rev.before?.[f])}</del> →{" "}
+                      <ins>{formatRevisionValue(f, rev.after?.[f])}</ins>
+                    </li>
+                  ))}
+                </ul>
+                {canRevert && (
+                  <div className="history__actions">
+                    {i > 0 && (
+                      <button type="button" className="panel-btn" disabled={reverting} onClick={() => revert(rev.after, rev, `the version from ${when}`)}>
+                        Restore this version
+                      </button>
+                    )}
+                    {oldest && (
+                      <button type="button" className="panel-btn" disabled={reverting} onClick={() => revert(rev.before, rev, "the original version")}>
+                        Restore original
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Comments (subcollection) ---------------- */
+const commentInputStyle = { fontSize: 13, padding: 8, borderRadius: 8, border: "1px solid #e5e7eb" };
+const commentButtonStyle = {
+  background: "#111827",
+  color: "#fff",
+  border: "none",
+  padding: "6px 10px",
+  borderRadius: 8,
+  cursor: "pointer",
+};
+
+/* name + text; used for new comments and replies. `onSubmit(text)` resolves to false to keep the text */
+function CommentForm({ author, onAuthorChange, onSubmit, onCancel, submitLabel = "Post comment", placeholder = "Write a comment…" }) {
+  const [text, setText] = useState("");
+  const [posting, setPosting] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setPosting(true);
+    try {
+      if ((await onSubmit(text.trim().slice(0, MAX_COMMENT_LENGTH))) !== false) setText("");
+    } finally {
+      setPosting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} style={{ display: "grid", gap: 6, marginTop: 8 }}>
+      <input
+        value={author}
+        onChange={(e) => onAuthorChange(e.target.value)}
+        placeholder="Your name "
+        maxLength={MAX_AUTHOR_LENGTH}
+        style={commentInputStyle}
+      />
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        placeholder={placeholder}
+        rows={2}
+        maxLength={MAX_COMMENT_LENGTH}
+        required
+        style={commentInputStyle}
+      />
+      <div style={{ display: "flex", gap: 6, justifyContent: "flex-end" }}>
+        {onCancel && (
+          <button type="button" className="panel-btn" onClick={onCancel}>Cancel</button>
+        )}
+        <button disabled={posting || !text.trim()} style={{ ...commentButtonStyle, cursor: posting ? "default" : "pointer" }}>
+          {posting ? "Posting…" : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+function CommentsSection({ memoryId, user, role, settings = {}, unread = false, onSeen }) {
+  const [comments, setComments] = useState([]);
+  const [author, setAuthor] = useState("");
+  const [replyTo, setReplyTo] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, text }
+  const [notice, setNotice] = useState("");
+  const isOwner = can(role, "admin");
+
+  useEffect(() => {
+    const unsub = repo().subscribeComments(memoryId, setComments, (error) =>
+      console.error("Error fetching comments: ", error)
+    );
+    return () => unsub();
+  }, [memoryId]);
+
+  // opening the comments counts as reading them; the latest onSeen is used, but a new
+  // one (every read-state change) doesn't count as opening them again
+  const onSeenRef = useRef(onSeen);
+  onSeenRef.current = onSeen;
+  useEffect(() => {
+    if (unread) onSeenRef.current?.();
+  }, [unread, memoryId]);
+
+  const threads = useMemo(() => buildThreads(visibleComments(comments, { isOwner })), [comments, isOwner]);
+
+  /* resolves to false when nothing was posted, so the form keeps the text */
+  const postComment = async (text, parentId = null) => {
+    // people who can edit the map are trusted not to flood it
+    const wait = can(role, "edit") ? 0 : commentWaitMinutes(settings.commentsPerHour);
+    if (wait) {
+      alert(`You've posted a lot of comments recently. Please try again in ${wait} ${wait === 1 ? "minute" : "minutes"}.`);
+      return false;
+    }
+    const status = initialCommentStatus({ authorUid: user?.uid, settings });
+    try {
+      await queuedWrite(
+        repo().addComment(memoryId, {
+          author: author.trim().slice(0, MAX_AUTHOR_LENGTH) || "Anonymous",
+          text,
+          authorUid: user?.uid || null,     // ← tie comment to signed-in user (if any)
+          parentId,
+          status,
+        })
+      );
+      recordCommentPosted();
+      setReplyTo(null);
+      setNotice(status === "pending" ? "Thanks! Your comment will appear once it has been approved." : "");
+      return true;
+    } catch (err) {
+      console.error(err);
+      alert("Failed to post comment");
+      return false;
+    }
+  };
+
+  const isAuthor = (c) => Boolean(user && c.authorUid && c.authorUid === user.uid);
+  const canDelete = (c) => user && (isOwner || isAuthor(c));
+
+  const saveEdit = async (e) => {
+    e.preventDefault();
+    const text = editing.text.trim().slice(0, MAX_COMMENT_LENGTH);
+    if (!text) return;
+    try {
+      await queuedWrite(repo().editComment(memoryId, editing.id, text));
+      setEditing(null);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to save comment");
+    }
+  };
+
+  const deleteComment = async (id) => {
+    if (!user) return alert("Sign in to delete comments.");
+    if (!window.confirm("Delete this comment?")) return;
+    try {
+      await repo().deleteComment(memoryId, id);
+    } catch (err) {
+      console.error(err);
+      alert("Delete failed (check rules or sign-in).");
+    }
+  };
+
+  const renderComment = (c, depth) => (
+    <div key={c.id} className="comment" style={{ marginLeft: depth ? Math.min(depth, 3) * 12 : 0 }}>
+      <div className="comment__body">
+        <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 4, gap: 6 }}>
+          <strong>{c.author || "Anonymous"}</strong>
+          <span style={{ color: "#6b7280" }}>
+            {c.createdAt ? c.createdAt.toLocaleString() : "Just now"}
+            {c.editedAt && <span title={`Edited ${c.editedAt.toLocaleString()}`}> · edited</span>}
+          </span>
+        </div>
+        {commentStatus(c) !== "visible" && (
+          <div className={`comment__status comment__status--${commentStatus(c)}`}>
+            {COMMENT_STATUS_LABELS[commentStatus(c)]}
+          </div>
+        )}
+
+        {editing?.id === c.id ? (
+          <form onSubmit={saveEdit} style={{ display: "grid", gap: 6 }}>
+            <textarea
+              value={editing.text}
+              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+              rows={3}
+              maxLength={MAX_COMMENT_LENGTH}
+              aria-label="Edit comment"
+              style={commentInputStyle}
+            />
+            <div style={{ display: "flex", gap: 6, justifyContent: "flex-end" }}>
+              <button type="button" className="panel-btn" onClick={() => setEditing(null)}>Cancel</button>
+              <button className="panel-btn primary" disabled={!editing.text.trim()}>Save</button>
+            </div>
+          </form>
+        ) : (
+          <div style={{ whiteSpace: "pre-wrap", fontSize: 13 }}>{c.text}</div>
+        )}
+
+        {editing?.id !== c.id && (
+          <div className="comment__actions">
+            {can(role, "comment") && (
+              <button type="button" onClick={() => setReplyTo(replyTo === c.id ? null : c.id)}>Reply</button>
+            )}
+            {isAuthor(c) && (
+              <button type="button" onClick={() => setEditing({ id: c.id, text: c.text })}>Edit</button>
+            )}
+            {canDelete(c) && (
+              <button type="button" className="danger" onClick={() => deleteComment(c.id)}>Delete</button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {replyTo === c.id && (
+        <CommentForm
+          author={author}
+          onAuthorChange={setAuthor}
+          onSubmit={(text) => postComment(text, c.id)}
+          onCancel={() => setReplyTo(null)}
+          submitLabel="Post reply"
+          placeholder={`Reply to ${c.author || "Anonymous"}…`}
+        />
+      )}
+      {c.replies.map((r) => renderComment(r, depth + 1))}
+    </div>
+  );
+
+  return (
+    <div style={{ marginTop: 10 }}>
+      <h4 style={{ margin: "0 0 6px", fontSize: 14 }}>Comments</h4>
+      {threads.length > 0 && (
+        <div style={{ display: "grid", gap: 6, maxHeight: 240, overflow: "auto" }}>
+          {threads.map((c) => renderComment(c, 0))}
+        </div>
+      )}
+      {notice && <div className="panel-muted" role="status">{notice}</div>}
+
+      {can(role, "comment") && (
+        <CommentForm author={author} onAuthorChange={setAuthor} onSubmit={(text) => postComment(text)} />
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Search & filter panel ---------------- */
+function FilterPanel({ memories, results, filters, onChange, onSelect, onClose }) {
+  const categories = useMemo(() => {
+    const seen = new Map();
+    memories.forEach((m) => {
+      const key = categoryKey(m);
+      if (!key) return;
+      const entry = seen.get(key) || { key, label: String(m.category).trim(), count: 0 };
+      entry.count += 1;
+      seen.set(key, entry);
+    });
+    return [...seen.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }, [memories]);
+  const legend = useMemo(() => buildLegend(memories), [memories]);
+
+  const toggle = (field, value) => {
+    const list = filters[field];
+    onChange({
+      ...filters,
+      [field]: list.includes(value) ? list.filter((v) => v !== value) : [...list, value],
+    });
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Search and filters">
+      <div className="memory-form__header">
+        <strong>Search &amp; filter</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close search">✕</button>
+      </div>
+
+      <input
+        className="memory-form__input"
+        type="search"
+        placeholder="Search titles and descriptions…"
+        value={filters.text}
+        onChange={(e) => onChange({ ...filters, text: e.target.value })}
+        autoFocus
+      />
+
+      {categories.length > 0 && (
+        <div className="filter-group">
+          <div className="filter-group__label">Categories</div>
+          <div className="filter-chips">
+            {categories.map((c) => (
+              <button
+                key={c.key}
+                type="button"
+                className={`filter-chip${filters.categories.includes(c.key) ? " is-active" : ""}`}
+                aria-pressed={filters.categories.includes(c.key)}
+                onClick={() => toggle("categories", c.key)}
+              >
+                {c.label} <small>{c.count}</small>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="filter-group">
+        <div className="filter-group__label">Colours</div>
+        <ul className="legend">
+          {legend.map((entry) => (
+            <li key={entry.color}>
+              <button
+                type="button"
+                className={`legend__item${filters.colors.includes(entry.color) ? " is-active" : ""}`}
+                aria-pressed={filters.colors.includes(entry.color)}
+                onClick={() => toggle("colors", entry.color)}
+                disabled={!entry.count && !filters.colors.includes(entry.color)}
+              >
+                <span className="legend__swatch" style={{ background: entry.color }} />
+                <span>{entry.label}</span>
+                <small>{entry.count}</small>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {hasActiveFilters(filters) && (
+        <button type="button" className="panel-btn" onClick={() => onChange(EMPTY_FILTERS)}>Clear filters</button>
+      )}
+
+      <div className="filter-group">
+        <div className="filter-group__label">{results.length} {results.length === 1 ? "result" : "results"}</div>
+        <ul className="filter-results">
+          {results.map((m) => (
+            <li key={m.id}>
+              <button type="button" onClick={() => onSelect(m)}>
+                <span className="legend__swatch" style={{ background: colorForMemory(m) }} />
+                <span>{m.title}</span>
+                {m.date && <small>{formatDate(m.date)}</small>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </aside>
+  );
+}
+
+/* ---------------- Export (owner only) ---------------- */
+function exportRecord(memory) {
+  const [lat, lng] = positionOf(memory);
+  const { title, description } = memory;
+  return {
+    id: memory.id,
+    title,
+    description,
+    date: memory.date || null,
+    category: (memory.category || "").toString().trim(),
+    color: colorForMemory(memory),
+    lat,
+    lng,
+    images: getImages(memory).map((img) => img.src),
+  };
+}
+
+function ExportPanel({ memories, visible, onClose }) {
+  const [format, setFormat] = useState("geojson");
+  const [scope, setScope] = useState("visible");
+  const source = scope === "all" ? memories : visible;
+  const records = source.filter(positionOf);
+
+  const download = () => {
+    const { extension, mime, serialise } = EXPORT_FORMATS[format];
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`memories-${stamp}.${extension}`, serialise(records.map(exportRecord)), mime);
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Export">
+      <div className="memory-form__header">
+        <strong>Export memories</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close export">✕</button>
+      </div>
+
+      <div className="filter-group">
+        <div className="filter-group__label">Format</div>
+        {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+          <label key={key} className="panel-option">
+            <input type="radio" name="export-format" value={key} checked={format === key} onChange={() => setFormat(key)} />
+            {f.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="filter-group">
+        <div className="filter-group__label">Memories</div>
+        <label className="panel-option">
+          <input type="radio" name="export-scope" checked={scope === "visible"} onChange={() => setScope("visible")} />
+          Current timeline &amp; filters ({visible.length})
+        </label>
+        <label className="panel-option">
+          <input type="radio" name="export-scope" checked={scope === "all"} onChange={() => setScope("all")} />
+          Everything ({memories.length})
+        </label>
+      </div>
+
+      {records.length < source.length && (
+        <div className="panel-muted">{source.length - records.length} without valid coordinates will be skipped.</div>
+      )}
+
+      <button type="button" className="panel-btn primary" onClick={download} disabled={!records.length}>
+        Download {records.length} {records.length === 1 ? "memory" : "memories"}
+      </button>
+    </aside>
+  );
+}
+
+/* ---------------- Import (owner only) ---------------- */
+function ImportPanel({ onPreview, onClose }) {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [includeFlagged, setIncludeFlagged] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+
+  const checked = useMemo(
+    () => (parsed ? parsed.rows.map((r, i) => validateImportRow(r, mapping, parsed.rowNumbers[i])) : []),
+    [parsed, mapping]
+  );
+  // rows with bad coordinates can never be imported; bad dates/colours only when opted in
+  const accepted = checked.filter(
+    (r) => !r.problems.includes("coordinates") && (includeFlagged || r.problems.length === 0)
+  );
+  const flagged = checked.filter((r) => r.problems.length);
+
+  useEffect(() => {
+    onPreview(checked.filter((r) => r.lat !== null));
+  }, [checked, onPreview]);
+  useEffect(() => () => onPreview([]), [onPreview]);
+
+  const chooseFile = async (file) => {
+    setError("");
+    setResult(null);
+    setParsed(null);
+    if (!file) return;
+    try {
+      const data = await readImportFile(file);
+      if (!data.rows.length) throw new Error("No rows found");
+      setFileName(file.name);
+      setParsed(data);
+      setMapping(guessMapping(data.columns));
+    } catch (err) {
+      console.error(err);
+      setError(`Couldn't read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const runImport = async () => {
+    if (!window.confirm(`Import ${accepted.length} memories?`)) return;
+    setProgress({ done: 0, total: accepted.length });
+    try {
+      const res = await importMemories(accepted, (done, total) => setProgress({ done, total }));
+      setResult(res);
+      if (!res.failed.length) setParsed(null);
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <aside className="side-panel side-panel--wide" aria-label="Import">
+      <div className="memory-form__header">
+        <strong>Import memories</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close import">✕</button>
+      </div>
+
+      <input
+        className="memory-form__input"
+        type="file"
+        accept={IMPORT_ACCEPT}
+        onChange={(e) => chooseFile(e.target.files?.[0])}
+        title="CSV, GeoJSON or KML"
+      />
+      {error && <div className="panel-error">{error}</div>}
+
+      {parsed && (
+        <>
+          <div className="panel-muted">{fileName}: {parsed.rows.length} rows. Map the columns:</div>
+          <div className="import-mapping">
+            {IMPORT_FIELDS.map((f) => (
+              <label key={f.key}>
+                <span>{f.label}</span>
+                <select
+                  className="memory-form__input"
+                  value={mapping[f.key] || ""}
+                  onChange={(e) => setMapping({ ...mapping, [f.key]: e.target.value })}
+                >
+                  <option value="">—</option>
+                  {parsed.columns.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="import-summary">
+            <span className="import-dot ok" /> {checked.length - flagged.length} valid
+            <span className="import-dot warn" /> {flagged.filter((r) => !r.problems.includes("coordinates")).length} bad date/colour
+            <span className="import-dot bad" /> {flagged.filter((r) => r.problems.includes("coordinates")).length} bad coordinates
+          </div>
+
+          {flagged.length > 0 && (
+            <>
+              <ul className="import-flagged">
+                {flagged.slice(0, 100).map((r) => (
+                  <li key={r.rowNumber}>
+                    Row {r.rowNumber} <b>{r.title}</b>: bad {r.problems.join(", ")}
+                  </li>
+                ))}
+                {flagged.length > 100 && <li>…and {flagged.length - 100} more</li>}
+              </ul>
+              <label className="panel-option">
+                <input type="checkbox" checked={includeFlagged} onChange={(e) => setIncludeFlagged(e.target.checked)} />
+                Import rows with a bad date/colour (those fields are left empty)
+              </label>
+            </>
+          )}
+
+          {progress ? (
+            <div className="import-progress">
+              <progress value={progress.done} max={progress.total} />
+              <span>{progress.done} / {progress.total}</span>
+            </div>
+          ) : (
+            <button type="button" className="panel-btn primary" onClick={runImport} disabled={!accepted.length}>
+              Import {accepted.length} {accepted.length === 1 ? "memory" : "memories"}
+            </button>
+          )}
+        </>
+      )}
+
+      {result && (
+        <div className={result.failed.length ? "panel-error" : "panel-muted"}>
+          Imported {result.written}.
+          {result.failed.length > 0 && (
+            <> Failed rows: {result.failed.map((f) => f.row).join(", ")} ({result.failed[0].error})</>
+          )}
+        </div>
+      )}
+    </aside>
+  );
+}
+
+/* preview pins for the rows being imported (green ok, amber flagged) */
+function ImportPreviewLayer({ rows }) {
+  return rows.map((r) => (
+    <CircleMarker
+      key={r.rowNumber}
+      center={[r.lat, r.lng]}
+      radius={6}
+      pathOptions={{ color: r.problems.length ? "#d97706" : "#16a34a", fillOpacity: 0.7 }}
+    >
+      <Tooltip>
+        Row {r.rowNumber}: {r.title}
+        {r.problems.length > 0 && <> (bad {r.problems.join(", ")})</>}
+      </Tooltip>
+    </CircleMarker>
+  ));
+}
+
+/* ---------------- Roles (owner only) ---------------- */
+function RolesPanel({ user, onClose }) {
+  const [assignments, setAssignments] = useState([]);
+  const [email, setEmail] = useState("");
+  const [role, setRole] = useState("editor");
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => subscribeRoles(setAssignments), []);
+
+  const owners = assignments.filter((a) => a.role === "owner");
+  // never let the last owner lock everyone out
+  const isLastOwner = (a) => a.role === "owner" && owners.length === 1;
+
+  const save = async (targetEmail, targetRole) => {
+    setSaving(true);
+    try {
+      await assignRole(targetEmail, targetRole);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to save role (check rules or sign-in).");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const add = async (e) => {
+    e.preventDefault();
+    if (!/^[^@\s]+@[^@\s]+$/.test(email.trim())) {
+      alert("Please enter an email address.");
+      return;
+    }
+    await save(email, role);
+    setEmail("");
+  };
+
+  const remove = async (a) => {
+    const after = isPrivateMap(repo().mapId)
+      ? "They'll no longer see this map."
+      : `They'll fall back to ${ROLE_LABELS[DEFAULT_ROLE]}.`;
+    if (!window.confirm(`Remove ${a.email}? ${after}`)) return;
+    try {
+      await removeRole(a.email);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to remove role");
+    }
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Roles">
+      <div className="memory-form__header">
+        <strong>People &amp; roles</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close roles">✕</button>
+      </div>
+      <div className="panel-muted">
+        Owners manage everything, editors add and change memories, commenters can only comment and
+        viewers can only look.{" "}
+        {isPrivateMap(repo().mapId)
+          ? "Anyone not listed can't see this map."
+          : `Anyone not listed is a ${ROLE_LABELS[DEFAULT_ROLE].toLowerCase()}.`}
+      </div>
+
+      <ul className="roles-list">
+        {assignments.map((a) => (
+          <li key={a.id}>
+            <span className="roles-list__email">
+              {a.email}
+              {roleKey(user?.email) === a.id && <small> (you)</small>}
+            </span>
+            <select
+              className="memory-form__input"
+              value={a.role}
+              disabled={saving || isLastOwner(a)}
+              onChange={(e) => save(a.email, e.target.value)}
+              aria-label={`Role for ${a.email}`}
+            >
+              {ROLES.map((r) => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+            </select>
+            <button
+              type="button"
+              className="panel-btn danger"
+              disabled={isLastOwner(a)}
+              onClick={() => remove(a)}
+              aria-label={`Remove ${a.email}`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      <form className="roles-add" onSubmit={add}>
+        <input
+          className="memory-form__input"
+          type="email"
+          placeholder="Google account email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+        <select className="memory-form__input" value={role} onChange={(e) => setRole(e.target.value)} aria-label="Role">
+          {ROLES.map((r) => <option key={r} value={r}>{ROLE_LABELS[r]}</option>)}
+        </select>
+        <button className="panel-btn primary" disabled={saving}>Add</button>
+      </form>
+
+      <ShareLinks />
+    </aside>
+  );
+}
+
+/* ---------------- Share links (owner only, inside the roles panel) ---------------- */
+function ShareLinks() {
+  const [invites, setInvites] = useState([]);
+  const [role, setRole] = useState(INVITE_ROLES[0]);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(
+    () => repo().subscribeInvites(setInvites, (error) => console.error("Error fetching share links: ", error)),
+    []
+  );
+
+  const create = async () => {
+    setBusy(true);
+    try {
+      const token = await repo().createInvite(role);
+      await copyLink(inviteUrl(repo().mapId, token));
+    } catch (err) {
+      console.error(err);
+      alert("Failed to create share link");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const turnOff = async (invite) => {
+    if (!window.confirm("Turn this link off? People who already joined through it keep their role.")) return;
+    try {
+      await repo().deleteInvite(invite.id);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to turn off share link");
+    }
+  };
+
+  return (
+    <div className="filter-group">
+      <span className="filter-group__label">Share links</span>
+      <span className="panel-muted">
+        Anyone who signs in through a link gets its role, unless they already have one.
+      </span>
+      <ul className="roles-list">
+        {invites.map((invite) => (
+          <li key={invite.id}>
+            <span className="roles-list__email">
+              {INVITE_ROLE_LABELS[invite.role] || ROLE_LABELS[invite.role]}
+              {invite.createdAt && <small> · {invite.createdAt.toLocaleDateString()}</small>}
+            </span>
+            <button type="button" className="panel-btn" onClick={() => copyLink(inviteUrl(repo().mapId, invite.id))}>
+              Copy
+            </button>
+            <button
+              type="button"
+              className="panel-btn danger"
+              onClick={() => turnOff(invite)}
+              aria-label={`Turn off ${INVITE_ROLE_LABELS[invite.role] || invite.role} link`}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="roles-add share-links__add">
+        <select
+          className="memory-form__input"
+          value={role}
+          onChange={(e) => setRole(e.target.value)}
+          aria-label="Share link role"
+        >
+          {INVITE_ROLES.map((r) => <option key={r} value={r}>{INVITE_ROLE_LABELS[r]}</option>)}
+        </select>
+        <button type="button" className="panel-btn primary" disabled={busy} onClick={create}>Create link</button>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Map switcher ---------------- */
+function MapsPanel({ user, onClose }) {
+  const [maps, setMaps] = useState(null);
+  const [name, setName] = useState("");
+  const [creating, setCreating] = useState(false);
+  const [created, setCreated] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    listMyMaps(user.email).then(
+      (list) => !cancelled && setMaps(list),
+      (err) => {
+        console.error("Error fetching maps: ", err);
+        if (!cancelled) setMaps([]);
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [user.email, created]);
+
+  const create = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const id = await createMap(name);
+      setCreated({ id, title: name.trim() });
+      setName("");
+    } catch (err) {
+      console.error(err);
+      alert("Failed to create map");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Maps">
+      <div className="memory-form__header">
+        <strong>Maps</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close maps">✕</button>
+      </div>
+
+      {maps === null ? (
+        <div className="panel-muted">Loading…</div>
+      ) : (
+        <ul className="filter-results maps-list">
+          {maps.map((m) => (
+            <li key={m.id}>
+              <a
+                href={mapPath(m.id)}
+                className={m.id === repo().mapId ? "is-active" : undefined}
+                aria-current={m.id === repo().mapId ? "page" : undefined}
+              >
+                {m.title}
+                {m.role && <small>{ROLE_LABELS[m.role]}</small>}
+              </a>
+            </li>
+          ))}
         </ul>
+      )}
+
+      <form className="roles-add maps-add" onSubmit={create}>
+        <input
+          className="memory-form__input"
+          placeholder="New map name"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          maxLength={MAX_MAP_NAME_LENGTH}
+          required
+        />
+        <button className="panel-btn primary" disabled={creating || !name.trim()}>Create map</button>
+      </form>
+      {created && (
+        <div className="panel-muted">
+          Created “{created.title}”. <a href={mapPath(created.id)}>Open it</a> and share it from People &amp; roles.
+        </div>
+      )}
+    </aside>
+  );
+}
+
+/* ---------------- Base map switcher (see tileProviders.js) ---------------- */
+const BASE_MAP_KEY = "mm_base_map";
+
+function BaseMapPanel({ providers, selected, onSelect, onClose }) {
+  return (
+    <aside className="side-panel" aria-label="Base map">
+      <div className="memory-form__header">
+        <strong>Base map</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close base map">✕</button>
+      </div>
+      <div className="base-maps">
+        {providers.map((p) => (
+          <label key={p.id} className={`panel-option${p.id === selected.id ? " is-active" : ""}`}>
+            <input type="radio" name="base-map" checked={p.id === selected.id} onChange={() => onSelect(p.id)} />
+            {p.name}
+            {p.dark && <small>dark theme</small>}
+          </label>
+        ))}
+      </div>
+      <div className="panel-muted">Your choice is remembered on this device.</div>
+    </aside>
+  );
+}
+
+/* ---------------- Maintenance (owner only) ---------------- */
+function MaintenancePanel({ memories, onClose }) {
+  const [scanning, setScanning] = useState(false);
+  const [purging, setPurging] = useState(false);
+  const [orphans, setOrphans] = useState(null);
+
+  const scan = async () => {
+    setScanning(true);
+    try {
+      setOrphans(await findOrphans(memories));
+    } catch (err) {
+      console.error(err);
+      alert("Scan failed (check rules or sign-in).");
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const purge = async (which) => {
+    const target = { files: which === "files" ? orphans.files : [], comments: which === "comments" ? orphans.comments : [] };
+    const n = target.files.length + target.comments.length;
+    if (!window.confirm(`Permanently delete ${n} orphaned ${which === "files" ? "files" : "comments"}?`)) return;
+    setPurging(true);
+    try {
+      await purgeOrphans(target);
+      setOrphans({ ...orphans, [which]: [] });
+    } catch (err) {
+      console.error(err);
+      alert("Purge failed");
+    } finally {
+      setPurging(false);
+    }
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Maintenance">
+      <div className="memory-form__header">
+        <strong>Maintenance</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close maintenance">✕</button>
+      </div>
+      <div className="panel-muted">
+        Finds uploaded photos that no memory uses any more and comments left behind by deleted memories.
+      </div>
+      <button type="button" className="panel-btn primary" onClick={scan} disabled={scanning || purging}>
+        {scanning ? "Scanning…" : orphans ? "Scan again" : "Scan"}
+      </button>
+
+      {orphans && (
+        <>
+          <div className="filter-group">
+            <div className="filter-group__label">{orphans.files.length} orphaned files</div>
+            <ul className="maintenance-list">
+              {orphans.files.slice(0, 50).map((path) => <li key={path}>{path.split("/").pop()}</li>)}
+              {orphans.files.length > 50 && <li>…and {orphans.files.length - 50} more</li>}
+            </ul>
+            {orphans.files.length > 0 && (
+              <button type="button" className="panel-btn danger" onClick={() => purge("files")} disabled={purging}>
+                Delete files
+              </button>
+            )}
+          </div>
+          <div className="filter-group">
+            <div className="filter-group__label">{orphans.comments.length} orphaned comments</div>
+            <ul className="maintenance-list">
+              {orphans.comments.slice(0, 50).map((c) => (
+                <li key={`${c.memoryId}/${c.id}`}>
+                  <b>{c.author || "Anonymous"}</b>: {String(c.text || "").slice(0, 60)}
+                </li>
+              ))}
+              {orphans.comments.length > 50 && <li>…and {orphans.comments.length - 50} more</li>}
+            </ul>
+            {orphans.comments.length > 0 && (
+              <button type="button" className="panel-btn danger" onClick={() => purge("comments")} disabled={purging}>
+                Delete comments
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      <CommentRecount memories={memories} />
+      <SchemaMigration />
+    </aside>
+  );
+}
+
+function CommentRecount({ memories }) {
+  const [busy, setBusy] = useState(false);
+  const [corrected, setCorrected] = useState(null);
+
+  const recount = async () => {
+    setBusy(true);
+    try {
+      setCorrected(await recountComments(memories));
+    } catch (err) {
+      console.error(err);
+      alert("Recount failed (check rules or sign-in).");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="filter-group">
+      <div className="filter-group__label">Comment counts</div>
+      <div className="panel-muted">
+        Pins show how many comments a memory has. Memories commented on before counts were kept need a recount.
+      </div>
+      <button type="button" className="panel-btn" onClick={recount} disabled={busy}>
+        {busy ? "Counting…" : "Recount comments"}
+      </button>
+      {corrected !== null && (
+        <div className="panel-muted" role="status">
+          {corrected ? `Updated ${corrected} ${corrected === 1 ? "memory" : "memories"}.` : "All counts were right."}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function SchemaMigration() {
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const dryRun = async () => {
+    setBusy(true);
+    setResult(null);
+    try {
+      setReport(await planSchemaMigration());
+    } catch (err) {
+      console.error(err);
+      alert("Dry run failed (check rules or sign-in).");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const migrate = async () => {
+    const n = report.convertible.length;
+    if (!window.confirm(`Rewrite ${n} memories in the current format?`)) return;
+    setBusy(true);
+    try {
+      const outcome = await migrateMemories(report.convertible, (done, total) => setProgress({ done, total }));
+      setResult(outcome);
+      setReport(await planSchemaMigration());
+    } catch (err) {
+      console.error(err);
+      alert("Migration failed");
+    } finally {
+      setBusy(false);
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div className="filter-group">
+      <div className="filter-group__label">Data format (version {MEMORY_SCHEMA_VERSION})</div>
+      <div className="panel-muted">
+        Older memories are converted each time they're shown. Migrating rewrites them once, for good.
+      </div>
+      <button type="button" className="panel-btn" onClick={dryRun} disabled={busy}>
+        {busy && !progress ? "Checking…" : "Dry run"}
+      </button>
+
+      {report && (
+        <>
+          <div className="panel-muted">
+            {report.current} already current · {report.convertible.length} to convert · {report.failing.length} can't be
+            converted
+          </div>
+          {report.convertible.length > 0 && (
+            <>
+              <ul className="maintenance-list">
+                {report.convertible.slice(0, 50).map((r) => (
+                  <li key={r.id}>
+                    <b>{r.title}</b>: {r.changes.join(", ")}
+                  </li>
+                ))}
+                {report.convertible.length > 50 && <li>…and {report.convertible.length - 50} more</li>}
+              </ul>
+              <button type="button" className="panel-btn primary" onClick={migrate} disabled={busy}>
+                {progress ? `Migrating ${progress.done}/${progress.total}…` : `Migrate ${report.convertible.length}`}
+              </button>
+            </>
+          )}
+          {report.failing.length > 0 && (
+            <ul className="maintenance-list">
+              {report.failing.map((r) => (
+                <li key={r.id}>
+                  <b>{r.title}</b> ({r.id}): {r.errors.join(", ")}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+
+      {result && (
+        <div className="panel-muted">
+          Migrated {result.migrated}.
+          {result.failed.map((f) => (
+            <div key={f.id}>
+              {f.title}: {f.error}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Trash (owner only) ---------------- */
+function TrashPanel({ trashed, retentionDays, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const [days, setDays] = useState(String(retentionDays));
+
+  useEffect(() => setDays(String(retentionDays)), [retentionDays]);
+
+  const sorted = useMemo(
+    () =>
+      trashed
+        .slice()
+        .sort((a, b) => (b.deletedAt?.getTime() ?? 0) - (a.deletedAt?.getTime() ?? 0)),
+    [trashed]
+  );
+
+  const run = async (fn, failure) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      console.error(err);
+      alert(failure);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const purge = (memory) => {
+    if (!window.confirm(`Permanently delete "${memory.title}"? This can't be undone.`)) return;
+    run(() => deleteMemory(memory), "Failed to delete memory");
+  };
+
+  const emptyTrash = () => {
+    if (!window.confirm(`Permanently delete all ${trashed.length} memories in the trash?`)) return;
+    run(() => Promise.all(trashed.map(deleteMemory)), "Failed to empty trash");
+  };
+
+  const saveRetention = (e) => {
+    e.preventDefault();
+    const n = Math.round(Number(days));
+    if (!Number.isFinite(n) || n < 1 || n > 3650) {
+      alert("Please enter a number of days between 1 and 3650.");
+      return;
+    }
+    run(() => saveSiteSettings({ trashRetentionDays: n }), "Failed to save retention");
+  };
+
+  const expiresIn = (memory) => {
+    const at = memory.deletedAt;
+    if (!at) return "";
+    const left = Math.max(0, Math.ceil((at.getTime() + retentionDays * DAY_MS - Date.now()) / DAY_MS));
+    return `deleted ${at.toLocaleDateString()} · purged in ${left} ${left === 1 ? "day" : "days"}`;
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Trash">
+      <div className="memory-form__header">
+        <strong>Trash</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close trash">✕</button>
+      </div>
+
+      <form className="trash-retention" onSubmit={saveRetention}>
+        <label htmlFor="trash-days">Keep deleted memories for</label>
+        <input id="trash-days" className="memory-form__input" type="number" min={1} max={3650} value={days} onChange={(e) => setDays(e.target.value)} />
+        <span>days</span>
+        <button className="panel-btn" disabled={busy || Number(days) === retentionDays}>Save</button>
+      </form>
+
+      {sorted.length === 0 && <div className="panel-muted">The trash is empty.</div>}
+      <ul className="trash-list">
+        {sorted.map((m) => (
+          <li key={m.id}>
+            <div>
+              <strong>{m.title}</strong>
+              <small>{expiresIn(m)}</small>
+            </div>
+            <div className="trip-card__actions">
+              <button type="button" className="panel-btn" disabled={busy} onClick={() => run(() => restoreMemory(m), "Failed to restore memory")}>
+                Restore
+              </button>
+              <button type="button" className="panel-btn danger" disabled={busy} onClick={() => purge(m)}>
+                Delete forever
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {sorted.length > 1 && (
+        <button type="button" className="panel-btn danger" disabled={busy} onClick={emptyTrash}>Empty trash</button>
+      )}
+    </aside>
+  );
+}
+
+/* ---------------- Comment moderation (owner only) ---------------- */
+const MODERATION_LIMIT = 100;
+const MODERATION_FILTERS = [
+  ["pending", "Awaiting approval"],
+  ["all", "Recent"],
+  ["hidden", "Hidden"],
+];
+
+function ModerationPanel({ memories, settings, onSelectMemory, onClose }) {
+  const [comments, setComments] = useState([]);
+  const [filter, setFilter] = useState("pending");
+  const [busy, setBusy] = useState(false);
+  const [perHour, setPerHour] = useState(String(settings.commentsPerHour ?? 0));
+
+  useEffect(() => setPerHour(String(settings.commentsPerHour ?? 0)), [settings.commentsPerHour]);
+
+  useEffect(() => {
+    const unsub = repo().subscribeRecentComments(MODERATION_LIMIT, setComments, (error) =>
+      console.error("Error fetching comments: ", error)
+    );
+    return () => unsub();
+  }, []);
+
+  const memoriesById = useMemo(() => new Map(memories.map((m) => [m.id, m])), [memories]);
+  const counts = useMemo(() => {
+    const out = { all: comments.length, pending: 0, hidden: 0, visible: 0 };
+    comments.forEach((c) => (out[commentStatus(c)] += 1));
+    return out;
+  }, [comments]);
+  const shown = filter === "all" ? comments : comments.filter((c) => commentStatus(c) === filter);
+
+  const run = async (fn, failure) => {
+    setBusy(true);
+    try {
+      await fn();
+    } catch (err) {
+      console.error(err);
+      alert(failure);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setStatus = (c, status) =>
+    run(() => repo().setCommentStatus(c.memoryId, c.id, status), "Failed to update comment");
+
+  const remove = (c) => {
+    if (!window.confirm("Delete this comment?")) return;
+    run(() => repo().deleteComment(c.memoryId, c.id), "Failed to delete comment");
+  };
+
+  const saveRateLimit = (e) => {
+    e.preventDefault();
+    const n = Math.round(Number(perHour));
+    if (!Number.isFinite(n) || n < 0 || n > 1000) {
+      alert("Please enter a number of comments between 0 and 1000.");
+      return;
+    }
+    run(() => saveSiteSettings({ commentsPerHour: n }), "Failed to save limit");
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Comment moderation">
+      <div className="memory-form__header">
+        <strong>Comments</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close comment moderation">✕</button>
+      </div>
+
+      <label className="moderation-setting">
+        <input
+          type="checkbox"
+          checked={Boolean(settings.approveAnonymousComments)}
+          disabled={busy}
+          onChange={(e) =>
+            run(() => saveSiteSettings({ approveAnonymousComments: e.target.checked }), "Failed to save setting")
+          }
+        />
+        Hold comments from signed-out visitors until I approve them
+      </label>
+      <form className="trash-retention" onSubmit={saveRateLimit}>
+        <label htmlFor="comments-per-hour">Comments per visitor per hour</label>
+        <input id="comments-per-hour" className="memory-form__input" type="number" min={0} max={1000} value={perHour} onChange={(e) => setPerHour(e.target.value)} />
+        <button className="panel-btn" disabled={busy || Number(perHour) === (settings.commentsPerHour ?? 0)}>Save</button>
+        <span className="panel-muted">0 = no limit</span>
+      </form>
+
+      <div className="filter-chips">
+        {MODERATION_FILTERS.map(([key, label]) => (
+          <button
+            key={key}
+            type="button"
+            className={`filter-chip${filter === key ? " is-active" : ""}`}
+            aria-pressed={filter === key}
+            onClick={() => setFilter(key)}
+          >
+            {label} ({counts[key]})
+          </button>
+        ))}
+      </div>
+
+      {shown.length === 0 && <div className="panel-muted">Nothing here.</div>}
+      <ul className="trash-list">
+        {shown.map((c) => {
+          const memory = memoriesById.get(c.memoryId);
+          const status = commentStatus(c);
+          return (
+            <li key={`${c.memoryId}/${c.id}`}>
+              <div>
+                <small>
+                  {memory ? (
+                    <button type="button" className="link-btn" onClick={() => onSelectMemory(memory)}>{memory.title}</button>
+                  ) : (
+                    "Deleted memory"
+                  )}
+                  {" · "}
+                  {c.createdAt ? c.createdAt.toLocaleString() : "Just now"}
+                  {c.parentId && " · reply"}
+                </small>
+                <span>
+                  <b>{c.author || "Anonymous"}</b>
+                  {!c.authorUid && <small> (signed out)</small>}: {c.text}
+                </span>
+                {status !== "visible" && (
+                  <span className={`comment__status comment__status--${status}`}>{COMMENT_STATUS_LABELS[status]}</span>
+                )}
+              </div>
+              <div className="trip-card__actions">
+                {status !== "visible" && (
+                  <button type="button" className="panel-btn primary" disabled={busy} onClick={() => setStatus(c, "visible")}>
+                    Approve
+                  </button>
+                )}
+                {status !== "hidden" && (
+                  <button type="button" className="panel-btn" disabled={busy} onClick={() => setStatus(c, "hidden")}>
+                    Hide
+                  </button>
+                )}
+                <button type="button" className="panel-btn danger" disabled={busy} onClick={() => remove(c)}>
+                  Delete
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+      {comments.length === MODERATION_LIMIT && (
+        <div className="panel-muted">Showing the {MODERATION_LIMIT} most recent comments.</div>
+      )}
+    </aside>
+  );
+}
+
+/* ---------------- Site settings (owner) ---------------- */
+function settingsDraft(settings) {
+  return {
+    siteTitle: settings.siteTitle,
+    accentColor: settings.accentColor,
+    welcomeTitle: settings.welcomeTitle,
+    welcomeBody: settings.welcomeBody,
+    instructions: settings.welcomeInstructions.join("\n"),
+    reshowWelcomeOnEdit: settings.reshowWelcomeOnEdit,
+    latitude: String(settings.mapCenter.latitude),
+    longitude: String(settings.mapCenter.longitude),
+    zoom: String(settings.mapZoom),
+    home: settings.home,
+  };
+}
+
+/* the draft as the fields saved to the settings document */
+function settingsFromDraft(draft) {
+  return {
+    siteTitle: draft.siteTitle.trim(),
+    accentColor: draft.accentColor,
+    welcomeTitle: draft.welcomeTitle.trim(),
+    welcomeBody: draft.welcomeBody.trim(),
+    welcomeInstructions: draft.instructions.split("\n").map((line) => line.trim()).filter(Boolean),
+    reshowWelcomeOnEdit: draft.reshowWelcomeOnEdit,
+    mapCenter: { latitude: Number(draft.latitude), longitude: Number(draft.longitude) },
+    mapZoom: Number(draft.zoom),
+    home: draft.home || null,
+  };
+}
+
+function SiteSettingsPanel({ settings, mapView, onPreview, onSaved, onClose }) {
+  const [draft, setDraft] = useState(() => settingsDraft(settings));
+  const [errors, setErrors] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const set = (key) => (e) =>
+    setDraft((d) => ({ ...d, [key]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  const takeCurrentView = () => {
+    if (!mapView) return;
+    setDraft((d) => ({
+      ...d,
+      latitude: String(mapView.center[0]),
+      longitude: String(mapView.center[1]),
+      zoom: String(mapView.zoom),
+    }));
+  };
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const fields = settingsFromDraft(draft);
+    const problems = validateSiteSettings(fields);
+    setErrors(problems);
+    if (problems.length) return;
+    setSaving(true);
+    try {
+      const welcomeVersion = nextWelcomeVersion(settings, fields);
+      await saveSiteSettings({ ...fields, welcomeVersion });
+      onSaved(welcomeVersion);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to save settings");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <aside className="side-panel side-panel--wide" aria-label="Site settings">
+      <div className="memory-form__header">
+        <strong>Site settings</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close site settings">✕</button>
+      </div>
+
+      <form className="settings-form" onSubmit={submit}>
+        <fieldset className="settings-form__group">
+          <legend className="filter-group__label">Site</legend>
+          <label>
+            Title
+            <input className="memory-form__input" value={draft.siteTitle} onChange={set("siteTitle")} maxLength={SETTINGS_LIMITS.siteTitle} />
+          </label>
+          <label className="panel-option">
+            <input type="color" value={draft.accentColor} onChange={set("accentColor")} />
+            Accent colour
+          </label>
+        </fieldset>
+
+        <fieldset className="settings-form__group">
+          <legend className="filter-group__label">Welcome screen</legend>
+          <label>
+            Heading
+            <input className="memory-form__input" value={draft.welcomeTitle} onChange={set("welcomeTitle")} maxLength={SETTINGS_LIMITS.welcomeTitle} />
+          </label>
+          <label>
+            Text
+            <textarea className="memory-form__input" value={draft.welcomeBody} onChange={set("welcomeBody")} maxLength={SETTINGS_LIMITS.welcomeBody} rows={6} />
+          </label>
+          <span className="panel-muted">
+            **bold**, *italic*, [link](https://…), a blank line between paragraphs and "- " for a list
+          </span>
+          <label>
+            Instructions (one per line)
+            <textarea className="memory-form__input" value={draft.instructions} onChange={set("instructions")} rows={4} />
+          </label>
+          <label className="panel-option">
+            <input type="checkbox" checked={draft.reshowWelcomeOnEdit} onChange={set("reshowWelcomeOnEdit")} />
+            Show the welcome again to everyone when I change it
+          </label>
+          <div>
+            <button type="button" className="panel-btn" onClick={() => onPreview(settingsFromDraft(draft))}>Preview</button>
+          </div>
+        </fieldset>
+
+        <fieldset className="settings-form__group">
+          <legend className="filter-group__label">Map opens at</legend>
+          <div className="settings-form__view">
+            <label>
+              Latitude
+              <input className="memory-form__input" type="number" step="any" value={draft.latitude} onChange={set("latitude")} />
+            </label>
+            <label>
+              Longitude
+              <input className="memory-form__input" type="number" step="any" value={draft.longitude} onChange={set("longitude")} />
+            </label>
+            <label>
+              Zoom
+              <input className="memory-form__input" type="number" min={1} max={18} value={draft.zoom} onChange={set("zoom")} />
+            </label>
+          </div>
+          <div>
+            <button type="button" className="panel-btn" onClick={takeCurrentView} disabled={!mapView}>Use the current view</button>
+          </div>
+        </fieldset>
+
+        <fieldset className="settings-form__group">
+          <legend className="filter-group__label">Home</legend>
+          {draft.home ? (
+            <div className="panel-option">
+              <span>🏠 {draft.home.label}</span>
+              <button type="button" className="link-btn" onClick={() => setDraft((d) => ({ ...d, home: null }))}>Clear</button>
+            </div>
+          ) : (
+            <span className="panel-muted">The statistics show how far memories are from home.</span>
+          )}
+          <PlaceSearch
+            onSelect={(place) =>
+              setDraft((d) => ({ ...d, home: { label: place.label, latitude: place.latitude, longitude: place.longitude } }))
+            }
+          />
+        </fieldset>
+
+        {errors.map((error) => (
+          <div key={error} className="panel-error">{error}</div>
+        ))}
+        <div className="trip-form__actions">
+          <button className="panel-btn primary" disabled={saving}>{saving ? "Saving…" : "Save settings"}</button>
+        </div>
+      </form>
+    </aside>
+  );
+}
+
+/* ---------------- Statistics (see stats.js) ---------------- */
+const STATS_CITY_LIMIT = 12;
+const MONTH_NAMES = Array.from({ length: 12 }, (_, i) =>
+  new Date(2000, i, 1).toLocaleDateString(undefined, { month: "short" })
+);
+
+function formatKm(km) {
+  return `${Math.round(km).toLocaleString()} km`;
+}
+
+/* the memories the map shows (after the timeline and filters) in figures */
+function StatsPanel({ memories, total, home, isOwner, onSelectMemory, onClose }) {
+  const stats = useMemo(() => memoryStats(memories, { home, palette: CATEGORY_COLORS }), [memories, home]);
+  const busiestMonth = Math.max(1, ...stats.byYear.flatMap((y) => y.months));
+  const mostInCategory = Math.max(1, ...stats.byCategory.map((c) => c.count));
+  const memoryButton = (memory) => (
+    <button type="button" className="link-btn" onClick={() => onSelectMemory(memory)}>
+      {memory.title}
+    </button>
+  );
+
+  return (
+    <aside className="side-panel side-panel--wide" aria-label="Statistics">
+      <div className="memory-form__header">
+        <strong>Statistics</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close statistics">✕</button>
+      </div>
+      <div className="panel-muted">
+        {stats.total === total
+          ? `${total} ${total === 1 ? "memory" : "memories"}`
+          : `${stats.total} of ${total} memories: the ones the timeline and filters leave on the map`}
+      </div>
+
+      {stats.total === 0 ? (
+        <div className="panel-muted">No memories to count.</div>
+      ) : (
+        <>
+          <dl className="stats-overview">
+            <dt>First memory</dt>
+            <dd>{stats.first ? <>{memoryButton(stats.first)} <small>{formatDate(stats.first.date)}</small></> : "—"}</dd>
+            <dt>Most recent</dt>
+            <dd>{stats.latest ? <>{memoryButton(stats.latest)} <small>{formatDate(stats.latest.date)}</small></> : "—"}</dd>
+            <dt>Travelled</dt>
+            <dd>{formatKm(stats.distanceKm)} <small>between memories in date order</small></dd>
+            <dt>Furthest from home</dt>
+            <dd>
+              {stats.furthest ? (
+                <>{memoryButton(stats.furthest.memory)} <small>{formatKm(stats.furthest.km)} from {home.label}</small></>
+              ) : home ? (
+                "—"
+              ) : (
+                <small>{isOwner ? "Set a home in Site settings" : "No home set"}</small>
+              )}
+            </dd>
+          </dl>
+
+          {stats.byYear.length > 0 && (
+            <section className="stats-section">
+              <h3 className="filter-group__label">By year and month</h3>
+              <div className="stats-calendar__wrap">
+                <table className="stats-calendar">
+                  <thead>
+                    <tr>
+                      <th scope="col">Year</th>
+                      {MONTH_NAMES.map((m) => (
+                        <th key={m} scope="col">{m}</th>
+                      ))}
+                      <th scope="col">Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.byYear.map((y) => (
+                      <tr key={y.year}>
+                        <th scope="row">{y.year}</th>
+                        {y.months.map((n, i) => (
+                          <td key={i} style={n ? { "--level": n / busiestMonth } : undefined}>{n || ""}</td>
+                        ))}
+                        <td className="stats-calendar__total">{y.total}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {stats.dated < stats.total && (
+                <div className="panel-muted">{stats.total - stats.dated} without a date</div>
+              )}
+            </section>
+          )}
+
+          <section className="stats-section">
+            <h3 className="filter-group__label">By category</h3>
+            <ul className="stats-bars">
+              {stats.byCategory.map((c) => (
+                <li key={c.key}>
+                  <span className="legend__swatch" style={{ background: c.color }} />
+                  <span>{c.label}</span>
+                  <span className="stats-bars__bar">
+                    <span style={{ width: `${(c.count / mostInCategory) * 100}%`, background: c.color }} />
+                  </span>
+                  <small>{c.count}</small>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          <section className="stats-section">
+            <h3 className="filter-group__label">
+              {stats.countries.length} {stats.countries.length === 1 ? "country" : "countries"} · {stats.cities.length}{" "}
+              {stats.cities.length === 1 ? "city" : "cities"}
+            </h3>
+            {stats.countries.length > 0 && (
+              <div className="filter-chips" aria-label="Countries">
+                {stats.countries.map((c) => (
+                  <span key={c.name} className="filter-chip">{c.name} <small>{c.count}</small></span>
+                ))}
+              </div>
+            )}
+            {stats.cities.length > 0 && (
+              <div className="filter-chips" aria-label="Cities">
+                {stats.cities.slice(0, STATS_CITY_LIMIT).map((c) => (
+                  <span key={`${c.name}-${c.country}`} className="filter-chip" title={c.country || undefined}>
+                    {c.name} <small>{c.count}</small>
+                  </span>
+                ))}
+                {stats.cities.length > STATS_CITY_LIMIT && (
+                  <span className="panel-muted">and {stats.cities.length - STATS_CITY_LIMIT} more</span>
+                )}
+              </div>
+            )}
+            {stats.unplaced > 0 && <div className="panel-muted">{stats.unplaced} without a place name</div>}
+          </section>
+
+          {stats.mostCommented.length > 0 && (
+            <section className="stats-section">
+              <h3 className="filter-group__label">Most commented</h3>
+              <ol className="stats-commented">
+                {stats.mostCommented.map(({ memory, count }) => (
+                  <li key={memory.id}>
+                    {memoryButton(memory)} <small>💬 {count}</small>
+                  </li>
+                ))}
+              </ol>
+            </section>
+          )}
+        </>
+      )}
+    </aside>
+  );
+}
+
+/* ---------------- Recent activity ---------------- */
+const ACTIVITY_LIMIT = 30;
+
+/* the signed-in user's unread tracking ({ since, seen } or null); the first time someone
+   signs in it starts from now, so the comments already there don't all show as new */
+function useReadState(user) {
+  const [readState, setReadState] = useState(null);
+  const uid = user?.uid;
+  useEffect(() => {
+    setReadState(null);
+    if (!uid) return undefined;
+    return repo().subscribeReadState(
+      uid,
+      (state) => {
+        if (state) setReadState(state);
+        else repo().markAllCommentsSeen(uid).catch((err) => console.error("Error starting unread tracking: ", err));
+      },
+      (error) => console.error("Error fetching unread comments: ", error)
+    );
+  }, [uid]);
+  return readState;
+}
+
+function ActivityPanel({ memories, user, readState, unreadCount, onSelectMemory, onClose }) {
+  const [comments, setComments] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const unsub = repo().subscribeRecentComments(ACTIVITY_LIMIT, setComments, (error) =>
+      console.error("Error fetching comments: ", error)
+    );
+    return () => unsub();
+  }, []);
+
+  const memoriesById = useMemo(() => new Map(memories.map((m) => [m.id, m])), [memories]);
+  // moderation has its own panel; here everyone sees what's on the map
+  const shown = comments.filter((c) => countsAsVisible(c) && memoriesById.has(c.memoryId));
+
+  const markAllRead = async () => {
+    setBusy(true);
+    try {
+      await repo().markAllCommentsSeen(user.uid);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to mark comments as read");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Recent activity">
+      <div className="memory-form__header">
+        <strong>Recent activity</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close recent activity">✕</button>
+      </div>
+
+      {user ? (
+        <div className="activity-summary">
+          <span className="panel-muted">
+            {unreadCount
+              ? `New comments on ${unreadCount} ${unreadCount === 1 ? "memory" : "memories"} since you last looked.`
+              : "You're all caught up."}
+          </span>
+          {unreadCount > 0 && (
+            <button type="button" className="panel-btn" onClick={markAllRead} disabled={busy}>
+              Mark all as read
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="panel-muted">Sign in to keep track of which comments you've read.</div>
+      )}
+
+      {shown.length === 0 && <div className="panel-muted">No comments yet.</div>}
+      <ul className="activity-list">
+        {shown.map((c) => {
+          const memory = memoriesById.get(c.memoryId);
+          const unread = isUnreadComment(c, readState);
+          return (
+            <li key={`${c.memoryId}/${c.id}`} className={unread ? "is-unread" : undefined}>
+              <button type="button" onClick={() => onSelectMemory(memory)}>
+                <small>
+                  <b>{memory.title}</b> · {c.createdAt ? c.createdAt.toLocaleString() : "Just now"}
+                  {unread && <span className="activity-list__new">New</span>}
+                </small>
+                <span>
+                  <b>{c.author || "Anonymous"}</b>
+                  {c.parentId ? " replied" : ""}: {c.text.length > 140 ? `${c.text.slice(0, 140)}…` : c.text}
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
+
+/* ---------------- Trips ---------------- */
+function TripForm({ initial, onSubmit, onCancel, submitLabel }) {
+  const [name, setName] = useState(initial?.name || "");
+  const [startDate, setStartDate] = useState(initial?.startDate || "");
+  const [endDate, setEndDate] = useState(initial?.endDate || "");
+  const [color, setColor] = useState(initial?.color || TRIP_COLORS[0]);
+  const [saving, setSaving] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    if (startDate && endDate && endDate < startDate) {
+      alert("The trip can't end before it starts.");
+      return;
+    }
+    setSaving(true);
+    try {
+      await onSubmit({ name, startDate, endDate, color });
+    } catch (err) {
+      console.error(err);
+      alert("Failed to save trip");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="trip-form" onSubmit={submit}>
+      <input className="memory-form__input" placeholder="Trip name *" value={name} onChange={(e) => setName(e.target.value)} required />
+      <div className="memory-form__grid-2">
+        <input className="memory-form__input" type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} aria-label="Start date" />
+        <input className="memory-form__input" type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} aria-label="End date" />
+      </div>
+      <div className="trip-form__actions">
+        <input type="color" value={color} onChange={(e) => setColor(e.target.value)} aria-label="Route colour" />
+        {onCancel && <button type="button" className="panel-btn" onClick={onCancel}>Cancel</button>}
+        <button className="panel-btn primary" disabled={saving}>{saving ? "Saving…" : submitLabel}</button>
+      </div>
+    </form>
+  );
+}
+
+function TripStops({ trip, memoriesById, memories, trips }) {
+  const ids = trip.memoryIds || [];
+  const unassigned = memories.filter((m) => !tripOfMemory(trips, m.id));
+
+  const save = async (memoryIds) => {
+    try {
+      await updateTrip(trip.id, { memoryIds });
+    } catch (err) {
+      console.error(err);
+      alert("Failed to update trip");
+    }
+  };
+
+  // tripId "" takes the memory off this trip
+  const assign = async (memoryId, tripId) => {
+    try {
+      await assignMemoryToTrip(memoryId, tripId, trips);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to update trip");
+    }
+  };
+
+  const move = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= ids.length) return;
+    const next = ids.slice();
+    [next[index], next[target]] = [next[target], next[index]];
+    save(next);
+  };
+
+  // keep the route in date order (undated stops go last, in their current order)
+  const sortByDate = () => {
+    const dateOf = (id) => memoriesById.get(id)?.date || "9999";
+    const next = ids.slice().sort((a, b) => dateOf(a).localeCompare(dateOf(b)));
+    save(next);
+  };
+
+  return (
+    <div className="trip-stops">
+      {ids.length === 0 && <div className="panel-muted">No stops yet.</div>}
+      <ol className="trip-stops__list">
+        {ids.map((id, i) => {
+          const m = memoriesById.get(id);
+          return (
+            <li key={id}>
+              <span className="trip-stops__title">
+                {m ? m.title : "Deleted memory"}
+                {m?.date && <small> · {formatDate(m.date)}</small>}
+              </span>
+              <span className="photo-list__actions">
+                <button type="button" onClick={() => move(i, -1)} disabled={i === 0} aria-label="Move stop up">↑</button>
+                <button type="button" onClick={() => move(i, 1)} disabled={i === ids.length - 1} aria-label="Move stop down">↓</button>
+                <button type="button" onClick={() => assign(id, "")} aria-label="Remove stop">✕</button>
+              </span>
+            </li>
+          );
+        })}
+      </ol>
+      <div className="trip-stops__footer">
+        {unassigned.length > 0 && (
+          <select
+            className="memory-form__input"
+            value=""
+            onChange={(e) => e.target.value && assign(e.target.value, trip.id)}
+            aria-label="Add a memory to this trip"
+          >
+            <option value="">+ Add a memory…</option>
+            {unassigned.map((m) => (
+              <option key={m.id} value={m.id}>{m.title}</option>
+            ))}
+          </select>
+        )}
+        {ids.length > 1 && <button type="button" className="panel-btn" onClick={sortByDate}>Sort by date</button>}
+      </div>
+    </div>
+  );
+}
+
+function TripsPanel({ trips, memories, activeTripId, onShowTrip, onClose, canEdit }) {
+  const [editingId, setEditingId] = useState(null);
+  const [creating, setCreating] = useState(false);
+  const memoriesById = useMemo(() => new Map(memories.map((m) => [m.id, m])), [memories]);
+
+  const remove = async (trip) => {
+    if (!window.confirm(`Delete the trip "${trip.name}"? Its memories are kept.`)) return;
+    try {
+      if (activeTripId === trip.id) onShowTrip(null);
+      await deleteTrip(trip.id);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to delete trip");
+    }
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Trips">
+      <div className="memory-form__header">
+        <strong>Trips</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close trips">✕</button>
+      </div>
+
+      {trips.length === 0 && !creating && <div className="panel-muted">No trips yet.</div>}
+
+      {trips.map((trip) => {
+        const sum = tripSummary(trip, memoriesById);
+        const active = activeTripId === trip.id;
+        return (
+          <section key={trip.id} className={`trip-card${active ? " is-active" : ""}`}>
+            {editingId === trip.id ? (
+              <TripForm
+                initial={trip}
+                submitLabel="Save trip"
+                onCancel={() => setEditingId(null)}
+                onSubmit={async (fields) => {
+                  await updateTrip(trip.id, { ...fields, startDate: fields.startDate || null, endDate: fields.endDate || null });
+                  setEditingId(null);
+                }}
+              />
+            ) : (
+              <div className="trip-card__head">
+                <span className="trip-card__swatch" style={{ background: trip.color }} />
+                <div className="trip-card__info">
+                  <strong>{trip.name}</strong>
+                  <small>
+                    {[formatDate(sum.startDate), formatDate(sum.endDate)].filter(Boolean).join(" – ") || "No dates"}
+                    {" · "}{sum.stops.length} {sum.stops.length === 1 ? "stop" : "stops"}
+                    {" · "}~{Math.round(sum.distanceKm)} km
+                  </small>
+                </div>
+                <div className="trip-card__actions">
+                  <button type="button" className="panel-btn" onClick={() => onShowTrip(active ? null : trip.id)}>
+                    {active ? "Show all" : "Only this"}
+                  </button>
+                  {canEdit && (
+                    <>
+                      <button type="button" className="panel-btn" onClick={() => setEditingId(trip.id)}>Edit</button>
+                      <button type="button" className="panel-btn danger" onClick={() => remove(trip)}>Delete</button>
+                    </>
+                  )}
+                </div>
+              </div>
+            )}
+            {editingId === trip.id && (
+              <TripStops trip={trip} memoriesById={memoriesById} memories={memories} trips={trips} />
+            )}
+          </section>
+        );
+      })}
+
+      {!canEdit ? null : creating ? (
+        <TripForm
+          initial={{ color: TRIP_COLORS[trips.length % TRIP_COLORS.length] }}
+          submitLabel="Create trip"
+          onCancel={() => setCreating(false)}
+          onSubmit={async (fields) => {
+            await addTrip(fields);
+            setCreating(false);
+          }}
+        />
+      ) : (
+        <button type="button" className="panel-btn primary" onClick={() => setCreating(true)}>+ New trip</button>
+      )}
+    </aside>
+  );
+}
+
+/* coloured route per trip, with a summary popup */
+function TripRoutes({ trips, memories, onShowTrip }) {
+  const memoriesById = useMemo(() => new Map(memories.map((m) => [m.id, m])), [memories]);
+  return trips.map((trip) => {
+    const sum = tripSummary(trip, memoriesById);
+    if (sum.positions.length < 2) return null;
+    return (
+      <Polyline
+        key={trip.id}
+        positions={sum.positions}
+        pathOptions={{ color: trip.color, weight: 4, opacity: 0.8 }}
+        // Leaflet draws a bare <path>; name it so the route can be found without seeing it
+        eventHandlers={{ add: (e) => e.target.getElement()?.setAttribute("aria-label", `${trip.name} route`) }}
+      >
+        <Popup>
+          <div style={{ minWidth: 180 }}>
+            <strong>{trip.name}</strong>
+            <div style={{ marginTop: 6, fontSize: 12, color: "#6b7280" }}>
+              {[formatDate(sum.startDate), formatDate(sum.endDate)].filter(Boolean).join(" – ")}
+            </div>
+            <div style={{ marginTop: 4, fontSize: 13 }}>
+              {sum.stops.length} stops · ~{Math.round(sum.distanceKm)} km
+            </div>
+            <ol style={{ margin: "6px 0 0", paddingLeft: 18, fontSize: 12 }}>
+              {sum.stops.map((m) => <li key={m.id}>{m.title}</li>)}
+            </ol>
+            <button type="button" className="panel-btn" style={{ marginTop: 8 }} onClick={() => onShowTrip(trip.id)}>
+              Show only this trip
+            </button>
+          </div>
+        </Popup>
+      </Polyline>
+    );
+  });
+}
+
+/* ---------------- Stories ---------------- */
+const STORY_ZOOM = 12;
+
+function StoryEditor({ story, memories, memoriesById, onDone }) {
+  const [title, setTitle] = useState(story?.title || "");
+  const [intro, setIntro] = useState(story?.intro || "");
+  const [steps, setSteps] = useState(story?.steps || []);
+  const [saving, setSaving] = useState(false);
+
+  const setNarration = (index, narration) =>
+    setSteps((list) => list.map((step, i) => (i === index ? { ...step, narration } : step)));
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (!title.trim()) return;
+    setSaving(true);
+    try {
+      await saveStory(story?.id, { title, intro, steps });
+      onDone();
+    } catch (err) {
+      console.error(err);
+      alert("Failed to save story");
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form className="story-editor" onSubmit={submit}>
+      <input
+        className="memory-form__input"
+        placeholder="Story title *"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        maxLength={MAX_STORY_TITLE_LENGTH}
+        required
+      />
+      <textarea
+        className="memory-form__input"
+        placeholder="Introduction (shown with the first stop)"
+        value={intro}
+        onChange={(e) => setIntro(e.target.value)}
+        maxLength={MAX_STORY_TEXT_LENGTH}
+        rows={2}
+      />
+
+      {steps.length === 0 && <div className="panel-muted">No stops yet.</div>}
+      <ol className="story-editor__steps">
+        {steps.map((step, i) => (
+          <li key={`${step.memoryId}-${i}`}>
+            <div className="story-editor__step-head">
+              <span className="trip-stops__title">{memoriesById.get(step.memoryId)?.title || "Deleted memory"}</span>
+              <span className="photo-list__actions">
+                <button type="button" onClick={() => setSteps(moveStep(steps, i, -1))} disabled={i === 0} aria-label="Move stop up">↑</button>
+                <button type="button" onClick={() => setSteps(moveStep(steps, i, 1))} disabled={i === steps.length - 1} aria-label="Move stop down">↓</button>
+                <button type="button" onClick={() => setSteps(steps.filter((_, j) => j !== i))} aria-label="Remove stop">✕</button>
+              </span>
+            </div>
+            <textarea
+              className="memory-form__input"
+              placeholder="Narration for this stop (optional)"
+              value={step.narration}
+              onChange={(e) => setNarration(i, e.target.value)}
+              maxLength={MAX_STORY_TEXT_LENGTH}
+              rows={2}
+              aria-label={`Narration for stop ${i + 1}`}
+            />
+          </li>
+        ))}
+      </ol>
+      {steps.length < MAX_STORY_STEPS && (
+        <select
+          className="memory-form__input"
+          value=""
+          onChange={(e) => e.target.value && setSteps([...steps, { memoryId: e.target.value, narration: "" }])}
+          aria-label="Add a memory to this story"
+        >
+          <option value="">+ Add a memory…</option>
+          {memories.map((m) => (
+            <option key={m.id} value={m.id}>{m.title}</option>
+          ))}
+        </select>
+      )}
+
+      <div className="trip-form__actions">
+        <button type="button" className="panel-btn" onClick={onDone}>Cancel</button>
+        <button className="panel-btn primary" disabled={saving}>{saving ? "Saving…" : "Save story"}</button>
+      </div>
+    </form>
+  );
+}
+
+function StoriesPanel({ stories, memories, isOwner, onPlay, onClose }) {
+  const [editing, setEditing] = useState(null); // story id, or "new"
+  const memoriesById = useMemo(() => new Map(memories.map((m) => [m.id, m])), [memories]);
+
+  const remove = async (story) => {
+    if (!window.confirm(`Delete the story "${story.title}"? Its memories are kept.`)) return;
+    try {
+      await deleteStory(story.id);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to delete story");
+    }
+  };
+
+  return (
+    <aside className="side-panel" aria-label="Stories">
+      <div className="memory-form__header">
+        <strong>Stories</strong>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close stories">✕</button>
+      </div>
+
+      {stories.length === 0 && editing !== "new" && (
+        <div className="panel-muted">{isOwner ? "No stories yet. A story is a guided tour through some of your memories." : "No stories yet."}</div>
+      )}
+
+      {stories.map((story) => {
+        if (editing === story.id) {
+          return (
+            <section key={story.id} className="trip-card">
+              <StoryEditor story={story} memories={memories} memoriesById={memoriesById} onDone={() => setEditing(null)} />
+            </section>
+          );
+        }
+        const stops = playableSteps(story, memoriesById).length;
+        return (
+          <section key={story.id} className="trip-card">
+            <div className="trip-card__head">
+              <div className="trip-card__info">
+                <strong>{story.title}</strong>
+                <small>{stops} {stops === 1 ? "stop" : "stops"}</small>
+              </div>
+              <div className="trip-card__actions">
+                <button type="button" className="panel-btn primary" onClick={() => onPlay(story)} disabled={!stops}>
+                  ▶ Play
+                </button>
+                {isOwner && (
+                  <>
+                    <button type="button" className="panel-btn" onClick={() => setEditing(story.id)}>Edit</button>
+                    <button type="button" className="panel-btn danger" onClick={() => remove(story)}>Delete</button>
+                  </>
+                )}
+              </div>
+            </div>
+          </section>
+        );
+      })}
+
+      {isOwner &&
+        (editing === "new" ? (
+          <section className="trip-card">
+            <StoryEditor memories={memories} memoriesById={memoriesById} onDone={() => setEditing(null)} />
+          </section>
+        ) : (
+          <button type="button" className="panel-btn primary" onClick={() => setEditing("new")}>+ New story</button>
+        ))}
+    </aside>
+  );
+}
+
+/* the tour itself: a card per step, with the map following along */
+function StoryPlayer({ story, memoriesById, onShowMemory, onClose }) {
+  const steps = useMemo(() => playableSteps(story, memoriesById), [story, memoriesById]);
+  const [index, setIndex] = useState(0);
+  const [autoplay, setAutoplay] = useState(false);
+  const step = steps[Math.min(index, steps.length - 1)];
+  const last = index >= steps.length - 1;
+
+  // show each step once as it's reached, not again when the memories or the callback change
+  const latestRef = useRef();
+  latestRef.current = { step, onShowMemory };
+  const stepMemoryId = step?.memoryId;
+  useEffect(() => {
+    const { step, onShowMemory } = latestRef.current;
+    if (step) onShowMemory(step.memory);
+  }, [stepMemoryId, index]);
+
+  useEffect(() => {
+    if (!autoplay) return;
+    if (last) {
+      setAutoplay(false);
+      return;
+    }
+    const t = setTimeout(() => setIndex((i) => i + 1), STORY_STEP_MS);
+    return () => clearTimeout(t);
+  }, [autoplay, index, last]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (/^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      if (e.key === "Escape") onClose();
+      else if (e.key === "ArrowRight") setIndex((i) => Math.min(i + 1, steps.length - 1));
+      else if (e.key === "ArrowLeft") setIndex((i) => Math.max(i - 1, 0));
+    };
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [onClose, steps.length]);
+
+  if (!step) return null;
+  const { memory } = step;
+  const images = getImages(memory);
+
+  return (
+    <section className="story-card" aria-label={`Story: ${story.title}`}>
+      <div className="story-card__head">
+        <small>
+          {story.title} · {index + 1} of {steps.length}
+        </small>
+        <button type="button" className="memory-form__close" onClick={onClose} aria-label="Close story">✕</button>
+      </div>
+
+      {index === 0 && story.intro && <p className="story-card__intro">{story.intro}</p>}
+      <h2 className="story-card__title">{memory.title}</h2>
+      <div className="story-card__meta">
+        {[memory.date && formatDate(memory.date), memory.place].filter(Boolean).join(" · ")}
+      </div>
+      {step.narration && <p className="story-card__narration">{step.narration}</p>}
+      {memory.description && <p className="story-card__description">{memory.description}</p>}
+      {images.length > 0 && (
+        <div className="story-card__photos">
+          {images.map((img, i) => (
+            <figure key={i}>
+              <img src={img.src} alt={img.caption || memory.title} loading="lazy" />
+              {img.caption && <figcaption>{img.caption}</figcaption>}
+            </figure>
+          ))}
+        </div>
+      )}
+
+      <div className="story-card__controls">
+        <button type="button" className="panel-btn" onClick={() => setIndex(index - 1)} disabled={index === 0}>
+          ← Previous
+        </button>
+        <button
+          type="button"
+          className="panel-btn"
+          onClick={() => setAutoplay((a) => !a)}
+          disabled={last && !autoplay}
+          aria-pressed={autoplay}
+        >
+          {autoplay ? "⏸ Pause" : "▶ Autoplay"}
+        </button>
+        {last ? (
+          <button type="button" className="panel-btn primary" onClick={onClose}>Finish</button>
+        ) : (
+          <button type="button" className="panel-btn primary" onClick={() => setIndex(index + 1)}>Next →</button>
+        )}
+      </div>
+    </section>
+  );
+}
+
+/* ---------------- Rich text (owner-written, see richText.js) ---------------- */
+function RichSpans({ spans }) {
+  return spans.map((span, i) => {
+    let node = span.text;
+    if (span.bold) node = <strong>{node}</strong>;
+    if (span.italic) node = <em>{node}</em>;
+    if (span.href) node = <a href={span.href} target="_blank" rel="noreferrer">{node}</a>;
+    return <React.Fragment key={i}>{node}</React.Fragment>;
+  });
+}
+
+function RichText({ text }) {
+  return parseRichText(text).map((block, i) =>
+    block.type === "ul" ? (
+      <ul key={i} className="modal-list">
+        {block.items.map((spans, j) => <li key={j}><RichSpans spans={spans} /></li>)}
+      </ul>
+    ) : (
+      <p key={i}>
+        {block.lines.map((spans, j) => (
+          <React.Fragment key={j}>
+            {j > 0 && <br />}
+            <RichSpans spans={spans} />
+          </React.Fragment>
+        ))}
+      </p>
+    )
+  );
+}
+
+/* ---------------- Welcome modal (first visit) ---------------- */
+// the welcome version this browser has dismissed, kept per map
+function welcomeKey() {
+  const mapId = repo().mapId;
+  return mapId === MAIN_MAP_ID ? "mm_welcome_seen_v2" : `mm_welcome_seen_v2:${mapId}`;
+}
+
+function WelcomeModal({ settings, stories = [], onStartStory, onClose }) {
+  useEffect(() => {
+    const onKey = (e) => e.key === "Escape" && onClose();
+    document.addEventListener("keydown", onKey);
+    return () => document.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  return (
+    <div className="modal-backdrop" role="dialog" aria-modal="true" aria-labelledby="welcome-title">
+      <div className="modal-card">
+        <button className="modal-close" onClick={onClose} aria-label="Close welcome">✕</button>
+
+        <h1 id="welcome-title">{settings.welcomeTitle}</h1>
+        <RichText text={settings.welcomeBody} />
+
+        {settings.welcomeInstructions.length > 0 && (
+          <ul className="modal-list">
+            {settings.welcomeInstructions.map((line, i) => <li key={i}>{line}</li>)}
+          </ul>
+        )}
 
         <div className="modal-actions">
+          {stories.map((story) => (
+            <button key={story.id} className="modal-btn" onClick={() => onStartStory(story)}>
+              ▶ {story.title}
+            </button>
+          ))}
           <button className="modal-btn primary" onClick={onClose}>Start exploring</button>
         </div>
       </div>
@@ -527,7 +3621,10 @@ function WelcomeModal({ onClose }) {
 }
 
 /* ---------------- Timeline Slider ---------------- */
-function Timeline({ min, max, value, onChange }) {
+const PLAYBACK_STEP_MS = 1600;
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4];
+
+function Timeline({ min, max, value, onChange, playing, onTogglePlay, speed, onSpeedChange, showRoute, onToggleRoute }) {
   // Don't render the slider if there are not enough memories with dates to form a range
   if (min === max || !value) {
     return null;
@@ -556,60 +3653,212 @@ function Timeline({ min, max, value, onChange }) {
         value={value}
         onChange={handleChange}
       />
+      <div className="timeline-controls">
+        <button
+          type="button"
+          className="timeline-controls__play"
+          onClick={onTogglePlay}
+          aria-label={playing ? "Pause timeline" : "Play timeline"}
+        >
+          {playing ? "❚❚" : "▶"}
+        </button>
+        <select value={speed} onChange={(e) => onSpeedChange(Number(e.target.value))} aria-label="Playback speed">
+          {PLAYBACK_SPEEDS.map((s) => (
+            <option key={s} value={s}>{s}×</option>
+          ))}
+        </select>
+        <label className="timeline-controls__route">
+          <input type="checkbox" checked={showRoute} onChange={onToggleRoute} />
+          Route
+        </label>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Memory Counter ---------------- */
+function MemoryCounter({ count, total, filtered }) {
+  return (
+    <div className="memory-counter">
+      {filtered ? (
+        <>{count} of {total} {total === 1 ? 'memory' : 'memories'}</>
+      ) : (
+        <>{count} {count === 1 ? 'memory' : 'memories'}</>
+      )}
+    </div>
+  );
+}
+
+/* ---------------- Offline / sync indicator ---------------- */
+function SyncStatus({ online, pending }) {
+  if (online && !pending) return null;
+  const changes = `${pending} ${pending === 1 ? "change" : "changes"}`;
+  return (
+    <div className={`sync-status${online ? " sync-status--syncing" : ""}`} role="status">
+      {online
+        ? `Syncing ${changes}…`
+        : pending
+        ? `Offline · ${changes} waiting to sync`
+        : "Offline · showing the saved copy"}
     </div>
   );
 }
 
-/* ---------------- Memory Counter ---------------- */
-function MemoryCounter({ count }) {
+/* ---------------- Undo toast ---------------- */
+const UNDO_TIMEOUT_MS = 8000;
+
+function UndoToast({ message, onUndo, onDismiss }) {
+  // the parent re-renders on every map move, so don't restart the timer for a new callback
+  const dismissRef = useRef(onDismiss);
+  dismissRef.current = onDismiss;
+  useEffect(() => {
+    const t = setTimeout(() => dismissRef.current(), UNDO_TIMEOUT_MS);
+    return () => clearTimeout(t);
+  }, [message]);
+
   return (
-    <div className="memory-counter">
-      {count} {count === 1 ? 'memory' : 'memories'}
+    <div className="undo-toast" role="status">
+      <span>{message}</span>
+      <button type="button" onClick={onUndo}>Undo</button>
     </div>
   );
 }
 
-/* ---------------- Main App ---------------- */
-export default function App() {
-  const [memories, setMemories] = useState([]);
+/* ---------------- Map location picker ---------------- */
+function LocationPicker({ active, onPick }) {
+  useMapEvents({
+    click(e) {
+      if (active) onPick([roundCoord(e.latlng.lat), roundCoord(e.latlng.lng)]);
+    },
+  });
+  return null;
+}
+
+/* draggable draft pin shared by the add and edit forms */
+function DraftMarker({ position, icon, onMove }) {
+  const handlers = useMemo(
+    () => ({
+      dragend(e) {
+        const { lat, lng } = e.target.getLatLng();
+        onMove([roundCoord(lat), roundCoord(lng)]);
+      },
+    }),
+    [onMove]
+  );
+  return (
+    <Marker
+      position={position}
+      icon={icon}
+      draggable
+      autoPan
+      zIndexOffset={1000}
+      eventHandlers={handlers}
+      title="Drag to adjust the location"
+    />
+  );
+}
+
+/* pan/fly the map whenever a new target ({ pos, zoom? }) is set */
+function MapFlyTo({ target }) {
+  const map = useMap();
+  useEffect(() => {
+    if (!target) return;
+    if (target.exact) {
+      map.setView(target.pos, target.zoom);
+      return;
+    }
+    map.flyTo(target.pos, Math.max(map.getZoom(), target.zoom ?? 6), { duration: 0.8 });
+  }, [map, target]);
+  return null;
+}
+
+/* report the map centre/zoom after every move */
+function MapViewTracker({ onChange }) {
+  useMapEvents({
+    moveend(e) {
+      const c = e.target.getCenter();
+      onChange({
+        center: [Number(c.lat.toFixed(5)), Number(c.lng.toFixed(5))],
+        zoom: e.target.getZoom(),
+      });
+    },
+  });
+  return null;
+}
+
+/* ---------------- The map ---------------- */
+function MemoryMap({ user, role, signIn, signOutNow }) {
+  const [allMemories, setAllMemories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingMemory, setEditingMemory] = useState(null);
-  const [user, setUser] = useState(null);
-  const [timelineValue, setTimelineValue] = useState(null);
-  useEffect(() => {
-    const unsub = onAuthStateChanged(auth, setUser);
-    return () => unsub();
-  }, []);
+  const [initialUrlState] = useState(() => readUrlState());
+  const [timelineValue, setTimelineValue] = useState(initialUrlState.timeline);
+  const [draftPos, setDraftPos] = useState(null);
+  const [pickingOnMap, setPickingOnMap] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const [playSpeed, setPlaySpeed] = useState(1);
+  const [showRoute, setShowRoute] = useState(false);
+  const [flyTarget, setFlyTarget] = useState(null);
+  const [trips, setTrips] = useState([]);
+  const [stories, setStories] = useState([]);
+  const [storyId, setStoryId] = useState(null);
+  const [activeTripId, setActiveTripId] = useState(initialUrlState.tripId);
+  const [openPanel, setOpenPanel] = useState(null);
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [mapView, setMapView] = useState(initialUrlState.view);
+  const [openMemoryId, setOpenMemoryId] = useState(null);
+  const [pendingOpenId, setPendingOpenId] = useState(initialUrlState.memoryId);
+  const [importPreview, setImportPreview] = useState([]);
+  const [siteSettings, setSiteSettings] = useState({});
+  const [settingsLoaded, setSettingsLoaded] = useState(false);
+  const [welcomePreview, setWelcomePreview] = useState(null);
+  const [lastTrashed, setLastTrashed] = useState(null);
+  const [baseMapId, setBaseMapId] = useState(() => localStorage.getItem(BASE_MAP_KEY));
+  const markerRefs = useRef(new Map());
+  const clusterRef = useRef(null);
+  const mapRef = useRef(null);
+  const focusMemoryRef = useRef(null);
 
-  const signIn = async () => { await signInWithPopup(auth, googleProvider); };
-  const signOutNow = async () => { await signOut(auth); };
+  const isOwner = can(role, "admin");
+  const canEdit = can(role, "edit");
+  const readState = useReadState(user);
 
-  // Replace this with your real UID when you know it:
-  const OWNER_UID = "GDvRvv0TkxR2S5uWBdebALuNfbw2";
-
-  // Welcome (one-time)
-  const WELCOME_KEY = "mm_welcome_seen_v2";
+  // Welcome: shown until this browser has dismissed the current version (see siteSettings.js)
+  const settings = useMemo(() => withDefaults(siteSettings), [siteSettings]);
   const [showWelcome, setShowWelcome] = useState(false);
+  const welcomeCheckedRef = useRef(false);
   useEffect(() => {
+    if (!settingsLoaded || welcomeCheckedRef.current) return;
+    welcomeCheckedRef.current = true;
     const params = new URLSearchParams(window.location.search);
     const force = params.get("welcome") === "1" || params.get("intro") === "1";
-    const seen = localStorage.getItem(WELCOME_KEY);
-    if (force || !seen) setShowWelcome(true);
-  }, []);
+    if (force || shouldShowWelcome(localStorage.getItem(welcomeKey()), settings.welcomeVersion)) setShowWelcome(true);
+  }, [settingsLoaded, settings.welcomeVersion]);
   const dismissWelcome = () => {
-    localStorage.setItem(WELCOME_KEY, "1");
+    localStorage.setItem(welcomeKey(), String(settings.welcomeVersion));
     setShowWelcome(false);
   };
 
+  // base map and, with a dark one, the dark theme; remembered per browser
+  const baseMap = pickTileProvider(TILE_PROVIDERS, baseMapId);
+  const chooseBaseMap = (id) => {
+    localStorage.setItem(BASE_MAP_KEY, id);
+    setBaseMapId(id);
+  };
+
+  // the owner has just seen their own edits, so a bumped welcome isn't shown back to them
+  const onSettingsSaved = (welcomeVersion) => localStorage.setItem(welcomeKey(), String(welcomeVersion));
+
+  useEffect(() => {
+    document.title = settings.siteTitle;
+    document.querySelector('meta[name="theme-color"]')?.setAttribute("content", settings.accentColor);
+  }, [settings.siteTitle, settings.accentColor]);
 
   useEffect(() => {
-    const col = collection(db, "memories");
-    const unsub = onSnapshot(
-      col,
-      (snapshot) => {
-        const list = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
-        setMemories(list);
+    const unsub = repo().subscribeMemories(
+      (list) => {
+        setAllMemories(list.map(readMemory));
         setLoading(false);
       },
       (error) => {
@@ -620,6 +3869,79 @@ export default function App() {
     return () => unsub();
   }, []);
 
+  // trashed memories stay in the database but are hidden everywhere except the trash panel
+  const memories = useMemo(() => allMemories.filter((m) => !m.trashed), [allMemories]);
+  const trashedMemories = useMemo(() => allMemories.filter((m) => m.trashed), [allMemories]);
+
+  useEffect(() => {
+    const unsub = repo().subscribeSettings(
+      (data) => {
+        setSiteSettings(data);
+        setSettingsLoaded(true);
+      },
+      (error) => {
+        console.error("Error fetching settings: ", error);
+        setSettingsLoaded(true);
+      }
+    );
+    return () => unsub();
+  }, []);
+
+  // the owner's visits purge anything that has been in the trash past the retention period.
+  // Each memory is purged once per visit: the snapshots that deleting the first one brings
+  // mustn't start on the others again while they are still being deleted.
+  const purgingRef = useRef(new Set());
+  useEffect(() => {
+    if (!isOwner || !trashedMemories.length) return;
+    const days = siteSettings.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS;
+    const expired = trashedMemories.filter((m) => isTrashExpired(m, days) && !purgingRef.current.has(m.id));
+    if (!expired.length) return;
+    expired.forEach((m) => purgingRef.current.add(m.id));
+    Promise.all(expired.map(deleteMemory)).catch((err) => console.error("Trash purge failed: ", err));
+  }, [isOwner, trashedMemories, siteSettings]);
+
+  useEffect(() => {
+    const unsub = repo().subscribeTrips(
+      (list) => {
+        list.sort((a, b) => (a.startDate || "").localeCompare(b.startDate || "") || a.name.localeCompare(b.name));
+        setTrips(list);
+      },
+      (error) => console.error("Error fetching trips: ", error)
+    );
+    return () => unsub();
+  }, []);
+
+  useEffect(() => {
+    const unsub = repo().subscribeStories(
+      (list) => setStories(list.sort((a, b) => a.title.localeCompare(b.title))),
+      (error) => console.error("Error fetching stories: ", error)
+    );
+    return () => unsub();
+  }, []);
+
+  const memoriesById = useMemo(() => new Map(memories.map((m) => [m.id, m])), [memories]);
+  const playableStories = useMemo(
+    () => stories.filter((story) => playableSteps(story, memoriesById).length),
+    [stories, memoriesById]
+  );
+  const activeStory = playableStories.find((story) => story.id === storyId) || null;
+
+  // photos picked while offline go up once we're back online with someone allowed to upload them
+  const sync = useSyncStatus(repo().mapId);
+  useEffect(() => {
+    if (!sync.online || !canEdit || !sync.uploads) return;
+    flushUploads(uploadQueuedPhoto, repo().mapId).catch((err) => console.error("Queued photo upload failed: ", err));
+  }, [sync.online, sync.uploads, canEdit]);
+
+  const unreadCount = useMemo(
+    () => memories.filter((m) => hasUnreadComments(m, readState)).length,
+    [memories, readState]
+  );
+  const markCommentsSeen = (memoryId) => {
+    if (!user) return;
+    repo().markCommentsSeen(user.uid, memoryId).catch((err) => console.error("Error marking comments read: ", err));
+  };
+
   // 2. Calculate the date range from your memories
   const dateRange = useMemo(() => {
     const dates = memories
@@ -638,162 +3960,442 @@ export default function App() {
     }
   }, [dateRange, timelineValue]);
 
-  // 4. Filter memories based on the timeline value
+  // 4. Filter memories based on the timeline value, the selected trip and the search panel
   const filteredMemories = useMemo(() => {
+    const activeTrip = activeTripId && trips.find((t) => t.id === activeTripId);
+    const pool = memories.filter(
+      (m) =>
+        (!activeTrip || (activeTrip.memoryIds || []).includes(m.id)) &&
+        memoryMatchesFilters(m, filters)
+    );
     if (!timelineValue || !dateRange) {
-      return memories;
+      return pool;
     }
-    return memories.filter(m => {
+    return pool.filter(m => {
       // Always show memories that don't have a date
       if (!m.date) return true; 
       // Otherwise, show them if they are on or before the slider's date
       return new Date(m.date).getTime() <= timelineValue;
     });
-  }, [memories, timelineValue, dateRange]);
+  }, [memories, timelineValue, dateRange, trips, activeTripId, filters]);
+
+  // 5. Timeline playback: step to the next dated memory and pan to it
+  const timeline = useMemo(() => chronological(memories), [memories]);
+  useEffect(() => {
+    if (!playing) return;
+    const next = timeline.find((e) => e.time > timelineValue);
+    if (!next) {
+      setPlaying(false);
+      return;
+    }
+    const t = setTimeout(() => {
+      setTimelineValue(next.time);
+      setFlyTarget({ pos: next.pos });
+    }, PLAYBACK_STEP_MS / playSpeed);
+    return () => clearTimeout(t);
+  }, [playing, playSpeed, timeline, timelineValue]);
+
+  // 6. Route through the visible memories in date order
+  const routePositions = useMemo(
+    () => chronological(filteredMemories).map((e) => e.pos),
+    [filteredMemories]
+  );
+
+  // 7. Mirror the open memory, view, timeline and filters into the URL
+  const urlState = useMemo(
+    () => ({
+      memoryId: openMemoryId,
+      view: mapView,
+      timeline: dateRange && timelineValue && timelineValue < dateRange.max ? timelineValue : null,
+      tripId: activeTripId,
+      filters,
+    }),
+    [openMemoryId, mapView, timelineValue, dateRange, activeTripId, filters]
+  );
+  useEffect(() => {
+    if (loading) return;
+    const next = writeUrlState(urlState);
+    if (next === window.location.search) return;
+    const t = setTimeout(() => {
+      const url = window.location.pathname + next + window.location.hash;
+      // playback steps replace the entry so back/forward isn't flooded
+      if (playing) window.history.replaceState(null, "", url);
+      else window.history.pushState(null, "", url);
+    }, URL_PUSH_DELAY_MS);
+    return () => clearTimeout(t);
+  }, [loading, urlState, playing]);
+
+  // back/forward restores the view stored in the URL
+  useEffect(() => {
+    const onPop = () => {
+      const st = readUrlState();
+      setPlaying(false);
+      setFilters(st.filters);
+      setActiveTripId(st.tripId);
+      setTimelineValue(st.timeline ?? (dateRange ? dateRange.max : null));
+      if (st.view) setFlyTarget({ pos: st.view.center, zoom: st.view.zoom, exact: true });
+      if (st.memoryId) setPendingOpenId(st.memoryId);
+      else mapRef.current?.closePopup();
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, [dateRange]);
+
+  // open the memory named in the URL once its marker exists
+  useEffect(() => {
+    if (loading || !pendingOpenId) return;
+    const memory = memories.find((m) => m.id === pendingOpenId);
+    if (!memory) {
+      setPendingOpenId(null);
+      return;
+    }
+    // cleared only once it has run: clearing it first would cancel the timer on the re-render
+    const t = setTimeout(() => {
+      setPendingOpenId(null);
+      focusMemoryRef.current?.(memory);
+    }, 0);
+    return () => clearTimeout(t);
+  }, [loading, pendingOpenId, memories]);
+
+  if (loading || !settingsLoaded) return <div>Loading memories...</div>;
+
+  const togglePlay = () => {
+    if (!playing && dateRange && timelineValue >= dateRange.max && timeline.length) {
+      // restart from the first memory
+      setTimelineValue(timeline[0].time);
+      setFlyTarget({ pos: timeline[0].pos });
+    }
+    if (!playing) setShowRoute(true);
+    setPlaying((p) => !p);
+  };
+
+  const scrubTimeline = (value) => {
+    setPlaying(false);
+    setTimelineValue(value);
+  };
+
+  const openAddForm = () => {
+    setEditingMemory(null);
+    setDraftPos(null);
+    setPickingOnMap(false);
+    setShowForm((s) => !s);
+  };
+
+  const openEditForm = (memory) => {
+    setShowForm(false);
+    setPickingOnMap(false);
+    setDraftPos(positionOf(memory));
+    setEditingMemory(memory);
+  };
+
+  const closeForms = () => {
+    setShowForm(false);
+    setEditingMemory(null);
+    setDraftPos(null);
+    setPickingOnMap(false);
+  };
+
+  // fly to a memory and open its popup (unclustering it if needed)
+  const focusMemory = (memory) => {
+    const marker = markerRefs.current.get(memory.id);
+    if (marker && clusterRef.current?.hasLayer(marker)) {
+      clusterRef.current.zoomToShowLayer(marker, () => marker.openPopup());
+    } else {
+      const pos = positionOf(memory);
+      if (pos) setFlyTarget({ pos, zoom: 14 });
+    }
+  };
+  focusMemoryRef.current = focusMemory;
+
+  const copyShareLink = (memoryId) =>
+    copyLink(window.location.origin + window.location.pathname + writeUrlState({ ...urlState, memoryId }, ""));
+
+  const startStory = (story) => {
+    if (showWelcome) dismissWelcome();
+    setOpenPanel(null);
+    setPlaying(false);
+    mapRef.current?.closePopup();
+    setStoryId(story.id);
+  };
+
+  const showStoryMemory = (memory) => {
+    const pos = positionOf(memory);
+    if (pos) setFlyTarget({ pos, zoom: STORY_ZOOM });
+  };
 
-  if (loading) return <div>Loading memories...</div>;
+  const pickLocation = (pos) => {
+    setDraftPos(pos);
+    setPickingOnMap(false);
+  };
 
 
-  const handleDelete = async (id, title = "") => {
-    const ok = window.confirm(`Delete "${title || "this memory"}"?`);
-    if (!ok) return;
+  const handleDelete = async (memory, title = "") => {
     try {
-      await deleteDoc(doc(db, "memories", id));
+      await trashMemory(memory, user);
+      mapRef.current?.closePopup();
+      setLastTrashed({ memory, title });
     } catch (err) {
       console.error(err);
       alert("Failed to delete marker");
     }
   };
 
+  const undoDelete = async () => {
+    const { memory } = lastTrashed;
+    setLastTrashed(null);
+    try {
+      await restoreMemory(memory);
+    } catch (err) {
+      console.error(err);
+      alert("Failed to restore marker");
+    }
+  };
+
 return (
-    <div className="page" style={{ position: "relative" }}>
-      <MapContainer className="map" center={[54.5260, 15.2551]} zoom={4}>
+    <div
+      className={`page${pickingOnMap ? " page--picking" : ""}${baseMap.dark ? " page--dark" : ""}`}
+      style={{ position: "relative", "--accent": settings.accentColor }}
+    >
+      <MapContainer
+        ref={mapRef}
+        className="map"
+        center={initialUrlState.view?.center || [settings.mapCenter.latitude, settings.mapCenter.longitude]}
+        zoom={initialUrlState.view?.zoom ?? settings.mapZoom}
+      >
         <TileLayer
-          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>'
-          url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+          key={baseMap.id}
+          url={baseMap.url}
+          attribution={baseMap.attribution}
+          {...(baseMap.maxZoom && { maxZoom: baseMap.maxZoom })}
+          {...(baseMap.subdomains && { subdomains: baseMap.subdomains })}
+        />
+
+        <LocationPicker active={pickingOnMap} onPick={pickLocation} />
+        <MapFlyTo target={flyTarget} />
+        <MapViewTracker onChange={setMapView} />
+        <ImportPreviewLayer rows={importPreview} />
+        <TripRoutes
+          trips={activeTripId ? trips.filter((t) => t.id === activeTripId) : trips}
+          memories={filteredMemories}
+          onShowTrip={setActiveTripId}
         />
+        {showRoute && routePositions.length > 1 && (
+          <Polyline
+            positions={routePositions}
+            pathOptions={{ color: baseMap.dark ? "#e5e7eb" : "#111827", weight: 3, opacity: 0.7, dashArray: "6 8" }}
+            eventHandlers={{ add: (e) => e.target.getElement()?.setAttribute("aria-label", "Route in date order") }}
+          />
+        )}
+        {draftPos && (showForm || editingMemory) && (
+          <DraftMarker
+            position={draftPos}
+            icon={editingMemory ? iconForMemory(editingMemory) : DefaultIcon}
+            onMove={setDraftPos}
+          />
+        )}
 
-        {/* This now uses the filtered list */}
-        {filteredMemories.map((memory) => { 
-          const coordField =
-            memory.coordinates ?? memory.Coordinates ?? memory.location ?? memory.position;
-          const pos = toLatLng(coordField);
-          if (!pos) return null;
+        {/* This now uses the filtered list; pins sharing a spot spiderfy on click */}
+        <MarkerClusterGroup
+          ref={clusterRef}
+          chunkedLoading
+          iconCreateFunction={clusterIcon}
+          showCoverageOnHover={false}
+          maxClusterRadius={50}
+        >
+          {filteredMemories.map((memory) => { 
+            const pos = positionOf(memory);
+            if (!pos) return null;
+            // the memory being edited is shown as the draggable draft pin instead
+            if (editingMemory && editingMemory.id === memory.id && draftPos) return null;
 
-          const { title, description } = getTextFields(memory);
-          const images = getImages(memory);
+            const { title, description } = memory;
+            const images = getImages(memory);
+            const trip = tripOfMemory(trips, memory.id);
+            const unread = hasUnreadComments(memory, readState);
 
-          return (
-            <Marker key={memory.id} position={pos} icon={iconForMemory(memory)} riseOnHover>
-              {/* All of your existing Popup code goes here as it was before */}
-              <Popup>
-                <div style={{ maxWidth: 300 }}>
-                  <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
-                    <strong>{title}</strong>
-                    <div style={{ display: "flex", gap: 6 }}>
-                      <button
-                        onClick={() => setEditingMemory(memory)}
-                        style={{
-                          background: "#111827",
-                          color: "#fff",
-                          border: "none",
-                          padding: "4px 8px",
-                          borderRadius: 6,
-                          cursor: "pointer",
-                        }}
-                        title="Edit marker"
-                      >
-                        Edit
-                      </button>
-                      <button
-                        onClick={() => handleDelete(memory.id, title)}
+            return (
+              <Marker
+                key={memory.id}
+                ref={(m) => (m ? markerRefs.current.set(memory.id, m) : markerRefs.current.delete(memory.id))}
+                position={pos}
+                icon={iconForMemory(memory, { unread })}
+                pinColor={colorForMemory(memory)}
+                title={title}
+                riseOnHover
+                eventHandlers={{
+                  popupopen: () => setOpenMemoryId(memory.id),
+                  popupclose: () => setOpenMemoryId((cur) => (cur === memory.id ? null : cur)),
+                }}
+              >
+                {/* All of your existing Popup code goes here as it was before */}
+                <Popup>
+                  <div style={{ maxWidth: 300 }}>
+                    <div style={{ display: "flex", justifyContent: "space-between", gap: 8 }}>
+                      <strong>{title}</strong>
+                      <div style={{ display: "flex", gap: 6 }}>
+                        {canEdit && (
+                          <>
+                          <button
+                            onClick={() => openEditForm(memory)}
+                            style={{
+                              background: "#111827",
+                              color: "#fff",
+                              border: "none",
+                              padding: "4px 8px",
+                              borderRadius: 6,
+                              cursor: "pointer",
+                            }}
+                            title="Edit marker"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleDelete(memory, title)}
+                            style={{
+                              background: "#ef4444",
+                              color: "#fff",
+                              border: "none",
+                              padding: "4px 8px",
+                              borderRadius: 6,
+                              cursor: "pointer",
+                            }}
+                            title="Delete marker"
+                          >
+                            Delete
+                          </button>
+                          </>
+                        )}
+                        <button
+                          onClick={() => copyShareLink(memory.id)}
+                          style={{
+                            background: "#f3f4f6",
+                            color: "#111827",
+                            border: "none",
+                            padding: "4px 8px",
+                            borderRadius: 6,
+                            cursor: "pointer",
+                          }}
+                          title="Copy a link to this memory"
+                        >
+                          🔗
+                        </button>
+                      </div>
+                    </div>
+
+                    <PlaceName memory={memory} canEdit={canEdit} />
+
+                    {description && (
+                      <p style={{ margin: "6px 0 0", whiteSpace: "pre-line" }}>{description}</p>
+                    )}
+
+                    {images.length > 0 && (
+                      <div
                         style={{
-                          background: "#ef4444",
-                          color: "#fff",
-                          border: "none",
-                          padding: "4px 8px",
-                          borderRadius: 6,
-                          cursor: "pointer",
+                          display: "grid",
+                          gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))",
+                          gap: 8,
+                          marginTop: 8,
                         }}
-                        title="Delete marker"
                       >
-                        Delete
-                      </button>
-                    </div>
-                  </div>
+                        {images.map((img, i) => (
+                          <figure key={i} style={{ margin: 0 }}>
+                            <img
+                              src={img.src}
+                              alt={img.caption || title}
+                              loading="lazy"
+                              style={{ width: "100%", height: "auto", borderRadius: 8, objectFit: "cover" }}
+                            />
+                            {img.caption && (
+                              <figcaption style={{ fontSize: 12, color: "#555", marginTop: 4, lineHeight: 1.2 }}>
+                                {img.caption}
+                              </figcaption>
+                            )}
+                          </figure>
+                        ))}
+                      </div>
+                    )}
 
-                  {description && (
-                    <p style={{ margin: "6px 0 0", whiteSpace: "pre-line" }}>{description}</p>
-                  )}
+                    {pendingPhotos(memory).length > 0 && (
+                      <div className="pending-photos">
+                        📷 {pendingPhotos(memory).length} photo(s) will upload when back online
+                      </div>
+                    )}
 
-                  {images.length > 0 && (
-                    <div
-                      style={{
-                        display: "grid",
-                        gridTemplateColumns: "repeat(auto-fill, minmax(120px, 1fr))",
-                        gap: 8,
-                        marginTop: 8,
-                      }}
-                    >
-                      {images.map((img, i) => (
-                        <figure key={i} style={{ margin: 0 }}>
-                          <img
-                            src={img.src}
-                            alt={img.caption || title}
-                            loading="lazy"
-                            style={{ width: "100%", height: "auto", borderRadius: 8, objectFit: "cover" }}
+                    <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>
+                      {memory.category && <>Category: <b>{memory.category}</b></>}
+                      {memory.color && (
+                        <span style={{ marginLeft: 8 }}>
+                          Colour:
+                          <span
+                            style={{
+                              display: "inline-block",
+                              width: 12,
+                              height: 12,
+                              background: normalizeColor(memory.color) || "#000",
+                              borderRadius: 3,
+                              marginLeft: 6,
+                              verticalAlign: "middle",
+                            }}
                           />
-                          {img.caption && (
-                            <figcaption style={{ fontSize: 12, color: "#555", marginTop: 4, lineHeight: 1.2 }}>
-                              {img.caption}
-                            </figcaption>
-                          )}
-                        </figure>
-                      ))}
+                        </span>
+                      )}
                     </div>
-                  )}
 
-                  <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>
-                    {memory.category && <>Category: <b>{memory.category}</b></>}
-                    {memory.color && (
-                      <span style={{ marginLeft: 8 }}>
-                        Colour:
-                        <span
-                          style={{
-                            display: "inline-block",
-                            width: 12,
-                            height: 12,
-                            background: normalizeColor(memory.color) || "#000",
-                            borderRadius: 3,
-                            marginLeft: 6,
-                            verticalAlign: "middle",
-                          }}
-                        />
-                      </span>
+                    {memory.date && (
+                        <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>
+                            Date: <b>{new Date(memory.date).toLocaleDateString()}</b>
+                        </div>
                     )}
-                  </div>
 
-                  {memory.date && (
-                      <div style={{ marginTop: 8, fontSize: 12, color: "#6b7280" }}>
-                          Date: <b>{new Date(memory.date).toLocaleDateString()}</b>
+                    {trip && (
+                      <div style={{ marginTop: 4, fontSize: 12, color: "#6b7280" }}>
+                        Trip:{" "}
+                        <button
+                          type="button"
+                          className="link-btn"
+                          onClick={() => setActiveTripId(trip.id)}
+                        >
+                          {trip.name}
+                        </button>
                       </div>
-                  )}
+                    )}
 
-                  {/* NEW: comments */}
-                  <CommentsSection memoryId={memory.id} user={user} ownerUid={OWNER_UID} />
-                </div>
-              </Popup>
-            </Marker>
-          );
-        })}
+                    {/* NEW: comments */}
+                    <CommentsSection
+                      memoryId={memory.id}
+                      user={user}
+                      role={role}
+                      settings={siteSettings}
+                      unread={unread}
+                      onSeen={() => markCommentsSeen(memory.id)}
+                    />
+                  </div>
+                </Popup>
+              </Marker>
+            );
+          })}
+        </MarkerClusterGroup>
       </MapContainer>
 
-      <MemoryCounter count={filteredMemories.length} />
+      <MemoryCounter
+        count={filteredMemories.length}
+        total={memories.length}
+        filtered={hasActiveFilters(filters) || Boolean(activeTripId)}
+      />
+      <SyncStatus online={sync.online} pending={sync.pending} />
+
+      {lastTrashed && (
+        <UndoToast
+          message={`Moved "${lastTrashed.title || "memory"}" to the trash.`}
+          onUndo={undoDelete}
+          onDismiss={() => setLastTrashed(null)}
+        />
+      )}
 
     {/* Admin sign-in/out button (top-right) */}
     <button
       onClick={user ? signOutNow : signIn}
-      title={user ? `Signed in as ${user.email || user.uid}` : "Admin sign in"}
+      title={user ? `Signed in as ${user.email || user.uid} (${ROLE_LABELS[role]})` : "Sign in"}
       style={{
         position: "absolute",
         right: 16,
@@ -813,29 +4415,416 @@ return (
       {user ? "⎋" : "⚙︎"}
     </button>
 
+      {/* Panel toggles (top-right, under sign-in) */}
+      <div className="map-toolbar">
+        <button
+          type="button"
+          className={`map-toolbar__btn${openPanel === "filters" || hasActiveFilters(filters) ? " is-active" : ""}`}
+          onClick={() => setOpenPanel((p) => (p === "filters" ? null : "filters"))}
+          title="Search & filter"
+        >
+          🔍
+        </button>
+        <button
+          type="button"
+          className={`map-toolbar__btn${openPanel === "place" ? " is-active" : ""}`}
+          onClick={() => setOpenPanel((p) => (p === "place" ? null : "place"))}
+          title="Find a place"
+        >
+          🌍
+        </button>
+        <button
+          type="button"
+          className={`map-toolbar__btn${openPanel === "activity" ? " is-active" : ""}`}
+          onClick={() => setOpenPanel((p) => (p === "activity" ? null : "activity"))}
+          title={unreadCount ? `Recent activity (${unreadCount} unread)` : "Recent activity"}
+        >
+          🔔
+          {unreadCount > 0 && <span className="map-toolbar__badge">{unreadCount > 99 ? "99+" : unreadCount}</span>}
+        </button>
+        <button
+          type="button"
+          className={`map-toolbar__btn${openPanel === "trips" ? " is-active" : ""}`}
+          onClick={() => setOpenPanel((p) => (p === "trips" ? null : "trips"))}
+          title="Trips"
+        >
+          🧳
+        </button>
+        <button
+          type="button"
+          className={`map-toolbar__btn${openPanel === "stories" || activeStory ? " is-active" : ""}`}
+          onClick={() => setOpenPanel((p) => (p === "stories" ? null : "stories"))}
+          title="Stories"
+        >
+          📖
+        </button>
+        {TILE_PROVIDERS.length > 1 && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "baseMap" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "baseMap" ? null : "baseMap"))}
+            title="Base map"
+          >
+            🌓
+          </button>
+        )}
+        <button
+          type="button"
+          className={`map-toolbar__btn${openPanel === "stats" ? " is-active" : ""}`}
+          onClick={() => setOpenPanel((p) => (p === "stats" ? null : "stats"))}
+          title="Statistics"
+        >
+          📊
+        </button>
+        {user && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "maps" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "maps" ? null : "maps"))}
+            title="Maps"
+          >
+            🗺
+          </button>
+        )}
+        {isOwner && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "export" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "export" ? null : "export"))}
+            title="Export memories"
+          >
+            ⤓
+          </button>
+        )}
+        {isOwner && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "import" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "import" ? null : "import"))}
+            title="Import memories"
+          >
+            ⤒
+          </button>
+        )}
+        {isOwner && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "roles" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "roles" ? null : "roles"))}
+            title="People & roles"
+          >
+            👥
+          </button>
+        )}
+        {isOwner && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "maintenance" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "maintenance" ? null : "maintenance"))}
+            title="Maintenance"
+          >
+            🧹
+          </button>
+        )}
+        {isOwner && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "moderation" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "moderation" ? null : "moderation"))}
+            title="Moderate comments"
+          >
+            💬
+          </button>
+        )}
+        {isOwner && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "trash" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "trash" ? null : "trash"))}
+            title={`Trash (${trashedMemories.length})`}
+          >
+            🗑
+          </button>
+        )}
+        {isOwner && (
+          <button
+            type="button"
+            className={`map-toolbar__btn${openPanel === "settings" ? " is-active" : ""}`}
+            onClick={() => setOpenPanel((p) => (p === "settings" ? null : "settings"))}
+            title="Site settings"
+          >
+            🛠
+          </button>
+        )}
+      </div>
+
+      {openPanel === "filters" && (
+        <FilterPanel
+          memories={memories}
+          results={filteredMemories}
+          filters={filters}
+          onChange={setFilters}
+          onSelect={focusMemory}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "place" && (
+        <PlacePanel
+          onSelect={(place) => {
+            setFlyTarget({ pos: [place.latitude, place.longitude], zoom: 12 });
+            setOpenPanel(null);
+          }}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "activity" && (
+        <ActivityPanel
+          memories={memories}
+          user={user}
+          readState={readState}
+          unreadCount={unreadCount}
+          onSelectMemory={focusMemory}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "export" && isOwner && (
+        <ExportPanel memories={memories} visible={filteredMemories} onClose={() => setOpenPanel(null)} />
+      )}
+      {openPanel === "import" && isOwner && (
+        <ImportPanel onPreview={setImportPreview} onClose={() => setOpenPanel(null)} />
+      )}
+      {openPanel === "roles" && isOwner && (
+        <RolesPanel user={user} onClose={() => setOpenPanel(null)} />
+      )}
+      {openPanel === "maintenance" && isOwner && (
+        <MaintenancePanel memories={allMemories} onClose={() => setOpenPanel(null)} />
+      )}
+      {openPanel === "moderation" && isOwner && (
+        <ModerationPanel
+          memories={memories}
+          settings={siteSettings}
+          onSelectMemory={focusMemory}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "trash" && isOwner && (
+        <TrashPanel
+          trashed={trashedMemories}
+          retentionDays={siteSettings.trashRetentionDays ?? DEFAULT_TRASH_RETENTION_DAYS}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "settings" && isOwner && (
+        <SiteSettingsPanel
+          settings={settings}
+          mapView={mapView}
+          onPreview={setWelcomePreview}
+          onSaved={onSettingsSaved}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "trips" && (
+        <TripsPanel
+          trips={trips}
+          memories={memories}
+          activeTripId={activeTripId}
+          onShowTrip={setActiveTripId}
+          onClose={() => setOpenPanel(null)}
+          canEdit={canEdit}
+        />
+      )}
+
+      {openPanel === "maps" && user && <MapsPanel user={user} onClose={() => setOpenPanel(null)} />}
+      {openPanel === "stats" && (
+        <StatsPanel
+          memories={filteredMemories}
+          total={memories.length}
+          home={settings.home}
+          isOwner={isOwner}
+          onSelectMemory={focusMemory}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "baseMap" && (
+        <BaseMapPanel
+          providers={TILE_PROVIDERS}
+          selected={baseMap}
+          onSelect={chooseBaseMap}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {openPanel === "stories" && (
+        <StoriesPanel
+          stories={stories}
+          memories={memories}
+          isOwner={isOwner}
+          onPlay={startStory}
+          onClose={() => setOpenPanel(null)}
+        />
+      )}
+      {activeStory && (
+        <StoryPlayer
+          key={activeStory.id}
+          story={activeStory}
+          memoriesById={memoriesById}
+          onShowMemory={showStoryMemory}
+          onClose={() => setStoryId(null)}
+        />
+      )}
+
       {/* Floating "Add Memory" button (bottom-left) */}
-      <button onClick={() => setShowForm((s) => !s)} className="fab" title="Add Memory">
-        {showForm ? "Close" : "Add Memory"}
-      </button>
+      {canEdit && !activeStory && (
+        <button onClick={openAddForm} className="fab" title="Add Memory">
+          {showForm ? "Close" : "Add Memory"}
+        </button>
+      )}
 
       {/* Toggleable forms */}
-      {showForm && <AddMemoryForm onClose={() => setShowForm(false)} />}
-      {editingMemory && (
-        <EditMemoryForm memory={editingMemory} onClose={() => setEditingMemory(null)} />
+      {showForm && canEdit && (
+        <AddMemoryForm
+          onClose={closeForms}
+          draftPos={draftPos}
+          onDraftChange={setDraftPos}
+          picking={pickingOnMap}
+          onTogglePicking={() => setPickingOnMap((p) => !p)}
+          trips={trips}
+        />
+      )}
+      {editingMemory && canEdit && (
+        <EditMemoryForm
+          key={editingMemory.id}
+          memory={memories.find((m) => m.id === editingMemory.id) || editingMemory}
+          onClose={closeForms}
+          draftPos={draftPos}
+          onDraftChange={setDraftPos}
+          picking={pickingOnMap}
+          onTogglePicking={() => setPickingOnMap((p) => !p)}
+          trips={trips}
+          canRevert={isOwner}
+        />
       )}
 
       {/* First-visit welcome modal */}
-      {showWelcome && <WelcomeModal onClose={dismissWelcome} />}
+      {showWelcome && (
+        <WelcomeModal settings={settings} stories={playableStories} onStartStory={startStory} onClose={dismissWelcome} />
+      )}
+      {welcomePreview && <WelcomeModal settings={welcomePreview} onClose={() => setWelcomePreview(null)} />}
 
       {/* This is the new Timeline component being rendered */}
-            {dateRange && (
+            {dateRange && !activeStory && (
               <Timeline
                 min={dateRange.min}
                 max={dateRange.max}
                 value={timelineValue}
-                onChange={setTimelineValue}
+                onChange={scrubTimeline}
+                playing={playing}
+                onTogglePlay={togglePlay}
+                speed={playSpeed}
+                onSpeedChange={setPlaySpeed}
+                showRoute={showRoute}
+                onToggleRoute={() => setShowRoute((r) => !r)}
               />
             )}
           </div>
         );
-      }
\ No newline at end of file
+      }
+
+/* ---------------- Access (private maps and share links) ---------------- */
+function AccessScreen({ title, children }) {
+  return (
+    <div className="access-screen">
+      <div className="modal-card">
+        <h1>{title}</h1>
+        {children}
+        <div className="modal-actions">
+          <a className="modal-btn" href={mapPath(MAIN_MAP_ID)}>Go to the main map</a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ---------------- Main App ---------------- */
+export default function App() {
+  const mapId = repo().mapId;
+  const isPrivate = isPrivateMap(mapId);
+  const [user, setUser] = useState(null);
+  const [authKnown, setAuthKnown] = useState(false);
+  // the original map always exists; others are looked up (null when there's no such map)
+  const [map, setMap] = useState(isPrivate ? undefined : { id: MAIN_MAP_ID });
+  const [inviteToken, setInviteToken] = useState(() => readInviteToken());
+  const [inviteError, setInviteError] = useState(null);
+
+  useEffect(() => {
+    const unsub = repo().onUserChanged((u) => {
+      setUser(u);
+      setAuthKnown(true);
+    });
+    return () => unsub();
+  }, []);
+
+  useEffect(() => {
+    if (!isPrivate) return undefined;
+    let cancelled = false;
+    repo().getMap().then(
+      (m) => !cancelled && setMap(m),
+      (err) => {
+        console.error("Error fetching map: ", err);
+        if (!cancelled) setMap(null);
+      }
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [isPrivate]);
+
+  const signIn = async () => { await repo().signIn(); };
+  const signOutNow = async () => { await repo().signOut(); };
+
+  const role = useRole(user, isPrivate ? NO_ACCESS_ROLE : DEFAULT_ROLE);
+
+  // a share link: once signed in, the visitor takes its role and the token leaves the address
+  useEffect(() => {
+    if (!inviteToken || !user) return;
+    repo()
+      .acceptInvite(inviteToken, user.email)
+      .catch((err) => {
+        console.error(err);
+        setInviteError(err.message);
+      })
+      .finally(() => {
+        window.history.replaceState(null, "", window.location.pathname + withoutInvite() + window.location.hash);
+        setInviteToken(null);
+      });
+  }, [inviteToken, user]);
+
+  if (isPrivate && (map === undefined || !authKnown || role === null)) return <div>Loading memories...</div>;
+
+  if (map === null) {
+    return (
+      <AccessScreen title="There's no map here">
+        <p>Check the link, or ask whoever sent it for a new one.</p>
+      </AccessScreen>
+    );
+  }
+
+  if (!can(role, "view")) {
+    return (
+      <AccessScreen title="This map is private">
+        {inviteError && <p className="panel-error">{inviteError}</p>}
+        {inviteToken && user ? (
+          <p>Joining…</p>
+        ) : user ? (
+          <p>You're signed in as {user.email}, which hasn't been given access. Ask the map's owner for a share link.</p>
+        ) : (
+          <>
+            <p>{inviteToken ? "Sign in to join it with your share link." : "Sign in if you've been given access."}</p>
+            <button className="modal-btn primary" onClick={signIn}>Sign in</button>
+          </>
+        )}
+      </AccessScreen>
+    );
+  }
+
+  return <MemoryMap user={user} role={role || DEFAULT_ROLE} signIn={signIn} signOutNow={signOutNow} />;
+}
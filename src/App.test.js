@@ -1,8 +1,778 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, within, waitFor, act } from '@testing-library/react';
 import App from './App';
+import { setRepository } from './repository';
+import { createMemoryRepository } from './memoryRepository';
+import { setGeocoder } from './geocoder';
+import { createGazetteerGeocoder } from './gazetteerGeocoder';
+import exifr from 'exifr';
 
-test('renders learn react link', () => {
+// Photos in the tests are not real images; each test says what their EXIF block holds.
+jest.mock('exifr', () => ({ parse: jest.fn() }));
+
+// Marker clustering needs real layout; a plain layer group keeps the markers clickable in jsdom.
+// Nothing is ever clustered, so "zoom to show" a marker only has to call back.
+jest.mock('react-leaflet-cluster', () => {
+  const React = require('react');
+  const { LayerGroup } = require('react-leaflet');
+  return React.forwardRef(({ children }, ref) => {
+    React.useImperativeHandle(ref, () => groupRef.current);
+    const groupRef = React.useRef(null);
+    const attach = (group) => {
+      if (group) group.zoomToShowLayer = (layer, done) => done();
+      groupRef.current = group;
+    };
+    return React.createElement(LayerGroup, { ref: attach }, children);
+  });
+});
+
+const EDITOR = { uid: 'u-editor', email: 'editor@example.com', displayName: 'Eddie' };
+
+const SEED = {
+  memories: [
+    {
+      id: 'paris',
+      schemaVersion: 1,
+      title: 'Paris',
+      description: 'Eiffel tower at night',
+      coordinates: { latitude: 48.8584, longitude: 2.2945 },
+      category: 'City',
+      color: '#ef4444',
+      date: '2023-04-01',
+      images: [],
+      place: 'Paris, France',
+    },
+    {
+      id: 'rome',
+      schemaVersion: 1,
+      title: 'Rome',
+      description: 'Colosseum',
+      coordinates: { latitude: 41.8902, longitude: 12.4922 },
+      category: 'History',
+      color: '#22c55e',
+      date: '2023-06-10',
+      images: [],
+      place: 'Rome, Italy',
+    },
+  ],
+  comments: { paris: [{ id: 'c1', author: 'Ann', text: 'Such a lovely evening', createdAt: new Date(2023, 3, 2) }] },
+  roles: { 'editor@example.com': 'editor', 'viewer@example.com': 'viewer' },
+};
+
+let repo;
+
+function renderApp({ user = EDITOR, seed = SEED } = {}) {
+  repo = createMemoryRepository({ seed, user });
+  setRepository(repo);
+  return render(<App />);
+}
+
+function openPopup(title) {
+  fireEvent.click(screen.getByTitle(title));
+  return screen.getByText(title, { selector: 'strong' }).closest('.leaflet-popup-content');
+}
+
+async function stored(id) {
+  return repo.getMemory(id);
+}
+
+function latestMemories() {
+  let list = [];
+  repo.subscribeMemories((memories) => {
+    list = memories;
+  })();
+  return list;
+}
+
+beforeEach(() => {
+  setGeocoder(createGazetteerGeocoder());
+  window.history.replaceState(null, '', '/');
+  localStorage.setItem('mm_welcome_seen_v2', '1');
+  localStorage.removeItem('mm_base_map');
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+  jest.spyOn(window, 'confirm').mockImplementation(() => true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('shows the memories from the repository', () => {
+  renderApp();
+  expect(screen.getByTitle('Paris')).toBeInTheDocument();
+  expect(screen.getByTitle('Rome')).toBeInTheDocument();
+  expect(screen.getByText('2 memories')).toBeInTheDocument();
+});
+
+test('adding a memory', async () => {
+  renderApp();
+  fireEvent.click(screen.getByTitle('Add Memory'));
+  fireEvent.change(screen.getByPlaceholderText('Title *'), { target: { value: 'Lisbon' } });
+  fireEvent.change(screen.getByPlaceholderText('Description (optional)'), { target: { value: 'Tram 28' } });
+  fireEvent.change(screen.getByPlaceholderText('Latitude *'), { target: { value: '38.7223' } });
+  fireEvent.change(screen.getByPlaceholderText('Longitude *'), { target: { value: '-9.1393' } });
+  fireEvent.change(screen.getByPlaceholderText('Category'), { target: { value: 'City' } });
+  fireEvent.click(screen.getByText('Add Marker'));
+
+  expect(await screen.findByTitle('Lisbon')).toBeInTheDocument();
+  expect(screen.getByText('3 memories')).toBeInTheDocument();
+  expect(screen.queryByText('Add Marker')).not.toBeInTheDocument();
+
+  const added = latestMemories().find((m) => m.title === 'Lisbon');
+  expect(added).toMatchObject({
+    description: 'Tram 28',
+    category: 'City',
+    coordinates: { latitude: 38.7223, longitude: -9.1393 },
+    images: [],
+    place: 'Lisbon, Portugal',
+    color: null,
+  });
+});
+
+describe('photo metadata', () => {
+  beforeEach(() => {
+    // jsdom has no object URLs for the thumbnails (left in place: the forms revoke them on unmount)
+    URL.createObjectURL = () => 'blob:photo';
+    URL.revokeObjectURL = () => {};
+  });
+
+  const addPhoto = (name) =>
+    fireEvent.change(screen.getByTitle('Add photos'), { target: { files: [new File(['x'], name, { type: 'image/jpeg' })] } });
+
+  test('the location and date of a photo can fill in the form', async () => {
+    exifr.parse.mockResolvedValue({ latitude: 38.72231234, longitude: -9.13934567, DateTimeOriginal: new Date(2022, 6, 14, 18, 30) });
+    renderApp();
+    fireEvent.click(screen.getByTitle('Add Memory'));
+    addPhoto('tram.jpg');
+
+    expect(await screen.findByRole('status')).toHaveTextContent('38.722312, -9.139346');
+    fireEvent.click(screen.getByText('Use both'));
+    expect(screen.getByPlaceholderText('Latitude *')).toHaveValue('38.722312');
+    expect(screen.getByPlaceholderText('Longitude *')).toHaveValue('-9.139346');
+    expect(screen.getByDisplayValue('2022-07-14')).toBeInTheDocument();
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  test('photos without usable metadata suggest nothing', async () => {
+    exifr.parse
+      .mockRejectedValueOnce(new Error('Unknown file format'))
+      .mockResolvedValueOnce({ latitude: 95, longitude: 10 })
+      .mockResolvedValueOnce({ DateTimeOriginal: new Date(2021, 0, 2) });
+    renderApp();
+    fireEvent.click(screen.getByTitle('Add Memory'));
+    addPhoto('drawing.png');
+    addPhoto('broken-gps.jpg');
+    await waitFor(() => expect(exifr.parse).toHaveBeenCalledTimes(2));
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+
+    addPhoto('old.jpg');
+    expect(await screen.findByRole('status')).toHaveTextContent('Found in photo:');
+    expect(screen.queryByText('Use location')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText('Use date'));
+    expect(screen.getByDisplayValue('2021-01-02')).toBeInTheDocument();
+    expect(screen.getByPlaceholderText('Latitude *')).toHaveValue('');
+  });
+});
+
+test('finding the location by place name', async () => {
+  renderApp();
+  fireEvent.click(screen.getByTitle('Add Memory'));
+  fireEvent.change(screen.getByPlaceholderText('Title *'), { target: { value: 'Old town' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Search for a place' }), { target: { value: 'dubrov' } });
+  fireEvent.click(await screen.findByRole('option', { name: 'Dubrovnik, Croatia' }));
+
+  expect(screen.getByPlaceholderText('Latitude *')).toHaveValue('42.6507');
+  expect(screen.getByPlaceholderText('Longitude *')).toHaveValue('18.0944');
+  fireEvent.click(screen.getByText('Add Marker'));
+
+  expect(await screen.findByTitle('Old town')).toBeInTheDocument();
+  expect(latestMemories().find((m) => m.title === 'Old town')).toMatchObject({
+    coordinates: { latitude: 42.6507, longitude: 18.0944 },
+    place: 'Dubrovnik, Croatia',
+  });
+});
+
+test('popups name the place and editors keep the name', async () => {
+  const { place, ...unnamed } = SEED.memories[1];
+  renderApp({ seed: { ...SEED, memories: [SEED.memories[0], unnamed] } });
+  const popup = openPopup('Rome');
+  expect(await within(popup).findByText('📍 Rome, Italy')).toBeInTheDocument();
+  await waitFor(async () => expect((await stored('rome')).place).toBe('Rome, Italy'));
+});
+
+test('editing a memory keeps a revision', async () => {
+  renderApp();
+  const popup = openPopup('Paris');
+  fireEvent.click(within(popup).getByText('Edit'));
+
+  const title = screen.getByDisplayValue('Paris');
+  fireEvent.change(title, { target: { value: 'Paris by night' } });
+  fireEvent.click(screen.getByText('Save Changes'));
+
+  expect(await screen.findByTitle('Paris by night')).toBeInTheDocument();
+  expect(await stored('paris')).toMatchObject({ title: 'Paris by night', description: 'Eiffel tower at night' });
+
+  let revisions = [];
+  repo.subscribeRevisions('paris', (list) => {
+    revisions = list;
+  });
+  expect(revisions).toHaveLength(1);
+  expect(revisions[0]).toMatchObject({
+    changed: ['title'],
+    by: { uid: 'u-editor' },
+    before: { title: 'Paris' },
+    after: { title: 'Paris by night' },
+  });
+});
+
+test('pins follow their category colour until one is picked', async () => {
+  const { color, ...byCategory } = SEED.memories[1];
+  renderApp({ seed: { ...SEED, memories: [SEED.memories[0], { ...byCategory, color: null }] } });
+  fireEvent.click(within(openPopup('Rome')).getByText('Edit'));
+  expect(screen.getByLabelText('Marker colour')).toHaveValue('#3b82f6');
+  expect(screen.getByText('by category')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByDisplayValue('Colosseum'), { target: { value: 'Colosseum at dusk' } });
+  fireEvent.click(screen.getByText('Save Changes'));
+  await waitFor(async () => expect(await stored('rome')).toMatchObject({ description: 'Colosseum at dusk', color: null }));
+
+  fireEvent.click(within(openPopup('Paris')).getByText('Edit'));
+  expect(screen.getByLabelText('Marker colour')).toHaveValue('#ef4444');
+  fireEvent.click(screen.getByText('Use category colour'));
+  expect(screen.getByText('by category')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Save Changes'));
+  await waitFor(async () => expect((await stored('paris')).color).toBeNull());
+});
+
+test('filtering by text and category', async () => {
+  renderApp();
+  fireEvent.click(screen.getByTitle('Search & filter'));
+  const panel = screen.getByRole('complementary', { name: 'Search and filters' });
+
+  fireEvent.change(within(panel).getByPlaceholderText('Search titles and descriptions…'), {
+    target: { value: 'colosseum' },
+  });
+  expect(screen.getByText('1 of 2 memories')).toBeInTheDocument();
+  expect(screen.queryByTitle('Paris')).not.toBeInTheDocument();
+  expect(screen.getByTitle('Rome')).toBeInTheDocument();
+  await waitFor(() => expect(window.location.search).toContain('q=colosseum'));
+
+  fireEvent.change(within(panel).getByPlaceholderText('Search titles and descriptions…'), { target: { value: '' } });
+  fireEvent.click(within(panel).getByRole('button', { name: /City/ }));
+  expect(screen.getByText('1 of 2 memories')).toBeInTheDocument();
+  expect(screen.getByTitle('Paris')).toBeInTheDocument();
+  expect(screen.queryByTitle('Rome')).not.toBeInTheDocument();
+});
+
+test('a shared link opens its memory with its filters, and back/forward restores the view', async () => {
+  window.history.replaceState(null, '', '/?m=rome&q=colosseum');
+  renderApp();
+  expect(await screen.findByText('Rome', { selector: 'strong' })).toBeInTheDocument();
+  expect(screen.getByText('1 of 2 memories')).toBeInTheDocument();
+  expect(screen.queryByTitle('Paris')).not.toBeInTheDocument();
+
+  act(() => {
+    window.history.pushState(null, '', '/?cat=city');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(screen.getByTitle('Paris')).toBeInTheDocument();
+  expect(screen.queryByTitle('Rome')).not.toBeInTheDocument();
+  expect(screen.queryByText('Rome', { selector: 'strong' })).not.toBeInTheDocument();
+
+  act(() => {
+    window.history.pushState(null, '', '/?m=paris');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(screen.getByText('2 memories')).toBeInTheDocument();
+  expect(await screen.findByText('Paris', { selector: 'strong' })).toBeInTheDocument();
+});
+
+test('commenting on a memory', async () => {
+  renderApp();
+  const popup = openPopup('Paris');
+  expect(within(popup).getByText('Such a lovely evening')).toBeInTheDocument();
+
+  fireEvent.change(within(popup).getByPlaceholderText('Your name'), { target: { value: 'Eddie' } });
+  fireEvent.change(within(popup).getByPlaceholderText('Write a comment…'), { target: { value: 'Best trip ever' } });
+  fireEvent.click(within(popup).getByText('Post comment'));
+
+  expect(await within(popup).findByText('Best trip ever')).toBeInTheDocument();
+  const comments = await repo.listAllComments();
+  expect(comments.map((c) => c.text)).toEqual(['Such a lovely evening', 'Best trip ever']);
+  expect(comments[1]).toMatchObject({ author: 'Eddie', authorUid: 'u-editor', memoryId: 'paris' });
+});
+
+test('replying to a comment and editing your own', async () => {
+  renderApp();
+  const popup = openPopup('Paris');
+  fireEvent.click(within(popup).getByText('Reply'));
+  fireEvent.change(within(popup).getByPlaceholderText('Reply to Ann…'), { target: { value: 'Agreed!' } });
+  fireEvent.click(within(popup).getByText('Post reply'));
+
+  expect(await within(popup).findByText('Agreed!')).toBeInTheDocument();
+  const comments = await repo.listAllComments();
+  expect(comments[1]).toMatchObject({ text: 'Agreed!', parentId: 'c1', status: 'visible' });
+
+  // only the author may edit: Ann's comment has no Edit button, the reply does
+  const commentEdits = () => within(popup).getAllByText('Edit', { selector: '.comment__actions button' });
+  expect(commentEdits()).toHaveLength(1);
+  fireEvent.click(commentEdits()[0]);
+  fireEvent.change(within(popup).getByLabelText('Edit comment'), { target: { value: 'Agreed, twice!' } });
+  fireEvent.click(within(popup).getByText('Save'));
+  expect(await within(popup).findByText('Agreed, twice!')).toBeInTheDocument();
+  expect(within(popup).getByText('· edited')).toBeInTheDocument();
+});
+
+test('anonymous comments wait for approval when the owner asks for it', async () => {
+  const seed = { ...SEED, settings: { approveAnonymousComments: true } };
+  renderApp({ user: null, seed });
+  const popup = openPopup('Rome');
+  fireEvent.change(within(popup).getByPlaceholderText('Write a comment…'), { target: { value: 'Lovely view' } });
+  fireEvent.click(within(popup).getByText('Post comment'));
+
+  expect(await within(popup).findByText(/will appear once it has been approved/)).toBeInTheDocument();
+  expect(within(popup).queryByText('Lovely view')).not.toBeInTheDocument();
+  expect(await repo.listAllComments()).toContainEqual(
+    expect.objectContaining({ text: 'Lovely view', authorUid: null, status: 'pending' })
+  );
+});
+
+test('the owner approves comments from the moderation view', async () => {
+  const pending = { id: 'p1', author: 'Anonymous', text: 'Lovely view', authorUid: null, status: 'pending', createdAt: new Date(2023, 6, 1) };
+  renderApp({
+    user: { uid: 'u-owner', email: 'owner@example.com' },
+    seed: { ...SEED, comments: { ...SEED.comments, rome: [pending] }, roles: { 'owner@example.com': 'owner' } },
+  });
+
+  fireEvent.click(screen.getByTitle('Moderate comments'));
+  const panel = screen.getByRole('complementary', { name: 'Comment moderation' });
+  expect(within(panel).getByRole('button', { name: 'Awaiting approval (1)' })).toBeInTheDocument();
+  fireEvent.click(within(panel).getByText('Approve'));
+
+  expect(await within(panel).findByText('Nothing here.')).toBeInTheDocument();
+  expect(await repo.listAllComments()).toContainEqual(expect.objectContaining({ id: 'p1', status: 'visible' }));
+  const popup = openPopup('Rome');
+  expect(within(popup).getByText('Lovely view')).toBeInTheDocument();
+});
+
+test('pins count comments and recent activity shows what is new', async () => {
+  const seed = {
+    ...SEED,
+    memories: SEED.memories.map((m) =>
+      m.id === 'paris' ? { ...m, commentCount: 1, lastCommentAt: new Date(2023, 3, 2) } : m
+    ),
+    readState: { 'u-editor': { since: new Date(2023, 3, 1), seen: {} } },
+  };
+  renderApp({ seed });
+  const badge = (title) => within(screen.getByTitle(title)).queryByText(/^\d+$/);
+  expect(badge('Paris')).toHaveTextContent('1');
+  expect(badge('Paris')).toHaveClass('is-unread');
+  expect(badge('Rome')).toBeNull();
+
+  fireEvent.click(screen.getByTitle('Recent activity (1 unread)'));
+  const panel = screen.getByRole('complementary', { name: 'Recent activity' });
+  expect(within(panel).getByText(/New comments on 1 memory/)).toBeInTheDocument();
+  expect(within(panel).getByText('New')).toBeInTheDocument();
+  expect(within(panel).getByText(/Such a lovely evening/)).toBeInTheDocument();
+
+  // opening the memory marks its comments read
+  openPopup('Paris');
+  await waitFor(() => expect(badge('Paris')).not.toHaveClass('is-unread'));
+  expect(within(panel).getByText("You're all caught up.")).toBeInTheDocument();
+  expect(within(panel).queryByText('New')).not.toBeInTheDocument();
+});
+
+test('the owner builds a story and visitors play it', async () => {
+  renderApp({ user: { uid: 'u-owner', email: 'owner@example.com' }, seed: { ...SEED, roles: { 'owner@example.com': 'owner' } } });
+  fireEvent.click(screen.getByTitle('Stories'));
+  const panel = screen.getByRole('complementary', { name: 'Stories' });
+  fireEvent.click(within(panel).getByText('+ New story'));
+  fireEvent.change(within(panel).getByPlaceholderText('Story title *'), { target: { value: 'Our year' } });
+  const add = within(panel).getByLabelText('Add a memory to this story');
+  fireEvent.change(add, { target: { value: 'paris' } });
+  fireEvent.change(add, { target: { value: 'rome' } });
+  fireEvent.change(within(panel).getByLabelText('Narration for stop 2'), { target: { value: 'The first trip' } });
+  fireEvent.click(within(panel).getAllByLabelText('Move stop up')[1]);
+  fireEvent.click(within(panel).getByText('Save story'));
+
+  fireEvent.click(await within(panel).findByText('▶ Play'));
+  const card = screen.getByRole('region', { name: 'Story: Our year' });
+  expect(within(card).getByText('1 of 2', { exact: false })).toBeInTheDocument();
+  expect(within(card).getByRole('heading', { name: 'Rome' })).toBeInTheDocument();
+  expect(within(card).getByText('The first trip')).toBeInTheDocument();
+
+  fireEvent.click(within(card).getByText('Next →'));
+  expect(within(card).getByRole('heading', { name: 'Paris' })).toBeInTheDocument();
+  fireEvent.click(within(card).getByText('Finish'));
+  expect(screen.queryByRole('region', { name: 'Story: Our year' })).not.toBeInTheDocument();
+});
+
+test('stories can be started from the welcome screen', () => {
+  localStorage.removeItem('mm_welcome_seen_v2');
+  const story = { id: 's1', title: 'Our year', intro: 'Where it all began', steps: [{ memoryId: 'paris', narration: '' }] };
+  renderApp({ seed: { ...SEED, stories: [story] } });
+  fireEvent.click(within(screen.getByRole('dialog')).getByText('▶ Our year'));
+
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  const card = screen.getByRole('region', { name: 'Story: Our year' });
+  expect(within(card).getByText('Where it all began')).toBeInTheDocument();
+  expect(within(card).getByRole('heading', { name: 'Paris' })).toBeInTheDocument();
+});
+
+test('the welcome screen shows the owner\'s text and comes back when they republish it', () => {
+  const settings = {
+    welcomeTitle: 'Hello you',
+    welcomeBody: 'Our **favourite** places\n\n- Paris\n- Rome',
+    welcomeInstructions: [],
+    welcomeVersion: 2,
+  };
+  renderApp({ seed: { ...SEED, settings } });
+  const dialog = screen.getByRole('dialog');
+  expect(within(dialog).getByRole('heading', { name: 'Hello you' })).toBeInTheDocument();
+  expect(within(dialog).getByText('favourite', { selector: 'strong' })).toBeInTheDocument();
+  expect(within(dialog).getAllByRole('listitem').map((li) => li.textContent)).toEqual(['Paris', 'Rome']);
+
+  fireEvent.click(within(dialog).getByText('Start exploring'));
+  expect(localStorage.getItem('mm_welcome_seen_v2')).toBe('2');
+});
+
+test('the owner edits the site settings', async () => {
+  repo = createMemoryRepository({
+    seed: { ...SEED, roles: { 'owner@example.com': 'owner' } },
+    user: { uid: 'u-owner', email: 'owner@example.com' },
+  });
+  setRepository(repo);
+  render(<App />);
+  fireEvent.click(screen.getByTitle('Site settings'));
+  const panel = screen.getByRole('complementary', { name: 'Site settings' });
+
+  fireEvent.change(within(panel).getByLabelText('Heading'), { target: { value: 'Hi there' } });
+  fireEvent.change(within(panel).getByLabelText('Instructions (one per line)'), { target: { value: 'Look around\n\n' } });
+  fireEvent.click(within(panel).getByLabelText('Show the welcome again to everyone when I change it'));
+  fireEvent.click(within(panel).getByText('Preview'));
+  const preview = screen.getByRole('dialog');
+  expect(within(preview).getByRole('heading', { name: 'Hi there' })).toBeInTheDocument();
+  fireEvent.click(within(preview).getByText('Start exploring'));
+
+  fireEvent.change(within(panel).getByLabelText('Zoom'), { target: { value: '40' } });
+  fireEvent.click(within(panel).getByText('Save settings'));
+  expect(within(panel).getByText('Zoom must be a whole number from 1 to 18')).toBeInTheDocument();
+
+  fireEvent.change(within(panel).getByLabelText('Zoom'), { target: { value: '6' } });
+  fireEvent.click(within(panel).getByText('Save settings'));
+  await waitFor(() => expect(localStorage.getItem('mm_welcome_seen_v2')).toBe('2'));
+
+  let saved = {};
+  repo.subscribeSettings((s) => (saved = s))();
+  expect(saved).toMatchObject({
+    welcomeTitle: 'Hi there',
+    welcomeInstructions: ['Look around'],
+    reshowWelcomeOnEdit: true,
+    welcomeVersion: 2,
+    mapZoom: 6,
+  });
+  expect(document.title).toBe('Our Memory Map');
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('statistics describe the memories the filters leave on the map', () => {
+  window.history.replaceState(null, '', '/?q=colosseum');
+  const home = { label: 'London, United Kingdom', latitude: 51.5, longitude: -0.12 };
+  renderApp({ seed: { ...SEED, settings: { home } } });
+  fireEvent.click(screen.getByTitle('Statistics'));
+  const panel = screen.getByRole('complementary', { name: 'Statistics' });
+
+  expect(within(panel).getByText(/1 of 2 memories/)).toBeInTheDocument();
+  expect(within(panel).getByText('1 country · 1 city')).toBeInTheDocument();
+  expect(within(panel).getByText(/Italy/)).toBeInTheDocument();
+  expect(within(panel).queryByText(/France/)).not.toBeInTheDocument();
+  expect(within(panel).getByText(/from London, United Kingdom/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Search & filter'));
+  fireEvent.change(screen.getByPlaceholderText('Search titles and descriptions…'), { target: { value: '' } });
+  fireEvent.click(screen.getByTitle('Statistics'));
+  const all = screen.getByRole('complementary', { name: 'Statistics' });
+  expect(within(all).getByText('2 memories')).toBeInTheDocument();
+  expect(within(all).getByText('2 countries · 2 cities')).toBeInTheDocument();
+  expect(within(all).getByRole('table')).toHaveTextContent('2023');
+  expect(within(all).getByRole('button', { name: 'Paris' })).toBeInTheDocument();
+});
+
+test('the timeline plays the memories in date order and draws their route', () => {
+  jest.useFakeTimers();
+  const oslo = { ...SEED.memories[1], id: 'oslo', title: 'Oslo', date: '2023-08-20', coordinates: { latitude: 59.91, longitude: 10.75 } };
+  const undated = { ...SEED.memories[1], id: 'someday', title: 'Someday', date: null, coordinates: { latitude: 52.52, longitude: 13.4 } };
+  renderApp({ seed: { ...SEED, memories: [...SEED.memories, oslo, undated] } });
+  const titles = () => ['Paris', 'Rome', 'Oslo', 'Someday'].filter((t) => screen.queryByTitle(t));
+  const step = (ms) => act(() => jest.advanceTimersByTime(ms));
+  expect(titles()).toEqual(['Paris', 'Rome', 'Oslo', 'Someday']);
+
+  // from the end it starts over at the first memory, with the route switched on
+  fireEvent.click(screen.getByRole('button', { name: 'Play timeline' }));
+  expect(titles()).toEqual(['Paris', 'Someday']);
+  expect(screen.getByRole('checkbox', { name: 'Route' })).toBeChecked();
+  expect(screen.queryByLabelText('Route in date order')).not.toBeInTheDocument();
+
+  step(1600);
+  expect(titles()).toEqual(['Paris', 'Rome', 'Someday']);
+  expect(screen.getByLabelText('Route in date order')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Playback speed' }), { target: { value: '2' } });
+  step(800);
+  expect(titles()).toEqual(['Paris', 'Rome', 'Oslo', 'Someday']);
+  step(800);
+  expect(screen.getByRole('button', { name: 'Play timeline' })).toBeInTheDocument();
+
+  // dragging the slider stops playback
+  fireEvent.click(screen.getByRole('button', { name: 'Play timeline' }));
+  fireEvent.change(screen.getByLabelText(/Memories up to/), { target: { value: String(new Date('2023-05-01').getTime()) } });
+  expect(screen.getByRole('button', { name: 'Play timeline' })).toBeInTheDocument();
+  expect(titles()).toEqual(['Paris', 'Someday']);
+  step(5000);
+  expect(titles()).toEqual(['Paris', 'Someday']);
+  jest.useRealTimers();
+});
+
+test('choosing a base map switches the tiles and is remembered', () => {
+  const { unmount } = renderApp();
+  expect(screen.getByText('OpenStreetMap')).toBeInTheDocument();
+  fireEvent.click(screen.getByTitle('Base map'));
+  const panel = screen.getByRole('complementary', { name: 'Base map' });
+  expect(within(panel).getByRole('radio', { name: 'Standard' })).toBeChecked();
+  fireEvent.click(within(panel).getByRole('radio', { name: /Dark/ }));
+  expect(screen.getByText('CARTO')).toBeInTheDocument();
+  unmount();
+
+  renderApp();
+  fireEvent.click(screen.getByTitle('Base map'));
+  expect(screen.getByRole('radio', { name: /Dark/ })).toBeChecked();
+  expect(screen.getByText('CARTO')).toBeInTheDocument();
+});
+
+describe('trips', () => {
+  const EUROPE = { id: 'europe', name: 'Europe', color: '#8b5cf6', startDate: null, endDate: null, memoryIds: ['paris'] };
+
+  function latestTrip(id) {
+    let list = [];
+    repo.subscribeTrips((trips) => {
+      list = trips;
+    })();
+    return list.find((t) => t.id === id);
+  }
+
+  test('memories join and leave a trip from the add and edit forms', async () => {
+    renderApp({ seed: { ...SEED, trips: [EUROPE] } });
+    fireEvent.click(screen.getByTitle('Add Memory'));
+    fireEvent.change(screen.getByPlaceholderText('Title *'), { target: { value: 'Lisbon' } });
+    fireEvent.change(screen.getByPlaceholderText('Latitude *'), { target: { value: '38.7223' } });
+    fireEvent.change(screen.getByPlaceholderText('Longitude *'), { target: { value: '-9.1393' } });
+    fireEvent.change(screen.getByRole('combobox', { name: 'Trip' }), { target: { value: 'europe' } });
+    fireEvent.click(screen.getByText('Add Marker'));
+    expect(await screen.findByTitle('Lisbon')).toBeInTheDocument();
+    const lisbon = latestMemories().find((m) => m.title === 'Lisbon').id;
+    expect(latestTrip('europe').memoryIds).toEqual(['paris', lisbon]);
+
+    fireEvent.click(within(openPopup('Rome')).getByText('Edit'));
+    fireEvent.change(screen.getByRole('combobox', { name: 'Trip' }), { target: { value: 'europe' } });
+    fireEvent.click(screen.getByText('Save Changes'));
+    await waitFor(() => expect(latestTrip('europe').memoryIds).toEqual(['paris', lisbon, 'rome']));
+
+    fireEvent.click(within(openPopup('Paris')).getByText('Edit'));
+    expect(screen.getByRole('combobox', { name: 'Trip' })).toHaveValue('europe');
+    fireEvent.change(screen.getByRole('combobox', { name: 'Trip' }), { target: { value: '' } });
+    fireEvent.click(screen.getByText('Save Changes'));
+    await waitFor(() => expect(latestTrip('europe').memoryIds).toEqual([lisbon, 'rome']));
+  });
+
+  test('a trip is summarised in the panel and drawn as a route', async () => {
+    const oslo = { ...SEED.memories[1], id: 'oslo', title: 'Oslo', coordinates: { latitude: 59.91, longitude: 10.75 } };
+    renderApp({ seed: { ...SEED, memories: [...SEED.memories, oslo], trips: [{ ...EUROPE, memoryIds: ['paris', 'rome'] }] } });
+
+    fireEvent.click(screen.getByTitle('Trips'));
+    const panel = screen.getByRole('complementary', { name: 'Trips' });
+    expect(within(panel).getByText('Europe')).toBeInTheDocument();
+    expect(panel).toHaveTextContent('2 stops · ~1109 km');
+
+    const route = screen.getByLabelText('Europe route');
+    expect(route).toHaveAttribute('stroke', '#8b5cf6');
+    fireEvent.click(route);
+    fireEvent.click(await screen.findByText('Show only this trip'));
+    expect(screen.queryByTitle('Oslo')).not.toBeInTheDocument();
+    expect(screen.getByTitle('Paris')).toBeInTheDocument();
+    expect(screen.getByTitle('Rome')).toBeInTheDocument();
+  });
+
+  test('failing to add or remove a stop is reported', async () => {
+    renderApp({ seed: { ...SEED, trips: [EUROPE] } });
+    jest.spyOn(repo, 'moveMemoryToTrip').mockRejectedValue(new Error('permission-denied'));
+    const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    fireEvent.click(screen.getByTitle('Trips'));
+    const panel = screen.getByRole('complementary', { name: 'Trips' });
+    fireEvent.click(within(panel).getByText('Edit'));
+    fireEvent.click(within(panel).getByRole('button', { name: 'Remove stop' }));
+    await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Failed to update trip'));
+
+    fireEvent.change(within(panel).getByRole('combobox', { name: 'Add a memory to this trip' }), { target: { value: 'rome' } });
+    await waitFor(() => expect(window.alert).toHaveBeenCalledTimes(2));
+    expect(logged).toHaveBeenCalledTimes(2);
+    expect(latestTrip('europe').memoryIds).toEqual(['paris']);
+  });
+});
+
+describe('maps', () => {
+  const FAMILY = {
+    createdBy: 'u-owner',
+    roles: { 'owner@example.com': 'owner' },
+    memories: [SEED.memories[0]],
+    settings: { siteTitle: 'Family' },
+    invites: [{ id: 'tok', role: 'viewer' }],
+  };
+
+  function renderMap(mapId, { user = null, seed = { ...SEED, maps: { family: FAMILY } } } = {}) {
+    localStorage.setItem(`mm_welcome_seen_v2:${mapId}`, '1');
+    repo = createMemoryRepository({ seed, user, mapId });
+    setRepository(repo);
+    return render(<App />);
+  }
+
+  test('other maps are private; a share link lets a visitor in once they sign in', async () => {
+    window.history.replaceState(null, '', '/maps/family?invite=tok');
+    renderMap('family');
+    expect(await screen.findByText('This map is private')).toBeInTheDocument();
+    expect(screen.queryByTitle('Paris')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Sign in'));
+    expect(await screen.findByTitle('Paris')).toBeInTheDocument();
+    expect(screen.queryByTitle('Rome')).not.toBeInTheDocument();
+    expect(screen.queryByTitle('Add Memory')).not.toBeInTheDocument();
+    expect(window.location.pathname + window.location.search).toBe('/maps/family');
+
+    let role;
+    repo.subscribeRole('you@example.com', (r) => (role = r))();
+    expect(role).toBe('viewer');
+  });
+
+  test('unknown maps and people without access are told so', async () => {
+    const { unmount } = renderMap('nope');
+    expect(await screen.findByText("There's no map here")).toBeInTheDocument();
+    unmount();
+
+    renderMap('family', { user: EDITOR });
+    expect(await screen.findByText(/hasn't been given access/)).toBeInTheDocument();
+  });
+
+  test('the owner hands out share links from the roles panel', async () => {
+    jest.spyOn(window, 'prompt').mockImplementation(() => null);
+    renderMap('family', { user: { uid: 'u-owner', email: 'owner@example.com' } });
+    fireEvent.click(await screen.findByTitle('People & roles'));
+    const panel = screen.getByRole('complementary', { name: 'Roles' });
+    expect(within(panel).getByText(/Anyone not listed can't see this map/)).toBeInTheDocument();
+
+    fireEvent.change(within(panel).getByLabelText('Share link role'), { target: { value: 'editor' } });
+    fireEvent.click(within(panel).getByText('Create link'));
+    await waitFor(() => expect(window.prompt).toHaveBeenCalled());
+    const url = window.prompt.mock.calls[0][1];
+    expect(url).toMatch(/^http:\/\/localhost\/maps\/family\?invite=/);
+
+    let invites = [];
+    repo.subscribeInvites((list) => (invites = list))();
+    expect(invites.map((i) => i.role).sort()).toEqual(['editor', 'viewer']);
+
+    fireEvent.click(within(panel).getByLabelText('Turn off Viewer: can look around link'));
+    await waitFor(() => expect(within(panel).queryByLabelText('Turn off Viewer: can look around link')).not.toBeInTheDocument());
+  });
+
+  test('signed-in people switch between their maps and create new ones', async () => {
+    renderMap('main', { user: { uid: 'u-owner', email: 'owner@example.com' } });
+    fireEvent.click(screen.getByTitle('Maps'));
+    const panel = screen.getByRole('complementary', { name: 'Maps' });
+    expect(await within(panel).findByRole('link', { name: /Family/ })).toHaveAttribute('href', '/maps/family');
+    expect(within(panel).getByRole('link', { name: 'Our Memory Map' })).toHaveAttribute('aria-current', 'page');
+
+    fireEvent.change(within(panel).getByPlaceholderText('New map name'), { target: { value: 'Road trip' } });
+    fireEvent.click(within(panel).getByText('Create map'));
+    expect(await within(panel).findByRole('link', { name: /Road trip/ })).toBeInTheDocument();
+    expect(within(panel).getByText(/Created “Road trip”/)).toBeInTheDocument();
+  });
+});
+
+test('viewers can look but not add, edit or comment', () => {
+  renderApp({ user: { uid: 'u-viewer', email: 'viewer@example.com' } });
+  expect(screen.queryByTitle('Add Memory')).not.toBeInTheDocument();
+
+  const popup = openPopup('Rome');
+  expect(within(popup).queryByText('Edit')).not.toBeInTheDocument();
+  expect(within(popup).queryByText('Post comment')).not.toBeInTheDocument();
+});
+
+test('older memories are shown and the owner can migrate them', async () => {
+  const legacy = { id: 'oslo', name: 'Oslo', location: { lat: 59.91, lng: 10.75 }, imageUrl: 'https://example.com/o.jpg' };
+  repo = createMemoryRepository({
+    seed: { ...SEED, memories: [...SEED.memories, legacy], roles: { 'owner@example.com': 'owner' } },
+    user: { uid: 'u-owner', email: 'owner@example.com' },
+  });
+  setRepository(repo);
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByTitle('Oslo')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Maintenance'));
+  fireEvent.click(screen.getByText('Dry run'));
+  expect(await screen.findByText(/2 already current · 1 to convert · 0 can't be converted/)).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Migrate 1'));
+
+  expect(await screen.findByText(/Migrated 1/)).toBeInTheDocument();
+  expect(await stored('oslo')).toEqual({
+    id: 'oslo',
+    schemaVersion: 1,
+    title: 'Oslo',
+    description: '',
+    coordinates: { latitude: 59.91, longitude: 10.75 },
+    date: null,
+    category: '',
+    color: null,
+    images: [{ url: 'https://example.com/o.jpg', path: null, caption: '' }],
+    createdAt: null,
+  });
+});
+
+test('imported memories take their place from the file and are not geocoded in bulk', async () => {
+  const geocoder = createGazetteerGeocoder();
+  const reverse = jest.spyOn(geocoder, 'reverse');
+  setGeocoder(geocoder);
+  renderApp({ user: { uid: 'u-owner', email: 'owner@example.com' }, seed: { ...SEED, roles: { 'owner@example.com': 'owner' } } });
+  fireEvent.click(screen.getByTitle('Import memories'));
+  const csv = 'title,lat,lng,place\nTram 28,38.7224,-9.1392,\nBridge,41.1579,-8.6291,Ribeira\n';
+  // jsdom's File has no text()
+  fireEvent.change(screen.getByTitle('CSV, GeoJSON or KML'), { target: { files: [{ name: 'trip.csv', text: async () => csv }] } });
+  fireEvent.click(await screen.findByText('Import 2 memories'));
+
+  await waitFor(() => expect(latestMemories()).toHaveLength(4));
+  const places = Object.fromEntries(latestMemories().map((m) => [m.title, m.place]));
+  expect(places).toMatchObject({ 'Tram 28': null, Bridge: 'Ribeira' });
+  expect(reverse).not.toHaveBeenCalled();
+});
+
+test('the owner\'s visit purges each expired memory from the trash once', async () => {
+  const expired = (id) => ({ ...SEED.memories[0], id, title: id, trashed: true, deletedAt: new Date(2000, 0, 1), deletedBy: 'u-owner' });
+  const seed = { ...SEED, memories: [...SEED.memories, expired('old1'), expired('old2')], roles: { ...SEED.roles, 'owner@example.com': 'owner' } };
+  repo = createMemoryRepository({ seed, user: { uid: 'u-owner', email: 'owner@example.com' } });
+  const remove = repo.deleteMemory;
+  // old2 is still being deleted when old1 is gone and the snapshot comes in
+  const spy = jest.spyOn(repo, 'deleteMemory').mockImplementation((id) => (id === 'old2' ? new Promise(() => {}) : remove(id)));
+  setRepository(repo);
+  render(<App />);
+
+  await waitFor(() => expect(latestMemories().map((m) => m.id)).not.toContain('old1'));
+  await new Promise((r) => setTimeout(r, 0));
+  expect(spy.mock.calls.map(([id]) => id).sort()).toEqual(['old1', 'old2']);
+});
+
+test('deleting moves the memory to the trash', async () => {
+  renderApp();
+  const popup = openPopup('Rome');
+  fireEvent.click(within(popup).getByText('Delete'));
+
+  await waitFor(() => expect(screen.queryByTitle('Rome')).not.toBeInTheDocument());
+  expect(await stored('rome')).toMatchObject({ trashed: true, deletedBy: 'u-editor' });
+  expect(await screen.findByText(/Moved "Rome" to the trash/)).toBeInTheDocument();
 });
@@ -0,0 +1,111 @@
+// src/comments.js
+// Comment threads and moderation rules that don't depend on React or a backend.
+//
+// A comment is { id, author, text, authorUid, parentId, status, createdAt, editedAt }:
+//   parentId  the comment it replies to, null for a top-level comment
+//   status    "visible", "pending" (waiting for the owner's approval) or "hidden";
+//             comments from before moderation have none and count as visible
+//   editedAt  set when the author changes the text
+//
+// Moderation settings live in the site settings (settings/site):
+//   approveAnonymousComments  hold comments from signed-out visitors for approval
+//   commentsPerHour           how many comments one browser may post per hour (0 = no limit)
+//
+// Each memory keeps `commentCount` (approved comments) and `lastCommentAt` (when the
+// newest one was posted or approved), maintained by the repository, so the map can
+// badge pins without reading every comment.
+
+export const COMMENT_STATUSES = ["visible", "pending", "hidden"];
+
+export const COMMENT_STATUS_LABELS = {
+  visible: "Approved",
+  pending: "Awaiting approval",
+  hidden: "Hidden",
+};
+
+export const MAX_COMMENT_LENGTH = 1000;
+export const MAX_AUTHOR_LENGTH = 60;
+
+export function commentStatus(comment) {
+  return COMMENT_STATUSES.includes(comment.status) ? comment.status : "visible";
+}
+
+/* status a new comment starts with */
+export function initialCommentStatus({ authorUid, settings = {} }) {
+  return !authorUid && settings.approveAnonymousComments ? "pending" : "visible";
+}
+
+/* does a comment count towards its memory's commentCount? */
+export function countsAsVisible(comment) {
+  return commentStatus(comment) === "visible";
+}
+
+/* comments the viewer may see: the owner sees everything, others only what's approved */
+export function visibleComments(comments, { isOwner }) {
+  return isOwner ? comments : comments.filter((c) => commentStatus(c) === "visible");
+}
+
+/* oldest-first list → top-level comments, each with nested `replies` (oldest first).
+   Replies whose parent isn't in the list (deleted or hidden) are shown at the top level. */
+export function buildThreads(comments) {
+  const byId = new Map(comments.map((c) => [c.id, { ...c, replies: [] }]));
+  const roots = [];
+  byId.forEach((c) => {
+    const parent = c.parentId && c.parentId !== c.id ? byId.get(c.parentId) : null;
+    if (parent) parent.replies.push(c);
+    else roots.push(c);
+  });
+  return roots;
+}
+
+/* ---------------- Unread tracking ---------------- */
+// Per signed-in user: { since, seen: { [memoryId]: Date } }. `seen` records when the
+// user last opened a memory's comments; `since` is when tracking started or they last
+// marked everything read, and stands in for memories they never opened.
+function seenAt(readState, memoryId) {
+  return readState.seen?.[memoryId] ?? readState.since ?? null;
+}
+
+export function hasUnreadComments(memory, readState) {
+  if (!readState || !memory.commentCount || !memory.lastCommentAt) return false;
+  const seen = seenAt(readState, memory.id);
+  return !seen || memory.lastCommentAt > seen;
+}
+
+export function isUnreadComment(comment, readState) {
+  if (!readState || !comment.createdAt || !countsAsVisible(comment)) return false;
+  const seen = seenAt(readState, comment.memoryId);
+  return !seen || comment.createdAt > seen;
+}
+
+/* ---------------- Per-browser rate limit ---------------- */
+// Kept in localStorage, so it slows down people posting by hand rather than stopping
+// a determined script; the security rules still bound what a comment may contain.
+const RATE_LIMIT_KEY = "mm_comment_times";
+const HOUR_MS = 60 * 60 * 1000;
+
+function readTimes(storage, now) {
+  try {
+    const times = JSON.parse(storage.getItem(RATE_LIMIT_KEY) || "[]");
+    return Array.isArray(times) ? times.filter((t) => typeof t === "number" && now - t < HOUR_MS) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/* minutes until another comment is allowed, or 0 when posting now is fine */
+export function commentWaitMinutes(perHour, { now = Date.now(), storage = window.localStorage } = {}) {
+  if (!perHour || perHour <= 0) return 0;
+  const times = readTimes(storage, now);
+  if (times.length < perHour) return 0;
+  const oldest = Math.min(...times);
+  return Math.max(1, Math.ceil((oldest + HOUR_MS - now) / 60000));
+}
+
+export function recordCommentPosted({ now = Date.now(), storage = window.localStorage } = {}) {
+  try {
+    storage.setItem(RATE_LIMIT_KEY, JSON.stringify([...readTimes(storage, now), now]));
+  } catch (err) {
+    // storage full or disabled: the limit just doesn't apply
+  }
+}
@@ -0,0 +1,69 @@
+import {
+  buildThreads,
+  commentStatus,
+  commentWaitMinutes,
+  hasUnreadComments,
+  initialCommentStatus,
+  isUnreadComment,
+  recordCommentPosted,
+  visibleComments,
+} from './comments';
+
+const c = (id, fields = {}) => ({ id, author: 'A', text: id, ...fields });
+
+test('threads nest replies under their parent, oldest first', () => {
+  const threads = buildThreads([
+    c('a'),
+    c('b'),
+    c('a1', { parentId: 'a' }),
+    c('a1x', { parentId: 'a1' }),
+    c('a2', { parentId: 'a' }),
+    c('orphan', { parentId: 'gone' }),
+  ]);
+  expect(threads.map((t) => t.id)).toEqual(['a', 'b', 'orphan']);
+  expect(threads[0].replies.map((r) => r.id)).toEqual(['a1', 'a2']);
+  expect(threads[0].replies[0].replies.map((r) => r.id)).toEqual(['a1x']);
+});
+
+test('only the owner sees pending and hidden comments', () => {
+  const comments = [c('old'), c('ok', { status: 'visible' }), c('wait', { status: 'pending' }), c('no', { status: 'hidden' })];
+  expect(visibleComments(comments, { isOwner: false }).map((x) => x.id)).toEqual(['old', 'ok']);
+  expect(visibleComments(comments, { isOwner: true })).toHaveLength(4);
+  expect(commentStatus(c('old'))).toBe('visible');
+});
+
+test('anonymous comments wait for approval only when the owner asks for it', () => {
+  expect(initialCommentStatus({ authorUid: null, settings: {} })).toBe('visible');
+  expect(initialCommentStatus({ authorUid: null, settings: { approveAnonymousComments: true } })).toBe('pending');
+  expect(initialCommentStatus({ authorUid: 'u1', settings: { approveAnonymousComments: true } })).toBe('visible');
+});
+
+test('rate limit counts this browser’s comments over the last hour', () => {
+  const store = new Map();
+  const storage = { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+  const start = new Date('2024-05-01T10:00:00Z').getTime();
+
+  recordCommentPosted({ now: start, storage });
+  recordCommentPosted({ now: start + 10 * 60000, storage });
+  expect(commentWaitMinutes(3, { now: start + 20 * 60000, storage })).toBe(0);
+  expect(commentWaitMinutes(2, { now: start + 20 * 60000, storage })).toBe(40);
+  expect(commentWaitMinutes(2, { now: start + 61 * 60000, storage })).toBe(0);
+  expect(commentWaitMinutes(0, { now: start, storage })).toBe(0);
+});
+
+test('comments are unread when newer than the last look at their memory', () => {
+  const at = (hh) => new Date(`2024-05-01T${hh}:00:00Z`);
+  const readState = { since: at('10'), seen: { paris: at('12') } };
+  const memory = (id, lastCommentAt, commentCount = 1) => ({ id, commentCount, lastCommentAt });
+
+  expect(hasUnreadComments(memory('paris', at('11')), readState)).toBe(false);
+  expect(hasUnreadComments(memory('paris', at('13')), readState)).toBe(true);
+  expect(hasUnreadComments(memory('rome', at('11')), readState)).toBe(true);
+  expect(hasUnreadComments(memory('rome', at('09')), readState)).toBe(false);
+  expect(hasUnreadComments(memory('rome', at('11'), 0), readState)).toBe(false);
+  expect(hasUnreadComments(memory('rome', at('11')), null)).toBe(false);
+
+  expect(isUnreadComment(c('x', { memoryId: 'paris', createdAt: at('13') }), readState)).toBe(true);
+  expect(isUnreadComment(c('x', { memoryId: 'paris', createdAt: at('11') }), readState)).toBe(false);
+  expect(isUnreadComment(c('x', { memoryId: 'rome', createdAt: at('13'), status: 'pending' }), readState)).toBe(false);
+});
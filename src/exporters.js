@@ -0,0 +1,140 @@
+// src/exporters.js
+// Serialise memories for other map tools (Google Earth, QGIS, GPS apps).
+// Every exporter takes plain records shaped like:
+//   { id, title, description, date, category, color, lat, lng, images: [url, ...] }
+
+const APP_NAME = "Our Memory Map";
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/* "YYYY-MM-DD" → ISO timestamp (or null) */
+function isoDate(date) {
+  if (!date) return null;
+  const t = new Date(date);
+  return Number.isNaN(t.getTime()) ? null : t.toISOString();
+}
+
+/* #rrggbb → KML's aabbggrr */
+function kmlColor(hex) {
+  const h = (hex || "#3b82f6").replace("#", "");
+  return `ff${h.slice(4, 6)}${h.slice(2, 4)}${h.slice(0, 2)}`;
+}
+
+/* ---------------- GeoJSON ---------------- */
+export function toGeoJSON(records) {
+  return JSON.stringify(
+    {
+      type: "FeatureCollection",
+      features: records.map((r) => ({
+        type: "Feature",
+        id: r.id,
+        geometry: { type: "Point", coordinates: [r.lng, r.lat] },
+        properties: {
+          title: r.title,
+          description: r.description,
+          date: r.date || null,
+          category: r.category || null,
+          color: r.color,
+          "marker-color": r.color,
+          images: r.images,
+        },
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/* ---------------- KML ---------------- */
+export function toKML(records) {
+  const colors = [...new Set(records.map((r) => r.color))];
+  const styles = colors
+    .map(
+      (c) => `    <Style id="pin-${c.slice(1)}">
+      <IconStyle><color>${kmlColor(c)}</color></IconStyle>
+    </Style>`
+    )
+    .join("\n");
+
+  const placemarks = records
+    .map((r) => {
+      const when = isoDate(r.date);
+      const imgs = r.images.map((url) => `<img src="${escapeXml(url)}" width="240"/>`).join("");
+      const data = [
+        ["date", r.date],
+        ["category", r.category],
+        ["color", r.color],
+        ["images", r.images.join(" ")],
+      ]
+        .filter(([, v]) => v)
+        .map(([k, v]) => `        <Data name="${k}"><value>${escapeXml(v)}</value></Data>`)
+        .join("\n");
+      return `    <Placemark id="${escapeXml(r.id)}">
+      <name>${escapeXml(r.title)}</name>
+      <description>${escapeXml(r.description + (imgs ? `<br/>${imgs}` : ""))}</description>
+${when ? `      <TimeStamp><when>${when}</when></TimeStamp>\n` : ""}      <styleUrl>#pin-${r.color.slice(1)}</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Point><coordinates>${r.lng},${r.lat},0</coordinates></Point>
+    </Placemark>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${APP_NAME}</name>
+${styles}
+${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+/* ---------------- GPX ---------------- */
+export function toGPX(records) {
+  const waypoints = records
+    .map((r) => {
+      const when = isoDate(r.date);
+      const links = r.images.map((url) => `    <link href="${escapeXml(url)}"><type>image</type></link>`).join("\n");
+      return `  <wpt lat="${r.lat}" lon="${r.lng}">
+${when ? `    <time>${when}</time>\n` : ""}    <name>${escapeXml(r.title)}</name>
+    <desc>${escapeXml(r.description)}</desc>
+${links ? `${links}\n` : ""}${r.category ? `    <type>${escapeXml(r.category)}</type>\n` : ""}    <extensions><color>${escapeXml(r.color)}</color></extensions>
+  </wpt>`;
+    })
+    .join("\n");
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="${APP_NAME}" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata><name>${APP_NAME}</name></metadata>
+${waypoints}
+</gpx>
+`;
+}
+
+export const EXPORT_FORMATS = {
+  geojson: { label: "GeoJSON", extension: "geojson", mime: "application/geo+json", serialise: toGeoJSON },
+  kml: { label: "KML (Google Earth)", extension: "kml", mime: "application/vnd.google-earth.kml+xml", serialise: toKML },
+  gpx: { label: "GPX (GPS apps)", extension: "gpx", mime: "application/gpx+xml", serialise: toGPX },
+};
+
+/* trigger a browser download of `text` */
+export function downloadFile(filename, text, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,89 @@
+import { toGeoJSON, toGPX, toKML } from './exporters';
+
+const RECORDS = [
+  {
+    id: 'paris',
+    title: 'Dinner at <Chez "Marie"> & co',
+    description: "Rock 'n' roll",
+    date: '2023-04-01',
+    category: 'City',
+    color: '#ef4444',
+    lat: 48.8584,
+    lng: 2.2945,
+    images: ['https://example.com/a.jpg?w=1&h=2', 'https://example.com/b.jpg'],
+  },
+  {
+    id: 'rome',
+    title: 'Rome',
+    description: '',
+    date: null,
+    category: '',
+    color: '#22c55e',
+    lat: 41.8902,
+    lng: 12.4922,
+    images: [],
+  },
+];
+
+function parseXml(text) {
+  const xml = new DOMParser().parseFromString(text, 'application/xml');
+  expect(xml.getElementsByTagName('parsererror')).toHaveLength(0);
+  return xml;
+}
+
+const textOf = (xml, tag) => [...xml.getElementsByTagName(tag)].map((el) => el.textContent);
+
+test('GeoJSON has a point per memory, longitude first, with nulls for what is missing', () => {
+  const { features } = JSON.parse(toGeoJSON(RECORDS));
+  expect(features.map((f) => f.geometry)).toEqual([
+    { type: 'Point', coordinates: [2.2945, 48.8584] },
+    { type: 'Point', coordinates: [12.4922, 41.8902] },
+  ]);
+  expect(features[0].properties).toMatchObject({
+    title: 'Dinner at <Chez "Marie"> & co',
+    date: '2023-04-01',
+    category: 'City',
+    'marker-color': '#ef4444',
+    images: RECORDS[0].images,
+  });
+  expect(features[1].properties).toMatchObject({ date: null, category: null, images: [] });
+});
+
+test('KML escapes text, converts colours and embeds the photos', () => {
+  const text = toKML(RECORDS);
+  const xml = parseXml(text);
+  expect(textOf(xml, 'name')).toEqual(['Our Memory Map', 'Dinner at <Chez "Marie"> & co', 'Rome']);
+  // #rrggbb → aabbggrr
+  expect(textOf(xml, 'color')).toEqual(['ff4444ef', 'ff5ec522']);
+  expect(text).toContain('<styleUrl>#pin-ef4444</styleUrl>');
+
+  const [paris, rome] = textOf(xml, 'description');
+  expect(paris).toBe(
+    "Rock 'n' roll<br/><img src=\"https://example.com/a.jpg?w=1&amp;h=2\" width=\"240\"/><img src=\"https://example.com/b.jpg\" width=\"240\"/>"
+  );
+  expect(rome).toBe('');
+  expect(textOf(xml, 'when')).toEqual(['2023-04-01T00:00:00.000Z']);
+  // empty date and category are left out of the extended data
+  expect([...xml.getElementsByTagName('Data')].map((d) => d.getAttribute('name'))).toEqual([
+    'date',
+    'category',
+    'color',
+    'images',
+    'color',
+  ]);
+  expect(textOf(xml, 'coordinates')).toEqual(['2.2945,48.8584,0', '12.4922,41.8902,0']);
+});
+
+test('GPX has a waypoint per memory with image links and optional time and type', () => {
+  const xml = parseXml(toGPX(RECORDS));
+  const waypoints = [...xml.getElementsByTagName('wpt')];
+  expect(waypoints.map((w) => [w.getAttribute('lat'), w.getAttribute('lon')])).toEqual([
+    ['48.8584', '2.2945'],
+    ['41.8902', '12.4922'],
+  ]);
+  expect(textOf(xml, 'name')).toEqual(['Our Memory Map', 'Dinner at <Chez "Marie"> & co', 'Rome']);
+  expect(textOf(xml, 'time')).toEqual(['2023-04-01T00:00:00.000Z']);
+  expect(textOf(xml, 'type')).toEqual(['image', 'image', 'City']);
+  expect([...xml.getElementsByTagName('link')].map((l) => l.getAttribute('href'))).toEqual(RECORDS[0].images);
+  expect(textOf(xml, 'desc')).toEqual(["Rock 'n' roll", '']);
+});
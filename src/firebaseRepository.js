@@ -0,0 +1,367 @@
+// src/firebaseRepository.js
+// Repository backed by Firestore, Firebase Storage and Google sign-in (see repository.js
+// for the interface). Layout of one map, at the top level for the original map and
+// under maps/{mapId} for the others (see maps.js):
+//   memories/{id}                 + comments/{id} (mapComments/{id} on the other maps,
+//                                   with the map's id, so they are their own collection
+//                                   group), revisions/{id}
+//   trips/{id}, stories/{id}, roles/{email}, settings/site, invites/{token}
+//   users/{uid}                   unread tracking: { since, seen: { [memoryId]: timestamp } }
+//   Storage: memories/{timestamp}-{filename}, under maps/{mapId}/ for the other maps
+//   maps/{mapId}                  { createdBy, createdAt }
+import { auth, db, googleProvider, storage } from "./firebase";
+import { onAuthStateChanged, signInWithPopup, signOut } from "firebase/auth";
+import {
+  GeoPoint,
+  Timestamp,
+  addDoc,
+  arrayRemove,
+  arrayUnion,
+  collection,
+  collectionGroup,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  limit,
+  onSnapshot,
+  orderBy,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from "firebase/firestore";
+import { deleteObject, getDownloadURL, listAll, ref, uploadBytes } from "firebase/storage";
+import { countsAsVisible } from "./comments";
+import { MAIN_MAP_ID } from "./maps";
+import { assertValidMemory } from "./memorySchema";
+
+// Firestore batches are capped at 500 writes
+const DELETE_BATCH_SIZE = 450;
+
+/* Timestamp → Date and GeoPoint → { latitude, longitude } on the top-level fields */
+function fromFirestore(snap) {
+  const data = { id: snap.id };
+  Object.entries(snap.data()).forEach(([key, value]) => {
+    if (value instanceof Timestamp) data[key] = value.toDate();
+    else if (value instanceof GeoPoint) data[key] = { latitude: value.latitude, longitude: value.longitude };
+    else data[key] = value;
+  });
+  return data;
+}
+
+/* the id is the document's name, never a field */
+function toFirestore(fields) {
+  const { id, ...data } = fields;
+  const c = data.coordinates;
+  if (c && !(c instanceof GeoPoint)) data.coordinates = new GeoPoint(c.latitude, c.longitude);
+  return data;
+}
+
+function listen(target, onChange, onError) {
+  return onSnapshot(target, (snap) => onChange(snap.docs.map(fromFirestore)), onError);
+}
+
+function toUser(u) {
+  return u ? { uid: u.uid, email: u.email || null, displayName: u.displayName || null } : null;
+}
+
+function roleKey(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/* queue the memory's commentCount/lastCommentAt change for comment `commentId` appearing (1)
+   or going (-1) in the same batch; the rules check that comment against the count */
+async function countComment(batch, memoryRef, delta, commentId) {
+  if (delta > 0) {
+    batch.update(memoryRef, { commentCount: increment(1), lastCommentAt: serverTimestamp(), countedCommentId: commentId });
+  } else if (delta < 0) {
+    // memories from before the count was kept may have none to take from
+    const memory = await getDoc(memoryRef);
+    if (memory.exists() && memory.data().commentCount > 0) {
+      batch.update(memoryRef, { commentCount: increment(-1), countedCommentId: commentId });
+    }
+  }
+}
+
+/* users/{uid} → { since, seen }; timestamps still pending on the server read as their local estimate */
+function toReadState(snap) {
+  const data = snap.data({ serverTimestamps: "estimate" });
+  const seen = {};
+  Object.entries(data.seen || {}).forEach(([memoryId, at]) => {
+    if (at instanceof Timestamp) seen[memoryId] = at.toDate();
+  });
+  return { since: data.since instanceof Timestamp ? data.since.toDate() : null, seen };
+}
+
+async function deleteDocsInBatches(refs) {
+  for (let i = 0; i < refs.length; i += DELETE_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    refs.slice(i, i + DELETE_BATCH_SIZE).forEach((r) => batch.delete(r));
+    await batch.commit();
+  }
+}
+
+export function createFirebaseRepository({ mapId = MAIN_MAP_ID } = {}) {
+  const isMain = mapId === MAIN_MAP_ID;
+  const at = (...segments) => (isMain ? segments : ["maps", mapId, ...segments]);
+  const COMMENTS = isMain ? "comments" : "mapComments";
+  const memoryDoc = (id) => doc(db, ...at("memories"), id);
+
+  /* every comment of this map, across its memories */
+  const allComments = (...constraints) =>
+    isMain
+      ? query(collectionGroup(db, COMMENTS), ...constraints)
+      : query(collectionGroup(db, COMMENTS), where("mapId", "==", mapId), ...constraints);
+
+  return {
+    mapId,
+
+    /* ---------------- Auth ---------------- */
+    onUserChanged: (cb) => onAuthStateChanged(auth, (u) => cb(toUser(u))),
+    currentUser: () => toUser(auth.currentUser),
+    signIn: async () => {
+      await signInWithPopup(auth, googleProvider);
+    },
+    signOut: () => signOut(auth),
+
+    /* ---------------- Roles ---------------- */
+    subscribeRole: (email, onChange, onError) =>
+      onSnapshot(
+        doc(db, ...at("roles"), roleKey(email)),
+        (snap) => onChange(snap.exists() ? snap.data().role : null),
+        onError
+      ),
+    subscribeRoles: (onChange, onError) => listen(collection(db, ...at("roles")), onChange, onError),
+    setRole: (email, role) =>
+      setDoc(doc(db, ...at("roles"), roleKey(email)), { email: roleKey(email), role, updatedAt: serverTimestamp() }),
+    removeRole: (email) => deleteDoc(doc(db, ...at("roles"), roleKey(email))),
+
+    /* ---------------- Memories ---------------- */
+    subscribeMemories: (onChange, onError) => listen(collection(db, ...at("memories")), onChange, onError),
+    newMemoryId: () => doc(collection(db, ...at("memories"))).id,
+    getMemory: async (id) => {
+      const snap = await getDoc(doc(db, ...at("memories"), id));
+      return snap.exists() ? fromFirestore(snap) : null;
+    },
+    listMemories: async () => {
+      const snap = await getDocs(collection(db, ...at("memories")));
+      return snap.docs.map(fromFirestore);
+    },
+    addMemory: async (fields, id) => {
+      assertValidMemory(fields);
+      const memoryRef = id ? doc(db, ...at("memories"), id) : doc(collection(db, ...at("memories")));
+      await setDoc(memoryRef, { ...toFirestore(fields), createdAt: serverTimestamp() });
+      return memoryRef.id;
+    },
+    addMemories: async (list) => {
+      list.forEach((fields) => assertValidMemory(fields));
+      const batch = writeBatch(db);
+      list.forEach((fields) =>
+        batch.set(doc(collection(db, ...at("memories"))), { ...toFirestore(fields), createdAt: serverTimestamp() })
+      );
+      await batch.commit();
+    },
+    updateMemory: async (id, fields, revision) => {
+      assertValidMemory(fields, { partial: true });
+      const batch = writeBatch(db);
+      batch.update(doc(db, ...at("memories"), id), toFirestore(fields));
+      if (revision) {
+        batch.set(doc(collection(db, ...at("memories"), id, "revisions")), { ...revision, at: serverTimestamp() });
+      }
+      await batch.commit();
+    },
+    replaceMemory: async (id, fields) => {
+      assertValidMemory(fields);
+      await setDoc(doc(db, ...at("memories"), id), toFirestore(fields));
+    },
+    trashMemory: (id, deletedBy) =>
+      updateDoc(doc(db, ...at("memories"), id), { trashed: true, deletedAt: serverTimestamp(), deletedBy: deletedBy || null }),
+    restoreMemory: (id) => updateDoc(doc(db, ...at("memories"), id), { trashed: false, deletedAt: null, deletedBy: null }),
+    deleteMemory: async (id) => {
+      const comments = await getDocs(collection(db, ...at("memories"), id, COMMENTS));
+      const revisions = await getDocs(collection(db, ...at("memories"), id, "revisions"));
+      // the memory goes first so the rules can check it's gone when its comments are removed
+      await deleteDocsInBatches([
+        doc(db, ...at("memories"), id),
+        ...comments.docs.map((d) => d.ref),
+        ...revisions.docs.map((d) => d.ref),
+      ]);
+      const trips = await getDocs(query(collection(db, ...at("trips")), where("memoryIds", "array-contains", id)));
+      await Promise.all(trips.docs.map((t) => updateDoc(t.ref, { memoryIds: arrayRemove(id) })));
+    },
+    subscribeRevisions: (memoryId, onChange, onError) =>
+      listen(query(collection(db, ...at("memories"), memoryId, "revisions"), orderBy("at", "desc")), onChange, onError),
+
+    /* ---------------- Comments ---------------- */
+    subscribeComments: (memoryId, onChange, onError) =>
+      listen(query(collection(db, ...at("memories"), memoryId, COMMENTS), orderBy("createdAt", "asc")), onChange, onError),
+    addComment: async (memoryId, { author, text, authorUid, parentId, status }) => {
+      const comment = {
+        ...(isMain ? {} : { mapId }),
+        author,
+        text,
+        authorUid: authorUid || null,
+        parentId: parentId || null,
+        status: status || "visible",
+        createdAt: serverTimestamp(),
+      };
+      const commentRef = doc(collection(db, ...at("memories"), memoryId, COMMENTS));
+      const batch = writeBatch(db);
+      batch.set(commentRef, comment);
+      await countComment(batch, memoryDoc(memoryId), countsAsVisible(comment) ? 1 : 0, commentRef.id);
+      await batch.commit();
+      return commentRef.id;
+    },
+    editComment: (memoryId, commentId, text) =>
+      updateDoc(doc(db, ...at("memories"), memoryId, COMMENTS, commentId), { text, editedAt: serverTimestamp() }),
+    setCommentStatus: async (memoryId, commentId, status) => {
+      const commentRef = doc(db, ...at("memories"), memoryId, COMMENTS, commentId);
+      const before = await getDoc(commentRef);
+      if (!before.exists()) throw new Error(`No comment with id ${commentId}`);
+      const batch = writeBatch(db);
+      batch.update(commentRef, { status });
+      await countComment(batch, memoryDoc(memoryId), countsAsVisible({ status }) - countsAsVisible(before.data()), commentId);
+      await batch.commit();
+    },
+    deleteComment: async (memoryId, commentId) => {
+      const commentRef = doc(db, ...at("memories"), memoryId, COMMENTS, commentId);
+      const before = await getDoc(commentRef);
+      const batch = writeBatch(db);
+      batch.delete(commentRef);
+      if (before.exists() && countsAsVisible(before.data())) await countComment(batch, memoryDoc(memoryId), -1, commentId);
+      await batch.commit();
+    },
+    listAllComments: async () => {
+      const snap = await getDocs(allComments());
+      return snap.docs.map((d) => ({ ...fromFirestore(d), memoryId: d.ref.parent.parent.id }));
+    },
+    // needs the collection-group indexes on comments / mapComments (firestore.indexes.json)
+    subscribeRecentComments: (limitTo, onChange, onError) =>
+      onSnapshot(
+        allComments(orderBy("createdAt", "desc"), limit(limitTo)),
+        (snap) => onChange(snap.docs.map((d) => ({ ...fromFirestore(d), memoryId: d.ref.parent.parent.id }))),
+        onError
+      ),
+
+    /* ---------------- Unread tracking ---------------- */
+    subscribeReadState: (uid, onChange, onError) =>
+      onSnapshot(doc(db, ...at("users"), uid), (snap) => onChange(snap.exists() ? toReadState(snap) : null), onError),
+    markCommentsSeen: (uid, memoryId) =>
+      setDoc(doc(db, ...at("users"), uid), { seen: { [memoryId]: serverTimestamp() } }, { merge: true }),
+    markAllCommentsSeen: (uid) => setDoc(doc(db, ...at("users"), uid), { since: serverTimestamp(), seen: {} }),
+
+    /* ---------------- Images ---------------- */
+    uploadImage: async (file) => {
+      const path = [...at("memories"), `${Date.now()}-${file.name}`].join("/");
+      const storageRef = ref(storage, path);
+      await uploadBytes(storageRef, file);
+      return { url: await getDownloadURL(storageRef), path };
+    },
+    imagePath: ({ path, src }) => {
+      try {
+        return ref(storage, path || src).fullPath;
+      } catch (err) {
+        // not one of our uploads (external URL)
+        return null;
+      }
+    },
+    deleteImage: async (path) => {
+      try {
+        await deleteObject(ref(storage, path));
+      } catch (err) {
+        if (err.code !== "storage/object-not-found") throw err;
+      }
+    },
+    listImages: async () => {
+      const listing = await listAll(ref(storage, at("memories").join("/")));
+      return listing.items.map((item) => item.fullPath);
+    },
+
+    /* ---------------- Trips ---------------- */
+    subscribeTrips: (onChange, onError) => listen(collection(db, ...at("trips")), onChange, onError),
+    addTrip: (fields) => addDoc(collection(db, ...at("trips")), { ...fields, createdAt: serverTimestamp() }),
+    updateTrip: (id, fields) => updateDoc(doc(db, ...at("trips"), id), fields),
+    deleteTrip: (id) => deleteDoc(doc(db, ...at("trips"), id)),
+    moveMemoryToTrip: async (memoryId, fromTripId, toTripId) => {
+      const batch = writeBatch(db);
+      if (fromTripId) batch.update(doc(db, ...at("trips"), fromTripId), { memoryIds: arrayRemove(memoryId) });
+      if (toTripId) batch.update(doc(db, ...at("trips"), toTripId), { memoryIds: arrayUnion(memoryId) });
+      await batch.commit();
+    },
+
+    /* ---------------- Stories ---------------- */
+    subscribeStories: (onChange, onError) => listen(collection(db, ...at("stories")), onChange, onError),
+    addStory: async (fields) => {
+      const storyRef = await addDoc(collection(db, ...at("stories")), { ...fields, createdAt: serverTimestamp() });
+      return storyRef.id;
+    },
+    updateStory: (id, fields) => updateDoc(doc(db, ...at("stories"), id), fields),
+    deleteStory: (id) => deleteDoc(doc(db, ...at("stories"), id)),
+
+    /* ---------------- Settings ---------------- */
+    subscribeSettings: (onChange, onError) =>
+      onSnapshot(doc(db, ...at("settings"), "site"), (snap) => onChange(snap.exists() ? snap.data() : {}), onError),
+    saveSettings: (fields) => setDoc(doc(db, ...at("settings"), "site"), fields, { merge: true }),
+
+    /* ---------------- Maps ---------------- */
+    getMap: async () => {
+      if (isMain) return { id: MAIN_MAP_ID };
+      const snap = await getDoc(doc(db, "maps", mapId));
+      return snap.exists() ? fromFirestore(snap) : null;
+    },
+    // needs the collection-group index on roles.email (firestore.indexes.json)
+    listMyMaps: async (email) => {
+      const roles = await getDocs(query(collectionGroup(db, "roles"), where("email", "==", roleKey(email))));
+      return Promise.all(
+        roles.docs.map(async (d) => {
+          const mapRef = d.ref.parent.parent;
+          const settings = await getDoc(mapRef ? doc(mapRef, "settings", "site") : doc(db, "settings", "site"));
+          return {
+            id: mapRef ? mapRef.id : MAIN_MAP_ID,
+            role: d.data().role,
+            siteTitle: (settings.exists() && settings.data().siteTitle) || null,
+          };
+        })
+      );
+    },
+    createMap: async (siteTitle) => {
+      const user = auth.currentUser;
+      if (!user) throw new Error("Sign in to create a map");
+      const mapRef = doc(collection(db, "maps"));
+      const batch = writeBatch(db);
+      batch.set(mapRef, { createdBy: user.uid, createdAt: serverTimestamp() });
+      batch.set(doc(mapRef, "roles", roleKey(user.email)), {
+        email: roleKey(user.email),
+        role: "owner",
+        updatedAt: serverTimestamp(),
+      });
+      await batch.commit();
+      // the rules only see the new owner once the batch above has landed
+      await setDoc(doc(mapRef, "settings", "site"), { siteTitle });
+      return mapRef.id;
+    },
+
+    /* ---------------- Share links ---------------- */
+    subscribeInvites: (onChange, onError) => listen(collection(db, ...at("invites")), onChange, onError),
+    createInvite: async (role) => {
+      const inviteRef = doc(collection(db, ...at("invites")));
+      await setDoc(inviteRef, { role, createdBy: auth.currentUser?.uid ?? null, createdAt: serverTimestamp() });
+      return inviteRef.id;
+    },
+    deleteInvite: (token) => deleteDoc(doc(db, ...at("invites"), token)),
+    acceptInvite: async (token, email) => {
+      const roleRef = doc(db, ...at("roles"), roleKey(email));
+      const existing = await getDoc(roleRef);
+      if (existing.exists()) return existing.data().role;
+      const invite = await getDoc(doc(db, ...at("invites"), token));
+      if (!invite.exists()) throw new Error("This share link has been turned off");
+      const { role } = invite.data();
+      await setDoc(roleRef, { email: roleKey(email), role, invite: token, updatedAt: serverTimestamp() });
+      return role;
+    },
+  };
+}
@@ -0,0 +1,66 @@
+// src/gazetteerGeocoder.js
+// Geocoder over a small bundled list of cities (see geocoder.js for the interface).
+// Used by the tests and in development, so place search works without network
+// access; coverage is a couple of hundred well-known places, not every village.
+//
+// createGazetteerGeocoder({ places, maxDistanceKm }):
+//   places         [[name, country, latitude, longitude]], default gazetteer.json
+//   maxDistanceKm  how far a position may be from a place for reverse() to name it
+import GAZETTEER from "./gazetteer.json";
+import { placeLabel } from "./geocoder";
+
+function fold(s) {
+  return String(s || "").normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase().trim();
+}
+
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const h =
+    Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/* 0 = name starts with the query, 1 = a later word does, 2 = found anywhere in the label, null = no match */
+function matchRank(place, q) {
+  const name = fold(place.name);
+  if (name.startsWith(q)) return 0;
+  if (name.split(/[\s-]+/).some((word) => word.startsWith(q))) return 1;
+  return fold(place.label).includes(q) ? 2 : null;
+}
+
+export function createGazetteerGeocoder({ places = GAZETTEER, maxDistanceKm = 50 } = {}) {
+  const index = places.map(([name, country, latitude, longitude]) => ({
+    name,
+    country,
+    label: placeLabel(name, country),
+    latitude,
+    longitude,
+  }));
+
+  return {
+    search: async (query, { limit = 5 } = {}) => {
+      const q = fold(query);
+      if (q.length < 2) return [];
+      return index
+        .map((place) => ({ place, rank: matchRank(place, q) }))
+        .filter((m) => m.rank !== null)
+        .sort((a, b) => a.rank - b.rank || a.place.name.localeCompare(b.place.name))
+        .slice(0, limit)
+        .map((m) => ({ ...m.place }));
+    },
+
+    reverse: async (latitude, longitude) => {
+      let best = null;
+      let bestKm = Infinity;
+      index.forEach((place) => {
+        const km = distanceKm(latitude, longitude, place.latitude, place.longitude);
+        if (km < bestKm) {
+          best = place;
+          bestKm = km;
+        }
+      });
+      return best && bestKm <= maxDistanceKm ? { ...best } : null;
+    },
+  };
+}
@@ -0,0 +1,28 @@
+// src/geocoder.js
+// Place search and reverse geocoding go through one geocoder object, picked at
+// startup like the repository (see index.js). Two implementations:
+//   - gazetteerGeocoder.js: a bundled list of cities, no network (tests, development)
+//   - httpGeocoder.js:      a Nominatim-compatible HTTP service (production)
+//
+// The interface (both methods return promises):
+//
+//   search(query, { limit }) → [place]     best matches first; [] for nothing found
+//   reverse(latitude, longitude) → place | null    the named place at or near a position
+//
+// where place = { name, country, label, latitude, longitude } and label is what the
+// UI shows and memories store as `place` ("Lisbon, Portugal").
+
+let current = null;
+
+export function setGeocoder(geocoder) {
+  current = geocoder;
+}
+
+export function getGeocoder() {
+  if (!current) throw new Error("No geocoder configured; call setGeocoder() first");
+  return current;
+}
+
+export function placeLabel(name, country) {
+  return [name, country].filter(Boolean).join(", ");
+}
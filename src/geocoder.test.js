@@ -0,0 +1,55 @@
+import { createGazetteerGeocoder } from './gazetteerGeocoder';
+import { createHttpGeocoder } from './httpGeocoder';
+
+describe('gazetteer geocoder', () => {
+  const geocoder = createGazetteerGeocoder();
+
+  test('finds places by the start of their name, ignoring accents and case', async () => {
+    expect((await geocoder.search('lisb')).map((p) => p.label)).toEqual(['Lisbon, Portugal']);
+    expect((await geocoder.search('malmo'))[0]).toMatchObject({ name: 'Malmö', country: 'Sweden' });
+    expect((await geocoder.search('york')).map((p) => p.name)).toEqual(['York', 'New York']);
+    expect(await geocoder.search('x')).toEqual([]);
+  });
+
+  test('names the nearest place within range', async () => {
+    expect(await geocoder.reverse(48.8584, 2.2945)).toMatchObject({ label: 'Paris, France' });
+    expect(await geocoder.reverse(0, -30)).toBeNull();
+  });
+
+  test('can use its own list', async () => {
+    const custom = createGazetteerGeocoder({ places: [['Home', null, 10, 10]], maxDistanceKm: 1 });
+    expect(await custom.search('ho')).toEqual([{ name: 'Home', country: null, label: 'Home', latitude: 10, longitude: 10 }]);
+    expect(await custom.reverse(10.5, 10)).toBeNull();
+  });
+});
+
+describe('http geocoder', () => {
+  const respond = (body, ok = true) => jest.fn().mockResolvedValue({ ok, status: ok ? 200 : 503, json: async () => body });
+
+  test('searches and maps results to places', async () => {
+    const fetch = respond([
+      { lat: '38.7077', lon: '-9.1365', display_name: 'Lisboa, Portugal', address: { city: 'Lisboa', country: 'Portugal' } },
+    ]);
+    const geocoder = createHttpGeocoder({ baseUrl: 'https://geo.example.com/', language: 'pt', fetch });
+
+    expect(await geocoder.search('lisboa', { limit: 3 })).toEqual([
+      { name: 'Lisboa', country: 'Portugal', label: 'Lisboa, Portugal', latitude: 38.7077, longitude: -9.1365 },
+    ]);
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.origin + url.pathname).toBe('https://geo.example.com/search');
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({ q: 'lisboa', limit: '3', 'accept-language': 'pt' });
+  });
+
+  test('reverse uses the settlement, falling back to the first part of the name', async () => {
+    const village = createHttpGeocoder({ fetch: respond({ lat: '1', lon: '2', address: { village: 'Ham', country: 'UK' } }) });
+    expect(await village.reverse(1, 2)).toMatchObject({ label: 'Ham, UK' });
+
+    const sea = createHttpGeocoder({ fetch: respond({ error: 'Unable to geocode' }) });
+    expect(await sea.reverse(0, -30)).toBeNull();
+  });
+
+  test('failed requests reject', async () => {
+    const geocoder = createHttpGeocoder({ fetch: respond(null, false) });
+    await expect(geocoder.search('paris')).rejects.toThrow('Geocoder returned 503');
+  });
+});
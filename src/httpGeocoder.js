@@ -0,0 +1,72 @@
+// src/httpGeocoder.js
+// Geocoder backed by a Nominatim-compatible HTTP service (see geocoder.js for the
+// interface). The public OpenStreetMap instance allows about one request a second
+// and no bulk use, so the UI only searches after typing pauses and memories keep
+// the name they were given instead of asking again.
+//
+// createHttpGeocoder({ baseUrl, language, fetch }):
+//   baseUrl   e.g. "https://nominatim.openstreetmap.org" (REACT_APP_GEOCODER_URL)
+//   language  preferred language for names, default the browser's
+//   fetch     injectable for tests
+import { placeLabel } from "./geocoder";
+
+export const DEFAULT_GEOCODER_URL = "https://nominatim.openstreetmap.org";
+
+/* the most specific settlement name in a Nominatim address */
+function settlement(address = {}) {
+  return (
+    address.city ??
+    address.town ??
+    address.village ??
+    address.hamlet ??
+    address.municipality ??
+    address.county ??
+    address.state ??
+    null
+  );
+}
+
+function toPlace(result) {
+  const name = settlement(result.address) ?? result.name ?? String(result.display_name || "").split(",")[0];
+  const country = result.address?.country ?? null;
+  return {
+    name,
+    country,
+    label: placeLabel(name, country),
+    latitude: Number(result.lat),
+    longitude: Number(result.lon),
+  };
+}
+
+export function createHttpGeocoder({
+  baseUrl = DEFAULT_GEOCODER_URL,
+  language = typeof navigator === "undefined" ? "en" : navigator.language,
+  fetch = (...args) => window.fetch(...args),
+} = {}) {
+  const get = async (path, params) => {
+    const url = `${baseUrl.replace(/\/$/, "")}/${path}?${new URLSearchParams({
+      format: "jsonv2",
+      addressdetails: "1",
+      "accept-language": language,
+      ...params,
+    })}`;
+    const res = await fetch(url, { headers: { Accept: "application/json" } });
+    if (!res.ok) throw new Error(`Geocoder returned ${res.status}`);
+    return res.json();
+  };
+
+  return {
+    search: async (query, { limit = 5 } = {}) => {
+      const q = String(query || "").trim();
+      if (q.length < 2) return [];
+      const results = await get("search", { q, limit: String(limit) });
+      return results.map(toPlace);
+    },
+
+    reverse: async (latitude, longitude) => {
+      // zoom 10 = city level, so the name is "Lisbon" rather than a street address
+      const result = await get("reverse", { lat: String(latitude), lon: String(longitude), zoom: "10" });
+      return result && !result.error ? toPlace(result) : null;
+    },
+  };
+}
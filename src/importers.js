@@ -0,0 +1,229 @@
+// src/importers.js
+// Read CSV, GeoJSON and KML files into flat rows ({ column: value }) so the
+// import screen can map columns onto memory fields, and check the mapped rows.
+// Each parser returns { columns, rows, rowNumbers }: rowNumbers[i] is where rows[i]
+// came from, so problems can be pointed out in the file (the line of a CSV record,
+// the 1-based position of a GeoJSON feature or KML placemark).
+
+import { normalizeColor, parseLatLng } from "./memorySchema";
+
+/* ---------------- CSV ---------------- */
+function detectDelimiter(firstLine) {
+  const candidates = [",", ";", "\t"];
+  let best = ",";
+  let bestCount = 0;
+  candidates.forEach((d) => {
+    const count = firstLine.split(d).length - 1;
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/* RFC 4180-ish: quoted fields, doubled quotes, newlines inside quotes */
+export function parseCSV(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const delimiter = detectDelimiter(src.split(/\r?\n/, 1)[0] || "");
+  const records = [];
+  const lines = []; // the line each record starts on
+  let field = "";
+  let record = [];
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        if (ch === "\n" || (ch === "\r" && src[i + 1] !== "\n")) line++;
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      lines.push(recordLine);
+      record = [];
+      field = "";
+      recordLine = ++line;
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+    lines.push(recordLine);
+  }
+
+  const kept = records.map((_, i) => i).filter((i) => records[i].some((v) => v.trim() !== ""));
+  const nonEmpty = kept.map((i) => records[i]);
+  if (!nonEmpty.length) return { columns: [], rows: [], rowNumbers: [] };
+  const columns = nonEmpty[0].map((c, i) => c.trim() || `Column ${i + 1}`);
+  const rows = nonEmpty.slice(1).map((r) => {
+    const row = {};
+    columns.forEach((c, i) => {
+      row[c] = (r[i] ?? "").trim();
+    });
+    return row;
+  });
+  return { columns, rows, rowNumbers: kept.slice(1).map((i) => lines[i]) };
+}
+
+/* ---------------- GeoJSON ---------------- */
+export function parseGeoJSON(text) {
+  const data = JSON.parse(text);
+  const features =
+    data.type === "FeatureCollection" ? data.features || [] : data.type === "Feature" ? [data] : [];
+  const rows = features.map((f) => {
+    const props = {};
+    Object.entries(f.properties || {}).forEach(([k, v]) => {
+      props[k] = Array.isArray(v) ? v.join(" ") : v && typeof v === "object" ? JSON.stringify(v) : v ?? "";
+    });
+    const point = f.geometry && f.geometry.type === "Point" ? f.geometry.coordinates : null;
+    return {
+      ...props,
+      latitude: point ? point[1] : "",
+      longitude: point ? point[0] : "",
+    };
+  });
+  return { columns: collectColumns(rows), rows, rowNumbers: rows.map((_, i) => i + 1) };
+}
+
+/* ---------------- KML ---------------- */
+function childText(el, tag) {
+  const found = el.getElementsByTagName(tag)[0];
+  return found ? found.textContent.trim() : "";
+}
+
+export function parseKML(text) {
+  const xml = new DOMParser().parseFromString(text, "application/xml");
+  if (xml.getElementsByTagName("parsererror").length) throw new Error("Not a valid KML file");
+
+  const rows = Array.from(xml.getElementsByTagName("Placemark")).map((pm) => {
+    const row = {
+      name: childText(pm, "name"),
+      description: childText(pm, "description"),
+    };
+    const when = childText(pm, "when");
+    if (when) row.date = when;
+
+    Array.from(pm.getElementsByTagName("Data")).forEach((d) => {
+      row[d.getAttribute("name")] = childText(d, "value");
+    });
+    Array.from(pm.getElementsByTagName("SimpleData")).forEach((d) => {
+      row[d.getAttribute("name")] = d.textContent.trim();
+    });
+
+    const point = pm.getElementsByTagName("Point")[0];
+    const [lng, lat] = point ? childText(point, "coordinates").split(",") : [];
+    row.latitude = lat ?? "";
+    row.longitude = lng ?? "";
+    return row;
+  });
+  return { columns: collectColumns(rows), rows, rowNumbers: rows.map((_, i) => i + 1) };
+}
+
+function collectColumns(rows) {
+  const seen = new Set();
+  rows.forEach((r) => Object.keys(r).forEach((k) => seen.add(k)));
+  return [...seen];
+}
+
+/* ---------------- Rows → memories ---------------- */
+export const IMPORT_FIELDS = [
+  { key: "title", label: "Title", guesses: ["title", "name"] },
+  { key: "description", label: "Description", guesses: ["description", "desc", "details", "text", "notes"] },
+  { key: "lat", label: "Latitude *", guesses: ["latitude", "lat"] },
+  { key: "lng", label: "Longitude *", guesses: ["longitude", "long", "lng", "lon"] },
+  { key: "place", label: "Place", guesses: ["place", "placename", "city"] },
+  { key: "date", label: "Date", guesses: ["date", "when", "time", "timestamp"] },
+  { key: "category", label: "Category", guesses: ["category", "type"] },
+  { key: "color", label: "Colour", guesses: ["color", "colour", "pincolor", "marker-color"] },
+  { key: "images", label: "Image URLs", guesses: ["images", "image", "imageurl", "photos", "photo"] },
+];
+
+export function guessMapping(columns) {
+  const mapping = {};
+  IMPORT_FIELDS.forEach((f) => {
+    mapping[f.key] = columns.find((c) => f.guesses.includes(c.trim().toLowerCase())) || "";
+  });
+  return mapping;
+}
+
+/* "YYYY-MM-DD…", "DD/MM/YYYY" or anything Date can read → "YYYY-MM-DD" (null if unreadable) */
+export function parseImportDate(raw) {
+  const v = String(raw).trim();
+  const valid = (y, m, d) => {
+    const t = new Date(Date.UTC(y, m - 1, d));
+    return t.getUTCMonth() === m - 1 && t.getUTCDate() === Number(d);
+  };
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(v);
+  if (iso) return valid(iso[1], iso[2], iso[3]) ? `${iso[1]}-${iso[2]}-${iso[3]}` : null;
+  const dmy = /^(\d{1,2})[/.](\d{1,2})[/.](\d{4})$/.exec(v);
+  if (dmy) {
+    const [, d, m, y] = dmy;
+    return valid(y, m, d) ? `${y}-${m.padStart(2, "0")}-${d.padStart(2, "0")}` : null;
+  }
+  const t = new Date(v);
+  return Number.isNaN(t.getTime()) ? null : t.toISOString().slice(0, 10);
+}
+
+/* rowNumber: where the row is in the file (the parser's rowNumbers) */
+export function validateImportRow(row, mapping, rowNumber) {
+  const get = (key) => (mapping[key] ? String(row[mapping[key]] ?? "").trim() : "");
+  const problems = [];
+
+  const pos = parseLatLng(get("lat"), get("lng"));
+  if (!pos) problems.push("coordinates");
+
+  let date = null;
+  if (get("date")) {
+    date = parseImportDate(get("date"));
+    if (!date) problems.push("date");
+  }
+
+  let color = null;
+  if (get("color")) {
+    color = normalizeColor(get("color").startsWith("#") ? get("color") : `#${get("color")}`);
+    if (!color) problems.push("colour");
+  }
+
+  return {
+    rowNumber,
+    title: get("title").slice(0, 200) || "Untitled location",
+    description: get("description").slice(0, 5000),
+    lat: pos ? pos[0] : null,
+    lng: pos ? pos[1] : null,
+    place: get("place").slice(0, 200) || null,
+    date,
+    category: get("category").slice(0, 80),
+    color,
+    images: get("images").split(/[\s,]+/).filter((u) => /^https?:\/\//.test(u)),
+    problems,
+  };
+}
+
+/* ---------------- Entry point ---------------- */
+export const IMPORT_ACCEPT = ".csv,.tsv,.txt,.geojson,.json,.kml";
+
+export async function readImportFile(file) {
+  const text = await file.text();
+  const name = file.name.toLowerCase();
+  if (name.endsWith(".kml")) return parseKML(text);
+  if (name.endsWith(".geojson") || name.endsWith(".json")) return parseGeoJSON(text);
+  return parseCSV(text);
+}
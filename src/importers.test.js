@@ -0,0 +1,107 @@
+import { guessMapping, parseCSV, parseGeoJSON, parseImportDate, parseKML, validateImportRow } from './importers';
+
+test('CSV fields can be quoted, hold newlines and doubled quotes', () => {
+  const { columns, rows } = parseCSV('title,description,lat,lng\r\n"Paris","Dinner at ""Marie""\nthen a walk",48.85,2.29\r\nRome,,41.89,12.49\r\n');
+  expect(columns).toEqual(['title', 'description', 'lat', 'lng']);
+  expect(rows).toEqual([
+    { title: 'Paris', description: 'Dinner at "Marie"\nthen a walk', lat: '48.85', lng: '2.29' },
+    { title: 'Rome', description: '', lat: '41.89', lng: '12.49' },
+  ]);
+});
+
+test('CSV rows are numbered by the line they start on', () => {
+  const { rows, rowNumbers } = parseCSV('title,description\n\nA,"two\r\nlines"\r\n;\n\nB,\n');
+  expect(rows.map((r) => r.title)).toEqual(['A', ';', 'B']);
+  expect(rowNumbers).toEqual([3, 5, 7]);
+});
+
+test('the CSV delimiter is picked from the header and a BOM is dropped', () => {
+  expect(parseCSV('\uFEFFtitle;lat;lng\nLisbon, old town;38.71;-9.14').rows).toEqual([
+    { title: 'Lisbon, old town', lat: '38.71', lng: '-9.14' },
+  ]);
+  expect(parseCSV('title\tlat\tlng\nOslo; harbour\t59.91\t10.75').rows).toEqual([
+    { title: 'Oslo; harbour', lat: '59.91', lng: '10.75' },
+  ]);
+  expect(parseCSV('\uFEFFtitle,lat\nA,1').columns).toEqual(['title', 'lat']);
+});
+
+test('GeoJSON features without a Point get empty coordinates', () => {
+  const { columns, rows, rowNumbers } = parseGeoJSON(
+    JSON.stringify({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', properties: { name: 'Pin', tags: ['a', 'b'] }, geometry: { type: 'Point', coordinates: [2.29, 48.85] } },
+        { type: 'Feature', properties: { name: 'Walk' }, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+        { type: 'Feature', properties: { name: 'Nowhere' }, geometry: null },
+      ],
+    })
+  );
+  expect(columns).toEqual(['name', 'tags', 'latitude', 'longitude']);
+  expect(rows).toEqual([
+    { name: 'Pin', tags: 'a b', latitude: 48.85, longitude: 2.29 },
+    { name: 'Walk', latitude: '', longitude: '' },
+    { name: 'Nowhere', latitude: '', longitude: '' },
+  ]);
+  expect(rowNumbers).toEqual([1, 2, 3]);
+});
+
+test('KML placemarks are read, and broken KML is refused', () => {
+  const { rows, rowNumbers } = parseKML(`<?xml version="1.0"?>
+    <kml xmlns="http://www.opengis.net/kml/2.2"><Document>
+      <Placemark>
+        <name>Tower &amp; park</name>
+        <TimeStamp><when>2023-04-01</when></TimeStamp>
+        <ExtendedData><Data name="category"><value>City</value></Data></ExtendedData>
+        <Point><coordinates>2.2945,48.8584,0</coordinates></Point>
+      </Placemark>
+      <Placemark><name>No point</name></Placemark>
+    </Document></kml>`);
+  expect(rows).toEqual([
+    { name: 'Tower & park', description: '', date: '2023-04-01', category: 'City', latitude: '48.8584', longitude: '2.2945' },
+    { name: 'No point', description: '', latitude: '', longitude: '' },
+  ]);
+  expect(rowNumbers).toEqual([1, 2]);
+  expect(() => parseKML('<kml><Placemark><name>Open</Placemark>')).toThrow('Not a valid KML file');
+});
+
+test('import dates are read as ISO, day/month/year or anything Date understands', () => {
+  expect(parseImportDate('2023-04-01T10:00:00Z')).toBe('2023-04-01');
+  expect(parseImportDate('1/4/2023')).toBe('2023-04-01');
+  expect(parseImportDate('01.04.2023')).toBe('2023-04-01');
+  expect(parseImportDate('2023-02-30')).toBeNull();
+  expect(parseImportDate('31/04/2023')).toBeNull();
+  expect(parseImportDate('someday')).toBeNull();
+});
+
+test('rows with missing, invalid or out-of-range coordinates are flagged', () => {
+  const columns = ['Name', 'Lat', 'Lon', 'City', 'When', 'Colour', 'Photos'];
+  const mapping = guessMapping(columns);
+  expect(mapping).toMatchObject({ title: 'Name', lat: 'Lat', lng: 'Lon', place: 'City', date: 'When', color: 'Colour', images: 'Photos', category: '' });
+
+  const check = (row, rowNumber = 2) => validateImportRow(row, mapping, rowNumber);
+  expect(check({ Name: 'Paris', Lat: '48.85', Lon: '2.29', City: 'Paris, France', When: '1/4/2023', Colour: 'f00', Photos: 'https://a.jpg, ftp://b.jpg' })).toEqual({
+    rowNumber: 2,
+    title: 'Paris',
+    description: '',
+    lat: 48.85,
+    lng: 2.29,
+    place: 'Paris, France',
+    date: '2023-04-01',
+    category: '',
+    color: '#ff0000',
+    images: ['https://a.jpg'],
+    problems: [],
+  });
+  expect(check({ Lat: '', Lon: '2' }).problems).toEqual(['coordinates']);
+  expect(check({ Lat: 'north', Lon: '2' }).problems).toEqual(['coordinates']);
+  expect(check({ Lat: '91', Lon: '2' }).problems).toEqual(['coordinates']);
+  expect(check({ Lat: '10', Lon: '-180.5' }).problems).toEqual(['coordinates']);
+  expect(check({ Lat: '10', Lon: '20', When: 'someday', Colour: 'blue' }, 6)).toMatchObject({
+    rowNumber: 6,
+    title: 'Untitled location',
+    place: null,
+    date: null,
+    color: null,
+    problems: ['date', 'colour'],
+  });
+});
@@ -3,13 +3,45 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
+import { setRepository } from './repository';
+import { setGeocoder } from './geocoder';
+import { mapIdFromPath } from './maps';
+
+// REACT_APP_BACKEND=local keeps everything in this browser's localStorage instead of
+// Firebase (no network or Firebase project needed). Loaded lazily so each build only
+// pulls in the backend it uses. The repository is bound to the map in the address.
+const mapId = mapIdFromPath(window.location.pathname);
+const loadRepository =
+  process.env.REACT_APP_BACKEND === 'local'
+    ? import('./memoryRepository').then(({ createMemoryRepository }) =>
+        createMemoryRepository({ storage: window.localStorage, mapId })
+      )
+    : import('./firebaseRepository').then(({ createFirebaseRepository }) => createFirebaseRepository({ mapId }));
+
+// Place search: the bundled gazetteer in development, an HTTP geocoder in production
+// builds. REACT_APP_GEOCODER=gazetteer|http overrides, REACT_APP_GEOCODER_URL points
+// the HTTP one at another Nominatim-compatible server.
+const useHttpGeocoder = (process.env.REACT_APP_GEOCODER || (process.env.NODE_ENV === 'production' ? 'http' : 'gazetteer')) === 'http';
+const loadGeocoder = useHttpGeocoder
+  ? import('./httpGeocoder').then(({ createHttpGeocoder }) =>
+      createHttpGeocoder({ baseUrl: process.env.REACT_APP_GEOCODER_URL || undefined })
+    )
+  : import('./gazetteerGeocoder').then(({ createGazetteerGeocoder }) => createGazetteerGeocoder());
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+Promise.all([loadRepository, loadGeocoder]).then(([repository, geocoder]) => {
+  setRepository(repository);
+  setGeocoder(geocoder);
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+});
+
+// Cache the app shell, map tiles and photos so the map keeps working offline.
+serviceWorkerRegistration.register();
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
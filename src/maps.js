@@ -0,0 +1,53 @@
+// src/maps.js
+// Several independent maps, each with its own memories, comments, trips, stories,
+// settings and roles. The original map ("main") keeps the top-level collections and
+// is open to everyone; every other map lives under maps/{mapId} and only the people
+// with a role on it can see it. The repository is bound to one map when it's created
+// (see index.js), so switching maps is a page load.
+//
+// URLs: "/" is the original map and "/maps/<mapId>" any other. A share link adds
+// "?invite=<token>": signing in through it gives the visitor the link's role.
+import { ROLE_LABELS } from "./roles";
+
+export const MAIN_MAP_ID = "main";
+
+export const MAX_MAP_NAME_LENGTH = 80;
+
+/* roles a share link can grant, with what they let people do */
+export const INVITE_ROLES = ["viewer", "editor"];
+export const INVITE_ROLE_LABELS = {
+  viewer: `${ROLE_LABELS.viewer}: can look around`,
+  editor: "Contributor: can add and edit memories",
+};
+
+const MAP_PATH = /^\/maps\/([A-Za-z0-9_-]+)\/?$/;
+
+export function mapIdFromPath(pathname = window.location.pathname) {
+  const match = MAP_PATH.exec(pathname);
+  return match && match[1] !== MAIN_MAP_ID ? match[1] : MAIN_MAP_ID;
+}
+
+export function mapPath(mapId) {
+  return mapId === MAIN_MAP_ID ? "/" : `/maps/${mapId}`;
+}
+
+export function isPrivateMap(mapId) {
+  return mapId !== MAIN_MAP_ID;
+}
+
+export function inviteUrl(mapId, token, origin = window.location.origin) {
+  return `${origin}${mapPath(mapId)}?invite=${encodeURIComponent(token)}`;
+}
+
+/* the share-link token in the address, if any */
+export function readInviteToken(search = window.location.search) {
+  return new URLSearchParams(search).get("invite") || null;
+}
+
+/* the address without the share-link token (after it has been used) */
+export function withoutInvite(search = window.location.search) {
+  const p = new URLSearchParams(search);
+  p.delete("invite");
+  const qs = p.toString();
+  return qs ? `?${qs}` : "";
+}
@@ -0,0 +1,440 @@
+// src/memoryRepository.js
+// Repository kept in memory (see repository.js for the interface). Used by the tests,
+// and by `REACT_APP_BACKEND=local npm start`, where it is saved to localStorage so the
+// app runs without network access or a Firebase project. Photos are stored as data
+// URLs, so the local mode is for trying things out rather than real albums.
+// The seed is taken as is (it may hold legacy memories); writes are validated.
+//
+// createMemoryRepository({ seed, storage, user, mapId }):
+//   seed    the original map: { memories: [], comments: { [memoryId]: [] }, trips: [], stories: [],
+//             roles: { email: role }, settings: {}, readState: { [uid]: { since, seen } },
+//             invites: [{ id: token, role }] }
+//           and the others: maps: { [mapId]: { createdBy, ...the same fields } }
+//   storage something with getItem/setItem (window.localStorage); omit to keep nothing
+//   user    signed-in user to start with ({ uid, email, displayName }), default signed out
+//   mapId   the map to read and write (see maps.js), default the original one
+
+import { countsAsVisible } from "./comments";
+import { MAIN_MAP_ID } from "./maps";
+import { assertValidMemory } from "./memorySchema";
+
+export const LOCAL_USER = { uid: "local-user", email: "you@example.com", displayName: "You" };
+
+const STORAGE_KEY = "memory-map-local-v1";
+
+/* deep copy of plain data (objects, arrays, Dates) so callers never share our state */
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    const out = {};
+    Object.entries(value).forEach(([k, v]) => {
+      out[k] = clone(v);
+    });
+    return out;
+  }
+  return value;
+}
+
+/* Dates survive the round trip through JSON as { $date: iso } */
+function serialise(state) {
+  return JSON.stringify(state, function replacer(key, value) {
+    const raw = this[key];
+    return raw instanceof Date ? { $date: raw.toISOString() } : value;
+  });
+}
+
+function deserialise(text) {
+  return JSON.parse(text, (key, value) =>
+    value && typeof value === "object" && typeof value.$date === "string" ? new Date(value.$date) : value
+  );
+}
+
+function byId(list = []) {
+  const out = {};
+  list.forEach((r) => {
+    out[r.id] = clone(r);
+  });
+  return out;
+}
+
+function initialState(seed) {
+  const comments = {};
+  Object.entries(seed.comments || {}).forEach(([memoryId, list]) => {
+    comments[memoryId] = byId(list);
+  });
+  return {
+    memories: byId(seed.memories),
+    comments,
+    revisions: {},
+    trips: byId(seed.trips),
+    stories: byId(seed.stories),
+    roles: { ...(seed.roles || { [LOCAL_USER.email]: "owner" }) },
+    settings: clone(seed.settings || {}),
+    readState: clone(seed.readState || {}),
+    invites: byId(seed.invites),
+    images: {},
+  };
+}
+
+/* the original map's state, with the other maps in `maps` as { info, ...state } */
+function initialRoot(seed) {
+  const root = { ...initialState(seed), maps: {} };
+  Object.entries(seed.maps || {}).forEach(([id, { createdBy = null, ...mapSeed }]) => {
+    root.maps[id] = { ...initialState({ roles: {}, ...mapSeed }), info: { createdBy, createdAt: new Date() } };
+  });
+  return root;
+}
+
+function roleKey(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+export function createMemoryRepository({ seed = {}, storage = null, user = null, mapId = MAIN_MAP_ID } = {}) {
+  let root = null;
+  if (storage) {
+    try {
+      const saved = storage.getItem(STORAGE_KEY);
+      // collections added since the data was saved start out empty
+      if (saved) root = { ...initialRoot({}), ...deserialise(saved) };
+    } catch (err) {
+      console.error("Error reading local data: ", err);
+    }
+  }
+  if (!root) root = initialRoot(seed);
+  // a map that doesn't exist reads as empty; getMap() tells the app so
+  const state = mapId === MAIN_MAP_ID ? root : root.maps[mapId] || initialState({ roles: {} });
+  const imagePrefix = mapId === MAIN_MAP_ID ? "" : `maps/${mapId}/`;
+
+  let currentUser = user ? clone(user) : null;
+  let seq = 0;
+  const listeners = new Set();
+  const userListeners = new Set();
+
+  const newId = () => `local-${Date.now().toString(36)}-${(seq++).toString(36)}`;
+
+  /* subscribe `onChange` to a derived view of the state; it's called now and after every write */
+  const watch = (read, onChange) => {
+    const listener = () => onChange(clone(read()));
+    listeners.add(listener);
+    listener();
+    return () => listeners.delete(listener);
+  };
+
+  const commit = () => {
+    if (storage) {
+      try {
+        storage.setItem(STORAGE_KEY, serialise(root));
+      } catch (err) {
+        console.error("Error saving local data: ", err);
+      }
+    }
+    listeners.forEach((l) => l());
+  };
+
+  const requireMemory = (id) => {
+    const memory = state.memories[id];
+    if (!memory) throw new Error(`No memory with id ${id}`);
+    return memory;
+  };
+
+  const requireTrip = (id) => {
+    const trip = state.trips[id];
+    if (!trip) throw new Error(`No trip with id ${id}`);
+    return trip;
+  };
+
+  const requireStory = (id) => {
+    const story = state.stories[id];
+    if (!story) throw new Error(`No story with id ${id}`);
+    return story;
+  };
+
+  const requireComment = (memoryId, commentId) => {
+    const comment = state.comments[memoryId]?.[commentId];
+    if (!comment) throw new Error(`No comment with id ${commentId}`);
+    return comment;
+  };
+
+  /* keep the memory's commentCount/lastCommentAt in step; `delta` is -1, 0 or 1 */
+  const countComment = (memoryId, delta, at = new Date()) => {
+    const memory = state.memories[memoryId];
+    if (!memory || !delta) return;
+    memory.commentCount = Math.max(0, (memory.commentCount || 0) + delta);
+    if (delta > 0) memory.lastCommentAt = at;
+  };
+
+  const allComments = () =>
+    Object.entries(state.comments).flatMap(([memoryId, list]) =>
+      Object.values(list).map((c) => ({ ...c, memoryId }))
+    );
+
+  const sorted = (records, field, direction = 1) =>
+    Object.values(records || {}).sort(
+      (a, b) => direction * ((a[field]?.getTime?.() ?? 0) - (b[field]?.getTime?.() ?? 0))
+    );
+
+  return {
+    mapId,
+
+    /* ---------------- Auth ---------------- */
+    onUserChanged: (cb) => {
+      const listener = () => cb(clone(currentUser));
+      userListeners.add(listener);
+      listener();
+      return () => userListeners.delete(listener);
+    },
+    currentUser: () => clone(currentUser),
+    signIn: async () => {
+      currentUser = { ...LOCAL_USER };
+      userListeners.forEach((l) => l());
+    },
+    signOut: async () => {
+      currentUser = null;
+      userListeners.forEach((l) => l());
+    },
+
+    /* ---------------- Roles ---------------- */
+    subscribeRole: (email, onChange) => watch(() => state.roles[roleKey(email)] ?? null, onChange),
+    subscribeRoles: (onChange) =>
+      watch(() => Object.entries(state.roles).map(([email, role]) => ({ id: email, email, role })), onChange),
+    setRole: async (email, role) => {
+      state.roles[roleKey(email)] = role;
+      commit();
+    },
+    removeRole: async (email) => {
+      delete state.roles[roleKey(email)];
+      commit();
+    },
+
+    /* ---------------- Memories ---------------- */
+    subscribeMemories: (onChange) => watch(() => Object.values(state.memories), onChange),
+    newMemoryId: newId,
+    getMemory: async (id) => clone(state.memories[id] ?? null),
+    listMemories: async () => clone(Object.values(state.memories)),
+    addMemory: async (fields, id = newId()) => {
+      assertValidMemory(fields);
+      state.memories[id] = { ...clone(fields), id, createdAt: new Date() };
+      commit();
+      return id;
+    },
+    addMemories: async (list) => {
+      list.forEach((fields) => assertValidMemory(fields));
+      list.forEach((fields) => {
+        const id = newId();
+        state.memories[id] = { ...clone(fields), id, createdAt: new Date() };
+      });
+      commit();
+    },
+    updateMemory: async (id, fields, revision) => {
+      assertValidMemory(fields, { partial: true });
+      Object.assign(requireMemory(id), clone(fields));
+      if (revision) {
+        const revisionId = newId();
+        state.revisions[id] = state.revisions[id] || {};
+        state.revisions[id][revisionId] = { ...clone(revision), id: revisionId, at: new Date() };
+      }
+      commit();
+    },
+    replaceMemory: async (id, fields) => {
+      assertValidMemory(fields);
+      requireMemory(id);
+      state.memories[id] = { ...clone(fields), id };
+      commit();
+    },
+    trashMemory: async (id, deletedBy) => {
+      Object.assign(requireMemory(id), { trashed: true, deletedAt: new Date(), deletedBy: deletedBy || null });
+      commit();
+    },
+    restoreMemory: async (id) => {
+      Object.assign(requireMemory(id), { trashed: false, deletedAt: null, deletedBy: null });
+      commit();
+    },
+    deleteMemory: async (id) => {
+      delete state.memories[id];
+      delete state.comments[id];
+      delete state.revisions[id];
+      Object.values(state.trips).forEach((t) => {
+        t.memoryIds = (t.memoryIds || []).filter((m) => m !== id);
+      });
+      commit();
+    },
+    subscribeRevisions: (memoryId, onChange) => watch(() => sorted(state.revisions[memoryId], "at", -1), onChange),
+
+    /* ---------------- Comments ---------------- */
+    subscribeComments: (memoryId, onChange) => watch(() => sorted(state.comments[memoryId], "createdAt"), onChange),
+    addComment: async (memoryId, { author, text, authorUid, parentId, status }) => {
+      const id = newId();
+      const comment = {
+        id,
+        author,
+        text,
+        authorUid: authorUid || null,
+        parentId: parentId || null,
+        status: status || "visible",
+        createdAt: new Date(),
+      };
+      state.comments[memoryId] = state.comments[memoryId] || {};
+      state.comments[memoryId][id] = comment;
+      countComment(memoryId, countsAsVisible(comment) ? 1 : 0, comment.createdAt);
+      commit();
+      return id;
+    },
+    editComment: async (memoryId, commentId, text) => {
+      Object.assign(requireComment(memoryId, commentId), { text, editedAt: new Date() });
+      commit();
+    },
+    setCommentStatus: async (memoryId, commentId, status) => {
+      const comment = requireComment(memoryId, commentId);
+      const before = countsAsVisible(comment);
+      comment.status = status;
+      countComment(memoryId, countsAsVisible(comment) - before);
+      commit();
+    },
+    deleteComment: async (memoryId, commentId) => {
+      const comment = state.comments[memoryId]?.[commentId];
+      if (comment) {
+        delete state.comments[memoryId][commentId];
+        countComment(memoryId, countsAsVisible(comment) ? -1 : 0);
+      }
+      commit();
+    },
+    listAllComments: async () => clone(allComments()),
+    subscribeRecentComments: (limit, onChange) =>
+      watch(
+        () =>
+          allComments()
+            .sort((a, b) => (b.createdAt?.getTime?.() ?? 0) - (a.createdAt?.getTime?.() ?? 0))
+            .slice(0, limit),
+        onChange
+      ),
+
+    /* ---------------- Unread tracking ---------------- */
+    subscribeReadState: (uid, onChange) => watch(() => state.readState[uid] ?? null, onChange),
+    markCommentsSeen: async (uid, memoryId) => {
+      const readState = state.readState[uid] || (state.readState[uid] = { since: null, seen: {} });
+      readState.seen = { ...readState.seen, [memoryId]: new Date() };
+      commit();
+    },
+    markAllCommentsSeen: async (uid) => {
+      state.readState[uid] = { since: new Date(), seen: {} };
+      commit();
+    },
+
+    /* ---------------- Images ---------------- */
+    uploadImage: async (file) => {
+      const path = `${imagePrefix}memories/${Date.now()}-${file.name}`;
+      const url = await readAsDataURL(file);
+      state.images[path] = url;
+      commit();
+      return { url, path };
+    },
+    imagePath: ({ path, src }) =>
+      (path && path in state.images ? path : Object.keys(state.images).find((p) => state.images[p] === src)) || null,
+    deleteImage: async (path) => {
+      delete state.images[path];
+      commit();
+    },
+    listImages: async () => Object.keys(state.images),
+
+    /* ---------------- Trips ---------------- */
+    subscribeTrips: (onChange) => watch(() => Object.values(state.trips), onChange),
+    addTrip: async (fields) => {
+      const id = newId();
+      state.trips[id] = { ...clone(fields), id, createdAt: new Date() };
+      commit();
+    },
+    updateTrip: async (id, fields) => {
+      Object.assign(requireTrip(id), clone(fields));
+      commit();
+    },
+    deleteTrip: async (id) => {
+      delete state.trips[id];
+      commit();
+    },
+    moveMemoryToTrip: async (memoryId, fromTripId, toTripId) => {
+      const from = fromTripId ? requireTrip(fromTripId) : null;
+      const to = toTripId ? requireTrip(toTripId) : null;
+      if (from) from.memoryIds = (from.memoryIds || []).filter((m) => m !== memoryId);
+      if (to && !(to.memoryIds || []).includes(memoryId)) to.memoryIds = [...(to.memoryIds || []), memoryId];
+      commit();
+    },
+
+    /* ---------------- Stories ---------------- */
+    subscribeStories: (onChange) => watch(() => Object.values(state.stories), onChange),
+    addStory: async (fields) => {
+      const id = newId();
+      state.stories[id] = { ...clone(fields), id, createdAt: new Date() };
+      commit();
+      return id;
+    },
+    updateStory: async (id, fields) => {
+      Object.assign(requireStory(id), clone(fields));
+      commit();
+    },
+    deleteStory: async (id) => {
+      delete state.stories[id];
+      commit();
+    },
+
+    /* ---------------- Settings ---------------- */
+    subscribeSettings: (onChange) => watch(() => state.settings, onChange),
+    saveSettings: async (fields) => {
+      Object.assign(state.settings, clone(fields));
+      commit();
+    },
+
+    /* ---------------- Maps ---------------- */
+    getMap: async () => {
+      if (mapId === MAIN_MAP_ID) return { id: MAIN_MAP_ID };
+      return root.maps[mapId] ? { id: mapId, ...clone(root.maps[mapId].info) } : null;
+    },
+    listMyMaps: async (email) => {
+      const key = roleKey(email);
+      return [[MAIN_MAP_ID, root], ...Object.entries(root.maps)]
+        .filter(([, map]) => map.roles[key])
+        .map(([id, map]) => ({ id, role: map.roles[key], siteTitle: map.settings.siteTitle || null }));
+    },
+    createMap: async (siteTitle) => {
+      if (!currentUser) throw new Error("Sign in to create a map");
+      const id = newId();
+      root.maps[id] = {
+        ...initialState({ roles: { [roleKey(currentUser.email)]: "owner" }, settings: { siteTitle } }),
+        info: { createdBy: currentUser.uid, createdAt: new Date() },
+      };
+      commit();
+      return id;
+    },
+
+    /* ---------------- Share links ---------------- */
+    subscribeInvites: (onChange) => watch(() => Object.values(state.invites), onChange),
+    createInvite: async (role) => {
+      const id = newId();
+      state.invites[id] = { id, role, createdBy: currentUser?.uid ?? null, createdAt: new Date() };
+      commit();
+      return id;
+    },
+    deleteInvite: async (token) => {
+      delete state.invites[token];
+      commit();
+    },
+    acceptInvite: async (token, email) => {
+      const key = roleKey(email);
+      if (state.roles[key]) return state.roles[key];
+      const invite = state.invites[token];
+      if (!invite) throw new Error("This share link has been turned off");
+      state.roles[key] = invite.role;
+      commit();
+      return invite.role;
+    },
+  };
+}
@@ -0,0 +1,329 @@
+import { createMemoryRepository, LOCAL_USER } from './memoryRepository';
+
+const memory = (fields) => ({
+  schemaVersion: 1,
+  title: 'Untitled',
+  description: '',
+  coordinates: { latitude: 0, longitude: 0 },
+  date: null,
+  category: '',
+  color: null,
+  images: [],
+  ...fields,
+});
+
+const paris = memory({
+  id: 'paris',
+  title: 'Paris',
+  description: 'Eiffel tower',
+  coordinates: { latitude: 48.8584, longitude: 2.2945 },
+});
+
+function latest(subscribe) {
+  let value;
+  const unsubscribe = subscribe((v) => {
+    value = v;
+  });
+  return { get: () => value, unsubscribe };
+}
+
+describe('memories', () => {
+  test('subscribers get the current list and every change', async () => {
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    const memories = latest(repo.subscribeMemories);
+    expect(memories.get().map((m) => m.title)).toEqual(['Paris']);
+
+    const id = await repo.addMemory(memory({ title: 'Rome', coordinates: { latitude: 41.9, longitude: 12.5 } }));
+    expect(memories.get().map((m) => m.title)).toEqual(['Paris', 'Rome']);
+    expect((await repo.getMemory(id)).createdAt).toBeInstanceOf(Date);
+
+    memories.unsubscribe();
+    await repo.addMemory(memory({ title: 'Oslo' }));
+    expect(memories.get()).toHaveLength(2);
+  });
+
+  test('uses the id it is given', async () => {
+    const repo = createMemoryRepository();
+    const id = repo.newMemoryId();
+    expect(await repo.addMemory(memory({ title: 'Queued' }), id)).toBe(id);
+    expect((await repo.getMemory(id)).title).toBe('Queued');
+  });
+
+  test('returned records are copies', async () => {
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    const memory = await repo.getMemory('paris');
+    memory.title = 'Changed';
+    memory.coordinates.latitude = 0;
+    expect(await repo.getMemory('paris')).toMatchObject({ title: 'Paris', coordinates: { latitude: 48.8584 } });
+  });
+
+  test('updates record a revision alongside the change', async () => {
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    await repo.updateMemory('paris', { title: 'Paris, France' }, { by: { uid: 'u1' }, changed: ['title'] });
+    await repo.updateMemory('paris', { description: 'Louvre' });
+
+    expect(await repo.getMemory('paris')).toMatchObject({ title: 'Paris, France', description: 'Louvre' });
+    const revisions = latest((cb) => repo.subscribeRevisions('paris', cb));
+    expect(revisions.get()).toHaveLength(1);
+    expect(revisions.get()[0]).toMatchObject({ changed: ['title'], by: { uid: 'u1' } });
+    expect(revisions.get()[0].at).toBeInstanceOf(Date);
+  });
+
+  test('invalid writes are refused and change nothing', async () => {
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    await expect(repo.addMemory({ title: 'Rome' })).rejects.toThrow('Invalid memory: schemaVersion is missing');
+    await expect(repo.addMemories([memory({ title: 'Oslo' }), memory({ date: 'June' })])).rejects.toThrow('date');
+    await expect(repo.updateMemory('paris', { title: '' })).rejects.toThrow('title');
+    await expect(repo.updateMemory('paris', { imageUrl: 'x.jpg' })).rejects.toThrow('imageUrl is not a memory field');
+
+    expect((await repo.listMemories()).map((m) => m.title)).toEqual(['Paris']);
+  });
+
+  test('replacing a legacy document drops its old fields', async () => {
+    const repo = createMemoryRepository({
+      seed: { memories: [{ id: 'old', name: 'Rome', location: { lat: 41.9, lng: 12.5 } }] },
+    });
+    await repo.replaceMemory('old', memory({ id: 'old', title: 'Rome' }));
+    expect(await repo.getMemory('old')).toEqual(memory({ id: 'old', title: 'Rome' }));
+    await expect(repo.replaceMemory('nope', memory({}))).rejects.toThrow('No memory');
+  });
+
+  test('updating a missing memory fails', async () => {
+    const repo = createMemoryRepository();
+    await expect(repo.updateMemory('nope', { title: 'x' })).rejects.toThrow('No memory');
+  });
+
+  test('trash and restore', async () => {
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    await repo.trashMemory('paris', 'u1');
+    expect(await repo.getMemory('paris')).toMatchObject({ trashed: true, deletedBy: 'u1' });
+    await repo.restoreMemory('paris');
+    expect(await repo.getMemory('paris')).toMatchObject({ trashed: false, deletedAt: null });
+  });
+
+  test('deleting removes comments, history and trip membership', async () => {
+    const repo = createMemoryRepository({
+      seed: {
+        memories: [paris],
+        comments: { paris: [{ id: 'c1', author: 'Ann', text: 'Hi' }] },
+        trips: [{ id: 't1', name: 'France', memoryIds: ['paris', 'lyon'] }],
+      },
+    });
+    await repo.updateMemory('paris', { title: 'P' }, { changed: ['title'] });
+    await repo.deleteMemory('paris');
+
+    expect(await repo.getMemory('paris')).toBeNull();
+    expect(await repo.listAllComments()).toEqual([]);
+    expect(latest((cb) => repo.subscribeRevisions('paris', cb)).get()).toEqual([]);
+    expect(latest(repo.subscribeTrips).get()[0].memoryIds).toEqual(['lyon']);
+  });
+});
+
+describe('comments', () => {
+  test('are listed oldest first per memory', async () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-05-01T10:00:00Z'));
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    await repo.addComment('paris', { author: 'Ann', text: 'First' });
+    jest.setSystemTime(new Date('2024-05-01T11:00:00Z'));
+    await repo.addComment('paris', { author: 'Bob', text: 'Second', authorUid: 'u2' });
+    jest.useRealTimers();
+
+    const comments = latest((cb) => repo.subscribeComments('paris', cb));
+    expect(comments.get().map((c) => c.text)).toEqual(['First', 'Second']);
+    expect(comments.get()[0].authorUid).toBeNull();
+
+    await repo.deleteComment('paris', comments.get()[0].id);
+    expect(comments.get().map((c) => c.text)).toEqual(['Second']);
+    expect(await repo.listAllComments()).toEqual([expect.objectContaining({ memoryId: 'paris', text: 'Second' })]);
+  });
+});
+
+describe('comment threads and moderation', () => {
+  test('replies, edits, status changes and the recent list', async () => {
+    jest.useFakeTimers().setSystemTime(new Date('2024-05-01T10:00:00Z'));
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    const first = await repo.addComment('paris', { author: 'Ann', text: 'First', authorUid: 'u1' });
+    jest.setSystemTime(new Date('2024-05-01T11:00:00Z'));
+    const reply = await repo.addComment('paris', { author: 'Bob', text: 'Reply', parentId: first, status: 'pending' });
+    jest.useRealTimers();
+
+    await repo.editComment('paris', first, 'First (fixed)');
+    await repo.setCommentStatus('paris', reply, 'visible');
+
+    const comments = latest((cb) => repo.subscribeComments('paris', cb)).get();
+    expect(comments[0]).toMatchObject({ text: 'First (fixed)', parentId: null, status: 'visible' });
+    expect(comments[0].editedAt).toBeInstanceOf(Date);
+    expect(comments[1]).toMatchObject({ parentId: first, status: 'visible' });
+
+    const recent = latest((cb) => repo.subscribeRecentComments(1, cb)).get();
+    expect(recent).toEqual([expect.objectContaining({ id: reply, memoryId: 'paris' })]);
+    await expect(repo.editComment('paris', 'nope', 'x')).rejects.toThrow('No comment');
+  });
+
+  test('the memory counts its approved comments', async () => {
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    const count = async () => {
+      const { commentCount, lastCommentAt } = await repo.getMemory('paris');
+      return { commentCount, lastCommentAt };
+    };
+
+    const first = await repo.addComment('paris', { author: 'Ann', text: 'First' });
+    const held = await repo.addComment('paris', { author: 'Bob', text: 'Held', status: 'pending' });
+    expect(await count()).toEqual({ commentCount: 1, lastCommentAt: expect.any(Date) });
+
+    await repo.setCommentStatus('paris', held, 'visible');
+    await repo.setCommentStatus('paris', held, 'visible');
+    expect((await count()).commentCount).toBe(2);
+    await repo.setCommentStatus('paris', first, 'hidden');
+    await repo.deleteComment('paris', held);
+    expect((await count()).commentCount).toBe(0);
+    await repo.deleteComment('paris', first);
+    expect((await count()).commentCount).toBe(0);
+  });
+});
+
+describe('unread tracking', () => {
+  test('per user, per memory', async () => {
+    const repo = createMemoryRepository();
+    const ann = latest((cb) => repo.subscribeReadState('ann', cb));
+    expect(ann.get()).toBeNull();
+
+    await repo.markAllCommentsSeen('ann');
+    expect(ann.get()).toEqual({ since: expect.any(Date), seen: {} });
+    await repo.markCommentsSeen('ann', 'paris');
+    expect(ann.get().seen.paris).toBeInstanceOf(Date);
+    expect(latest((cb) => repo.subscribeReadState('bob', cb)).get()).toBeNull();
+
+    await repo.markAllCommentsSeen('ann');
+    expect(ann.get().seen).toEqual({});
+  });
+});
+
+describe('images', () => {
+  test('upload, resolve, list and delete', async () => {
+    const repo = createMemoryRepository();
+    const { url, path } = await repo.uploadImage(new File(['abc'], 'cat.jpg', { type: 'image/jpeg' }));
+    expect(url).toMatch(/^data:image\/jpeg;base64,/);
+    expect(repo.imagePath({ src: url })).toBe(path);
+    expect(repo.imagePath({ src: 'https://example.com/x.jpg' })).toBeNull();
+    expect(await repo.listImages()).toEqual([path]);
+
+    await repo.deleteImage(path);
+    expect(await repo.listImages()).toEqual([]);
+  });
+});
+
+describe('trips', () => {
+  test('moving a memory between trips', async () => {
+    const repo = createMemoryRepository({
+      seed: { trips: [{ id: 'a', name: 'A', memoryIds: ['m1'] }, { id: 'b', name: 'B', memoryIds: [] }] },
+    });
+    await repo.moveMemoryToTrip('m1', 'a', 'b');
+    const trips = latest(repo.subscribeTrips);
+    expect(trips.get().map((t) => t.memoryIds)).toEqual([[], ['m1']]);
+
+    await expect(repo.moveMemoryToTrip('m1', 'b', 'missing')).rejects.toThrow('No trip');
+    expect(trips.get().map((t) => t.memoryIds)).toEqual([[], ['m1']]);
+  });
+});
+
+describe('stories', () => {
+  test('add, reorder and delete', async () => {
+    const repo = createMemoryRepository({ seed: { memories: [paris] } });
+    const stories = latest(repo.subscribeStories);
+    const id = await repo.addStory({ title: 'Our year', intro: '', steps: [{ memoryId: 'paris', narration: 'Hi' }] });
+    expect(stories.get()).toEqual([expect.objectContaining({ id, title: 'Our year', createdAt: expect.any(Date) })]);
+
+    await repo.updateStory(id, { steps: [] });
+    expect(stories.get()[0]).toMatchObject({ title: 'Our year', steps: [] });
+    await repo.deleteStory(id);
+    expect(stories.get()).toEqual([]);
+    await expect(repo.updateStory(id, { title: 'x' })).rejects.toThrow('No story');
+  });
+});
+
+describe('auth and roles', () => {
+  test('signing in as the local user, who owns the local map', async () => {
+    const repo = createMemoryRepository();
+    const user = latest(repo.onUserChanged);
+    expect(user.get()).toBeNull();
+
+    await repo.signIn();
+    expect(user.get()).toEqual(LOCAL_USER);
+    expect(latest((cb) => repo.subscribeRole(LOCAL_USER.email, cb)).get()).toBe('owner');
+
+    await repo.signOut();
+    expect(repo.currentUser()).toBeNull();
+  });
+
+  test('roles are keyed by lower-cased email', async () => {
+    const repo = createMemoryRepository({ seed: { roles: {} } });
+    await repo.setRole('Ann@Example.com', 'editor');
+    expect(latest((cb) => repo.subscribeRole('ann@example.com', cb)).get()).toBe('editor');
+    await repo.removeRole('ANN@example.com');
+    expect(latest(repo.subscribeRoles).get()).toEqual([]);
+  });
+});
+
+describe('maps and share links', () => {
+  const ann = { uid: 'u-ann', email: 'ann@example.com' };
+  const seed = {
+    roles: { 'ann@example.com': 'editor' },
+    maps: { family: { createdBy: 'u-ann', roles: { 'ann@example.com': 'owner' }, memories: [paris] } },
+  };
+
+  test('each map keeps its own data', async () => {
+    const main = createMemoryRepository({ seed, user: ann });
+    const family = createMemoryRepository({ seed, user: ann, mapId: 'family' });
+    expect(await main.getMemory('paris')).toBeNull();
+    expect((await family.getMemory('paris')).title).toBe('Paris');
+    expect(await family.getMap()).toMatchObject({ id: 'family', createdBy: 'u-ann' });
+    expect(await createMemoryRepository({ seed, mapId: 'nope' }).getMap()).toBeNull();
+  });
+
+  test('creating a map makes the creator its owner and lists it among theirs', async () => {
+    const store = new Map();
+    const storage = { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+    const main = createMemoryRepository({ seed, storage, user: ann });
+    const id = await main.createMap('Our trips');
+
+    const created = createMemoryRepository({ storage, mapId: id });
+    expect(latest((cb) => created.subscribeRole('ann@example.com', cb)).get()).toBe('owner');
+    expect(latest(created.subscribeSettings).get()).toEqual({ siteTitle: 'Our trips' });
+    expect(await created.listMyMaps('Ann@example.com')).toEqual([
+      { id: 'main', role: 'editor', siteTitle: null },
+      { id: 'family', role: 'owner', siteTitle: null },
+      { id, role: 'owner', siteTitle: 'Our trips' },
+    ]);
+    await expect(createMemoryRepository().createMap('Mine')).rejects.toThrow('Sign in');
+  });
+
+  test('a share link gives its role to newcomers only, until it is turned off', async () => {
+    const family = createMemoryRepository({ seed, user: ann, mapId: 'family' });
+    const token = await family.createInvite('viewer');
+    expect(latest(family.subscribeInvites).get()).toMatchObject([{ id: token, role: 'viewer', createdBy: 'u-ann' }]);
+
+    expect(await family.acceptInvite(token, 'Bob@example.com')).toBe('viewer');
+    expect(latest((cb) => family.subscribeRole('bob@example.com', cb)).get()).toBe('viewer');
+    expect(await family.acceptInvite(token, 'ann@example.com')).toBe('owner');
+
+    await family.deleteInvite(token);
+    await expect(family.acceptInvite(token, 'cat@example.com')).rejects.toThrow('turned off');
+  });
+});
+
+describe('local storage', () => {
+  test('data, including dates, survives a reload', async () => {
+    const store = new Map();
+    const storage = { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+
+    const first = createMemoryRepository({ storage, seed: { memories: [paris] } });
+    await first.trashMemory('paris', 'u1');
+    await first.saveSettings({ trashRetentionDays: 7 });
+
+    const second = createMemoryRepository({ storage });
+    const memory = await second.getMemory('paris');
+    expect(memory.deletedAt).toBeInstanceOf(Date);
+    expect(latest(second.subscribeSettings).get()).toEqual({ trashRetentionDays: 7 });
+  });
+});
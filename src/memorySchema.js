@@ -0,0 +1,268 @@
+// src/memorySchema.js
+// The one shape a memory document has, how it's validated, and how older
+// documents are converted to it.
+//
+// Schema version 1:
+//   {
+//     schemaVersion: 1,
+//     title:        non-empty string (≤ 200)
+//     description:  string (≤ 5000)
+//     coordinates:  { latitude, longitude }
+//     date:         "YYYY-MM-DD" | null
+//     category:     string (≤ 80), "" when none
+//     color:        "#rrggbb" | null (null = colour by category)
+//     images:       [{ url, path, caption }]   path null for external URLs;
+//                   { url: null, pendingUpload } while a photo waits in the offline outbox
+//     place:        string | null, optional    "City, Country" from the geocoder
+//     commentCount: integer ≥ 0, optional       approved comments, kept by the repository
+//     lastCommentAt: Date | null, optional      newest approved comment, ditto
+//     countedCommentId: string | null, optional the comment that last moved the count
+//                                               (the security rules check it was written)
+//     createdAt:    Date | null                 set by the repository
+//     trashed, deletedAt, deletedBy             optional, see the trash
+//   }
+//
+// Documents written before the schema existed have no `schemaVersion` and use a
+// mix of field names (name/Title, Coordinates/location/position, pinColor/colour,
+// imageUrl/photos/Image…). readMemory() converts them on the fly; the owner's
+// migration (Maintenance panel) rewrites them for good.
+
+export const MEMORY_SCHEMA_VERSION = 1;
+
+export const UNTITLED = "Untitled location";
+
+const LIMITS = { title: 200, description: 5000, category: 80, caption: 200, place: 200 };
+
+const FIELDS = [
+  "schemaVersion",
+  "title",
+  "description",
+  "coordinates",
+  "date",
+  "category",
+  "color",
+  "images",
+  "place",
+  "commentCount",
+  "lastCommentAt",
+  "countedCommentId",
+  "createdAt",
+  "trashed",
+  "deletedAt",
+  "deletedBy",
+];
+
+/* ---------------- Validation ---------------- */
+const isString = (v) => typeof v === "string";
+const isNullableString = (v) => v === null || isString(v);
+const isNullableDate = (v) => v === null || (v instanceof Date && !Number.isNaN(v.getTime()));
+
+export function isValidDate(value) {
+  if (!isString(value) || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const [y, m, d] = value.split("-").map(Number);
+  const t = new Date(Date.UTC(y, m - 1, d));
+  return t.getUTCFullYear() === y && t.getUTCMonth() === m - 1 && t.getUTCDate() === d;
+}
+
+function isValidCoordinates(c) {
+  return (
+    Boolean(c) &&
+    Number.isFinite(c.latitude) &&
+    Number.isFinite(c.longitude) &&
+    Math.abs(c.latitude) <= 90 &&
+    Math.abs(c.longitude) <= 180
+  );
+}
+
+function imageProblem(img) {
+  if (!img || typeof img !== "object") return "is not an object";
+  if (img.url === null) return isString(img.pendingUpload) ? null : "has no url";
+  if (!isString(img.url) || !img.url) return "has no url";
+  if (!isNullableString(img.path ?? null)) return "has an invalid path";
+  if (!isString(img.caption ?? "") || (img.caption || "").length > LIMITS.caption) return "has an invalid caption";
+  return null;
+}
+
+const CHECKS = {
+  schemaVersion: (v) => v === MEMORY_SCHEMA_VERSION || `must be ${MEMORY_SCHEMA_VERSION}`,
+  title: (v) => (isString(v) && v.trim() && v.length <= LIMITS.title) || `must be 1–${LIMITS.title} characters`,
+  description: (v) => (isString(v) && v.length <= LIMITS.description) || `must be at most ${LIMITS.description} characters`,
+  coordinates: (v) => isValidCoordinates(v) || "must be a latitude/longitude on the map",
+  date: (v) => v === null || isValidDate(v) || "must be a YYYY-MM-DD date",
+  category: (v) => (isString(v) && v.length <= LIMITS.category) || `must be at most ${LIMITS.category} characters`,
+  color: (v) => v === null || (isString(v) && /^#[0-9a-f]{6}$/i.test(v)) || "must be a #rrggbb colour",
+  images: (v) => {
+    if (!Array.isArray(v)) return "must be a list";
+    const bad = v.findIndex((img) => imageProblem(img));
+    return bad === -1 || `photo ${bad + 1} ${imageProblem(v[bad])}`;
+  },
+  place: (v) => v === null || (isString(v) && v.length <= LIMITS.place) || `must be at most ${LIMITS.place} characters`,
+  commentCount: (v) => (Number.isInteger(v) && v >= 0) || "must be a whole number",
+  lastCommentAt: (v) => isNullableDate(v) || "must be a date",
+  countedCommentId: (v) => isNullableString(v) || "must be a comment id",
+  createdAt: (v) => isNullableDate(v) || "must be a date",
+  trashed: (v) => typeof v === "boolean" || "must be true or false",
+  deletedAt: (v) => isNullableDate(v) || "must be a date",
+  deletedBy: (v) => isNullableString(v) || "must be a user id",
+};
+
+const REQUIRED = ["schemaVersion", "title", "description", "coordinates", "date", "category", "color", "images"];
+
+/* problems with `fields` as ["title must be 1–200 characters", …]; `partial` for updates */
+export function validateMemory(fields, { partial = false } = {}) {
+  const errors = [];
+  if (!partial) {
+    REQUIRED.filter((f) => !(f in fields)).forEach((f) => errors.push(`${f} is missing`));
+  }
+  Object.entries(fields).forEach(([field, value]) => {
+    if (field === "id") return;
+    const check = CHECKS[field];
+    if (!check) {
+      errors.push(`${field} is not a memory field`);
+      return;
+    }
+    const ok = check(value);
+    if (ok !== true) errors.push(`${field} ${ok || "is invalid"}`);
+  });
+  return errors;
+}
+
+/* used by the repositories on every memory write */
+export function assertValidMemory(fields, options) {
+  const errors = validateMemory(fields, options);
+  if (errors.length) throw new Error(`Invalid memory: ${errors.join("; ")}`);
+}
+
+/* ---------------- Typed input ---------------- */
+/* normalize color string (accepts #rgb or #rrggbb) */
+export function normalizeColor(raw) {
+  if (typeof raw !== "string") return null;
+  const s = raw.trim();
+  if (/^#[0-9a-fA-F]{6}$/.test(s)) return s;
+  if (/^#[0-9a-fA-F]{3}$/.test(s)) {
+    const r = s[1], g = s[2], b = s[3];
+    return `#${r}${r}${g}${g}${b}${b}`;
+  }
+  return null;
+}
+
+/* parse the typed lat/lng strings into a position, or null if invalid */
+export function parseLatLng(lat, lng) {
+  if (String(lat).trim() === "" || String(lng).trim() === "") return null;
+  const a = Number(lat);
+  const b = Number(lng);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+  if (a < -90 || a > 90 || b < -180 || b > 180) return null;
+  return [a, b];
+}
+
+/* ---------------- Legacy documents ---------------- */
+function legacyPosition(coord) {
+  if (!coord) return null;
+  const rawLat = coord.latitude ?? coord.Latitude ?? coord.LAT ?? coord.lat;
+  const rawLng = coord.longitude ?? coord.Longitude ?? coord.LONG ?? coord.lng ?? coord.lon;
+  const lat = typeof rawLat === "number" ? rawLat : parseFloat(rawLat);
+  const lng = typeof rawLng === "number" ? rawLng : parseFloat(rawLng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { latitude: lat, longitude: lng } : null;
+}
+
+function legacyImage(item) {
+  if (typeof item === "string") return item ? { url: item, path: null, caption: "" } : null;
+  if (!item || typeof item !== "object") return null;
+  if (item.url === null && item.pendingUpload) {
+    return { url: null, path: null, caption: String(item.caption ?? ""), pendingUpload: item.pendingUpload };
+  }
+  const url = item.url ?? item.src ?? item.downloadURL ?? "";
+  if (!url) return null;
+  return { url, path: item.path ?? null, caption: String(item.caption ?? item.alt ?? "").slice(0, LIMITS.caption) };
+}
+
+function legacyImages(raw) {
+  const value =
+    raw.images ?? raw.photos ?? raw.image ?? raw.photo ?? raw.imageUrl ?? raw.imageURL ?? raw.Image ?? [];
+  return (Array.isArray(value) ? value : [value]).map(legacyImage).filter(Boolean);
+}
+
+function legacyDate(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (isValidDate(value)) return value;
+  const t = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(t.getTime())) return undefined;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${t.getFullYear()}-${pad(t.getMonth() + 1)}-${pad(t.getDate())}`;
+}
+
+function legacyColor(raw) {
+  const value = raw.color || raw.pinColor || raw.colour;
+  if (typeof value !== "string") return null;
+  const s = value.trim();
+  if (/^#[0-9a-f]{6}$/i.test(s)) return s.toLowerCase();
+  if (/^#[0-9a-f]{3}$/i.test(s)) return `#${s[1]}${s[1]}${s[2]}${s[2]}${s[3]}${s[3]}`.toLowerCase();
+  return null;
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/* convert any memory document to schema version 1.
+   → { memory, changes: ["title", "removed name", …], errors: […] }
+   `memory` is a best effort even when there are errors (e.g. coordinates null). */
+export function migrateMemory(raw) {
+  const errors = [];
+  const title = String(raw.title ?? raw.name ?? raw.Title ?? "").trim().slice(0, LIMITS.title);
+  const description = String(
+    raw.description ?? raw.desc ?? raw.Details ?? raw.text ?? raw.Description ?? ""
+  ).slice(0, LIMITS.description);
+  const coordinates = legacyPosition(raw.coordinates ?? raw.Coordinates ?? raw.location ?? raw.position);
+  if (!coordinates) errors.push("no usable position");
+  else if (!isValidCoordinates(coordinates)) errors.push("position is off the map");
+  const date = legacyDate(raw.date);
+  if (date === undefined) errors.push(`unreadable date "${raw.date}"`);
+
+  const memory = {
+    id: raw.id,
+    schemaVersion: MEMORY_SCHEMA_VERSION,
+    title: title || UNTITLED,
+    description,
+    coordinates,
+    date: date ?? null,
+    category: String(raw.category ?? "").trim().slice(0, LIMITS.category),
+    color: legacyColor(raw),
+    images: legacyImages(raw),
+    createdAt: raw.createdAt instanceof Date ? raw.createdAt : null,
+  };
+  if (typeof raw.place === "string") memory.place = raw.place.slice(0, LIMITS.place);
+  if (Number.isInteger(raw.commentCount) && raw.commentCount >= 0) memory.commentCount = raw.commentCount;
+  if (raw.lastCommentAt instanceof Date) memory.lastCommentAt = raw.lastCommentAt;
+  if (typeof raw.countedCommentId === "string") memory.countedCommentId = raw.countedCommentId;
+  if (raw.trashed !== undefined) {
+    memory.trashed = Boolean(raw.trashed);
+    memory.deletedAt = raw.deletedAt instanceof Date ? raw.deletedAt : null;
+    memory.deletedBy = raw.deletedBy ?? null;
+  }
+
+  const changes = [];
+  Object.keys(memory).forEach((k) => {
+    if (k !== "id" && !sameValue(memory[k], raw[k] ?? null)) changes.push(k);
+  });
+  Object.keys(raw).forEach((k) => {
+    if (k !== "id" && !FIELDS.includes(k)) changes.push(`removed ${k}`);
+  });
+  return { memory, changes, errors };
+}
+
+/* canonical view of a stored document, for everything that reads memories */
+export function readMemory(raw) {
+  return raw.schemaVersion === MEMORY_SCHEMA_VERSION ? raw : migrateMemory(raw).memory;
+}
+
+/* dry run over raw documents: { current: n, convertible: [{ id, title, changes }], failing: [{ id, title, errors }] } */
+export function planMigration(docs) {
+  const report = { current: 0, convertible: [], failing: [] };
+  docs.forEach((raw) => {
+    const { memory, changes, errors } = migrateMemory(raw);
+    if (errors.length) report.failing.push({ id: raw.id, title: memory.title, errors });
+    else if (changes.length) report.convertible.push({ id: raw.id, title: memory.title, changes, memory });
+    else report.current += 1;
+  });
+  return report;
+}
@@ -0,0 +1,120 @@
+import { migrateMemory, planMigration, readMemory, validateMemory } from './memorySchema';
+
+const valid = {
+  schemaVersion: 1,
+  title: 'Paris',
+  description: 'Eiffel tower',
+  coordinates: { latitude: 48.8584, longitude: 2.2945 },
+  date: '2023-04-01',
+  category: 'City',
+  color: '#ef4444',
+  images: [{ url: 'https://example.com/a.jpg', path: null, caption: 'Night' }],
+};
+
+describe('validateMemory', () => {
+  test('accepts a complete memory', () => {
+    expect(validateMemory(valid)).toEqual([]);
+    expect(validateMemory({ ...valid, date: null, color: null, place: 'Paris, France', createdAt: new Date() })).toEqual([]);
+  });
+
+  test('lists every problem', () => {
+    expect(
+      validateMemory({
+        ...valid,
+        title: ' ',
+        coordinates: { latitude: 95, longitude: 0 },
+        date: '2023-02-30',
+        color: 'red',
+        images: [{ url: '' }],
+        pinColor: '#fff',
+      })
+    ).toEqual([
+      'title must be 1–200 characters',
+      'coordinates must be a latitude/longitude on the map',
+      'date must be a YYYY-MM-DD date',
+      'color must be a #rrggbb colour',
+      'images photo 1 has no url',
+      'pinColor is not a memory field',
+    ]);
+  });
+
+  test('partial updates only check what they write', () => {
+    expect(validateMemory({ title: 'Rome' }, { partial: true })).toEqual([]);
+    expect(validateMemory({ title: 'Rome' })).toContain('coordinates is missing');
+    expect(validateMemory({ commentCount: 2, lastCommentAt: new Date() }, { partial: true })).toEqual([]);
+    expect(validateMemory({ commentCount: -1 }, { partial: true })).toEqual(['commentCount must be a whole number']);
+  });
+
+  test('photos waiting to upload have no url yet', () => {
+    const images = [{ url: null, path: null, caption: '', pendingUpload: 'p1' }];
+    expect(validateMemory({ images }, { partial: true })).toEqual([]);
+  });
+});
+
+describe('migrateMemory', () => {
+  test('renames legacy fields and reports the changes', () => {
+    const { memory, changes, errors } = migrateMemory({
+      id: 'old',
+      name: 'Rome',
+      Details: 'Colosseum',
+      location: { lat: '41.89', lng: '12.49' },
+      pinColor: '#0F0',
+      imageUrl: 'https://example.com/r.jpg',
+      date: '2023-06-10T08:00:00',
+    });
+    expect(errors).toEqual([]);
+    expect(memory).toEqual({
+      id: 'old',
+      schemaVersion: 1,
+      title: 'Rome',
+      description: 'Colosseum',
+      coordinates: { latitude: 41.89, longitude: 12.49 },
+      date: '2023-06-10',
+      category: '',
+      color: '#00ff00',
+      images: [{ url: 'https://example.com/r.jpg', path: null, caption: '' }],
+      createdAt: null,
+    });
+    expect(validateMemory(memory)).toEqual([]);
+    expect(changes).toEqual(
+      expect.arrayContaining(['schemaVersion', 'title', 'coordinates', 'date', 'removed name', 'removed imageUrl'])
+    );
+  });
+
+  test('fills in a missing title', () => {
+    const { memory, errors } = migrateMemory({ coordinates: { latitude: 1, longitude: 2 } });
+    expect(errors).toEqual([]);
+    expect(memory.title).toBe('Untitled location');
+  });
+
+  test('cannot convert without a position or with an unreadable date', () => {
+    expect(migrateMemory({ title: 'Lost' }).errors).toEqual(['no usable position']);
+    expect(
+      migrateMemory({ title: 'When?', coordinates: { latitude: 1, longitude: 2 }, date: 'last summer' }).errors
+    ).toEqual(['unreadable date "last summer"']);
+  });
+
+  test('a current memory has nothing to change', () => {
+    expect(migrateMemory({ id: 'p', ...valid })).toMatchObject({ changes: [], errors: [] });
+  });
+});
+
+test('readMemory passes current memories through and converts older ones', () => {
+  expect(readMemory(valid)).toBe(valid);
+  expect(readMemory({ name: 'Oslo', position: { lat: 59.9, lng: 10.7 } })).toMatchObject({
+    title: 'Oslo',
+    coordinates: { latitude: 59.9, longitude: 10.7 },
+    images: [],
+  });
+});
+
+test('planMigration sorts documents into current, convertible and failing', () => {
+  const report = planMigration([
+    { id: 'a', ...valid },
+    { id: 'b', name: 'Rome', location: { lat: 41.9, lng: 12.5 } },
+    { id: 'c', title: 'Lost' },
+  ]);
+  expect(report.current).toBe(1);
+  expect(report.convertible.map((r) => r.id)).toEqual(['b']);
+  expect(report.failing).toEqual([{ id: 'c', title: 'Lost', errors: ['no usable position'] }]);
+});
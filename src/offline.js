@@ -0,0 +1,146 @@
+// src/offline.js
+// Offline support on top of the backend's own cache (Firestore persistence, see firebase.js):
+//  - useSyncStatus(mapId) for the "offline / N changes waiting" indicator of the open map
+//  - queuedWrite() tracks a repository write until the server has it, and resolves
+//    straight away while offline so forms don't hang waiting for a connection
+//  - an IndexedDB outbox for photos picked while offline (Storage has no offline
+//    queue of its own); App uploads them with flushUploads() once back online
+import { useEffect, useSyncExternalStore } from "react";
+import { MAIN_MAP_ID } from "./maps";
+
+/* ---------------- Sync status store ---------------- */
+let status = {
+  online: typeof navigator === "undefined" ? true : navigator.onLine,
+  writes: 0, // writes not yet acknowledged by the server
+  uploads: 0, // photos waiting in the outbox for the open map
+};
+let outboxMap = MAIN_MAP_ID; // the map whose photos `uploads` counts
+const listeners = new Set();
+
+function setStatus(patch) {
+  status = { ...status, ...patch };
+  listeners.forEach((l) => l());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => setStatus({ online: true }));
+  window.addEventListener("offline", () => setStatus({ online: false }));
+}
+
+/* { online, writes, uploads, pending } for the map `mapId` */
+export function useSyncStatus(mapId = MAIN_MAP_ID) {
+  useEffect(() => {
+    outboxMap = mapId;
+    refreshUploadCount();
+  }, [mapId]);
+  const s = useSyncExternalStore(subscribe, () => status);
+  return { ...s, pending: s.writes + s.uploads };
+}
+
+export function isOnline() {
+  return status.online;
+}
+
+/* wrap a write promise from the repository (addMemory, addComment, ...) */
+export function queuedWrite(promise) {
+  setStatus({ writes: status.writes + 1 });
+  const settled = promise.finally(() => setStatus({ writes: status.writes - 1 }));
+  if (status.online) return settled;
+  // nobody is awaiting it any more; a rejection (e.g. rules) can only be logged
+  settled.catch((err) => console.error("Queued change was rejected: ", err));
+  return Promise.resolve();
+}
+
+/* ---------------- Photo outbox (IndexedDB) ---------------- */
+// Entries: { id, mapId, memoryId, file (Blob), caption, createdAt }. The repository is
+// bound to one map, so each map only uploads its own photos; the others wait until
+// their map is opened (entries from before maps existed belong to the original one).
+const OUTBOX_DB = "memory-map-outbox";
+const OUTBOX_STORE = "uploads";
+
+function openOutbox() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(OUTBOX_DB, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(OUTBOX_STORE, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/* run one request against the store and resolve with its result once the transaction commits */
+async function outboxRequest(mode, run) {
+  const idb = await openOutbox();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = idb.transaction(OUTBOX_STORE, mode);
+      const req = run(tx.objectStore(OUTBOX_STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    idb.close();
+  }
+}
+
+/* the entries queued on map `mapId`, oldest first */
+export function entriesForMap(entries, mapId) {
+  return entries
+    .filter((entry) => (entry.mapId || MAIN_MAP_ID) === mapId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function refreshUploadCount() {
+  if (typeof indexedDB === "undefined") return;
+  try {
+    const all = await outboxRequest("readonly", (store) => store.getAll());
+    setStatus({ uploads: entriesForMap(all, outboxMap).length });
+  } catch (err) {
+    console.error("Error reading photo outbox: ", err);
+  }
+}
+
+/* keep a photo for later; returns the id the memory's placeholder image refers to */
+export async function queueUpload({ mapId, memoryId, file, caption }) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  await outboxRequest("readwrite", (store) =>
+    store.put({ id, mapId, memoryId, file, caption: caption || "", createdAt: Date.now() })
+  );
+  await refreshUploadCount();
+  return id;
+}
+
+/* upload entries in order, removing each once its upload resolves; the first failure
+   rejects and leaves it and everything after it in place */
+export async function drainOutbox(entries, upload, remove) {
+  for (const entry of entries) {
+    await upload(entry);
+    await remove(entry);
+  }
+}
+
+let flushing = null;
+
+/* hand each photo queued on map `mapId` to `upload(entry)`; entries are removed once it
+   resolves. Stops at the first failure so the rest are retried on the next flush. */
+export function flushUploads(upload, mapId) {
+  if (!flushing) {
+    flushing = (async () => {
+      try {
+        const all = await outboxRequest("readonly", (store) => store.getAll());
+        await drainOutbox(entriesForMap(all, mapId), upload, async (entry) => {
+          await outboxRequest("readwrite", (store) => store.delete(entry.id));
+          await refreshUploadCount();
+        });
+      } finally {
+        flushing = null;
+      }
+    })();
+  }
+  return flushing;
+}
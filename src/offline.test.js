@@ -0,0 +1,73 @@
+import { act, renderHook } from '@testing-library/react';
+import { drainOutbox, entriesForMap, isOnline, queuedWrite, useSyncStatus } from './offline';
+
+function goOnline(online) {
+  act(() => {
+    window.dispatchEvent(new Event(online ? 'online' : 'offline'));
+  });
+}
+
+afterEach(() => goOnline(true));
+
+test('each map sees only its own queued photos, oldest first', () => {
+  const entries = [
+    { id: 'c', mapId: 'trip', createdAt: 3 },
+    { id: 'b', createdAt: 2 }, // queued before maps existed
+    { id: 'a', mapId: 'main', createdAt: 1 },
+    { id: 'd', mapId: 'trip', createdAt: 0 },
+  ];
+  expect(entriesForMap(entries, 'main').map((e) => e.id)).toEqual(['a', 'b']);
+  expect(entriesForMap(entries, 'trip').map((e) => e.id)).toEqual(['d', 'c']);
+  expect(entriesForMap(entries, 'other')).toEqual([]);
+});
+
+test('the outbox is drained in order and stops at the first failed upload', async () => {
+  const removed = [];
+  const upload = jest.fn(async (entry) => {
+    if (entry.id === 'b') throw new Error('storage/unauthorized');
+  });
+  const entries = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+  await expect(drainOutbox(entries, upload, async (entry) => removed.push(entry.id))).rejects.toThrow('storage/unauthorized');
+  expect(upload.mock.calls.map(([entry]) => entry.id)).toEqual(['a', 'b']);
+  expect(removed).toEqual(['a']);
+});
+
+test('online, a queued write is awaited and counted until the server has it', async () => {
+  const { result } = renderHook(() => useSyncStatus());
+  let acknowledge;
+  let write;
+  act(() => {
+    write = queuedWrite(new Promise((resolve) => (acknowledge = resolve)));
+  });
+  expect(result.current).toMatchObject({ online: true, writes: 1, pending: 1 });
+
+  await act(async () => {
+    acknowledge('done');
+    await expect(write).resolves.toBe('done');
+  });
+  expect(result.current).toMatchObject({ writes: 0, pending: 0 });
+  await act(async () => {
+    await expect(queuedWrite(Promise.reject(new Error('permission-denied')))).rejects.toThrow('permission-denied');
+  });
+});
+
+test('offline, a queued write resolves at once and a later rejection is only logged', async () => {
+  const logged = jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { result } = renderHook(() => useSyncStatus());
+  goOnline(false);
+  expect(isOnline()).toBe(false);
+
+  let reject;
+  let write;
+  act(() => {
+    write = queuedWrite(new Promise((resolve, fail) => (reject = fail)));
+  });
+  await expect(write).resolves.toBeUndefined();
+  expect(result.current).toMatchObject({ online: false, writes: 1, pending: 1 });
+
+  await act(async () => {
+    reject(new Error('permission-denied'));
+  });
+  expect(result.current.writes).toBe(0);
+  expect(logged).toHaveBeenCalledWith('Queued change was rejected: ', expect.any(Error));
+});
@@ -0,0 +1,102 @@
+// src/repository.js
+// Everything the app reads or writes goes through one repository object, so the
+// UI doesn't care where the data lives. Two implementations:
+//   - firebaseRepository.js: Firestore + Storage + Google sign-in (production)
+//   - memoryRepository.js:   in-memory, optionally saved to localStorage
+//     (tests, and `REACT_APP_BACKEND=local npm start` for working without network)
+// index.js picks one at startup, bound to the map in the address (see maps.js), and
+// hands it to setRepository(). Everything below reads and writes that map only,
+// except where noted.
+//
+// Records are plain objects with an `id`. Timestamps are Date objects (null while
+// a server timestamp is still pending) and positions are { latitude, longitude }.
+// Memory writes are checked against the schema in memorySchema.js and rejected
+// with an "Invalid memory: …" error; reads return documents as stored, so callers
+// pass them through readMemory() for the canonical shape.
+//
+// The interface (all methods returning promises unless noted):
+//
+//   mapId                                  the map this repository is bound to (property)
+//
+//   auth
+//     onUserChanged(cb) → unsubscribe      cb(user | null), user = { uid, email, displayName }
+//     currentUser() → user | null          (sync)
+//     signIn(), signOut()
+//
+//   roles (keyed by lower-cased email)
+//     subscribeRole(email, onChange, onError) → unsubscribe      onChange(role | null)
+//     subscribeRoles(onChange, onError) → unsubscribe            onChange([{ id, email, role }])
+//     setRole(email, role), removeRole(email)
+//
+//   memories
+//     subscribeMemories(onChange, onError) → unsubscribe
+//     newMemoryId() → id                   (sync; lets photos be queued before the memory exists)
+//     getMemory(id) → memory | null
+//     listMemories() → [memory]            one-off read of every document
+//     addMemory(fields, id?) → id          complete memory; stamps createdAt
+//     addMemories([fields])                all or nothing; callers keep chunks under 500
+//     updateMemory(id, fields, revision?)  revision ({ by, changed, before, after, ... }) is
+//                                          stored with `at` in the same atomic write
+//     replaceMemory(id, memory)            overwrites the whole document (schema migration)
+//     trashMemory(id, deletedBy), restoreMemory(id)
+//     deleteMemory(id)                     with its comments, revisions and trip memberships
+//     subscribeRevisions(memoryId, onChange, onError) → unsubscribe     newest first
+//
+//   comments
+//     subscribeComments(memoryId, onChange, onError) → unsubscribe      oldest first
+//     addComment(memoryId, { author, text, authorUid, parentId, status }) → id    stamps createdAt
+//     editComment(memoryId, commentId, text)                            stamps editedAt
+//     setCommentStatus(memoryId, commentId, status)                     see comments.js
+//     deleteComment(memoryId, commentId)
+//       adding, approving, hiding and deleting also keep the memory's commentCount and
+//       lastCommentAt in step, in the same atomic write
+//     listAllComments() → [{ id, memoryId, author, text, ... }]
+//     subscribeRecentComments(limit, onChange, onError) → unsubscribe   all memories, newest
+//                                                                       first, with memoryId
+//
+//   unread tracking (one record per signed-in user, see comments.js)
+//     subscribeReadState(uid, onChange, onError) → unsubscribe    onChange({ since, seen } | null)
+//     markCommentsSeen(uid, memoryId)       stamps seen[memoryId]
+//     markAllCommentsSeen(uid)              since = now, forgets the per-memory stamps
+//
+//   images
+//     uploadImage(file) → { url, path }
+//     imagePath({ path, src }) → storage path, or null for external URLs  (sync)
+//     deleteImage(path)                    missing files are ignored
+//     listImages() → [path]
+//
+//   trips
+//     subscribeTrips(onChange, onError) → unsubscribe
+//     addTrip(fields), updateTrip(id, fields), deleteTrip(id)
+//     moveMemoryToTrip(memoryId, fromTripId, toTripId)   either side may be null
+//
+//   stories (see stories.js)
+//     subscribeStories(onChange, onError) → unsubscribe
+//     addStory(fields) → id, updateStory(id, fields), deleteStory(id)
+//
+//   settings (one site-wide document)
+//     subscribeSettings(onChange, onError) → unsubscribe
+//     saveSettings(fields)                 merged into the existing settings
+//
+//   maps
+//     getMap() → { id, createdBy, createdAt } | null     null when the map doesn't exist
+//     listMyMaps(email) → [{ id, role, siteTitle }]       every map with a role for the email;
+//                                                         siteTitle is null when not set
+//     createMap(siteTitle) → mapId         the signed-in user becomes its owner
+//
+//   share links (the token is the invite's id)
+//     subscribeInvites(onChange, onError) → unsubscribe   [{ id, role, createdBy, createdAt }]
+//     createInvite(role) → token, deleteInvite(token)
+//     acceptInvite(token, email) → role    gives the email the link's role unless it already
+//                                          has one (and returns that); rejects once deleted
+
+let current = null;
+
+export function setRepository(repository) {
+  current = repository;
+}
+
+export function getRepository() {
+  if (!current) throw new Error("No repository configured; call setRepository() first");
+  return current;
+}
@@ -0,0 +1,51 @@
+// src/richText.js
+// Basic formatting for text the owner writes in the app (the welcome screen). It is
+// parsed into plain data and rendered as React elements, never as HTML:
+//
+//   a blank line        starts a new paragraph; single line breaks are kept
+//   "- " or "* "        at the start of a line makes a list item
+//   **bold**, *italic*
+//   [label](https://…)  links (http, https and mailto only)
+//
+// parseRichText(text) → [{ type: "p", lines: [[span]] } | { type: "ul", items: [[span]] }]
+// where span = { text, bold?, italic?, href? }
+
+const INLINE = /\*\*(.+?)\*\*|\*(.+?)\*|\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g;
+const LIST_ITEM = /^\s*[-*]\s+/;
+
+export function parseInline(line) {
+  const spans = [];
+  let last = 0;
+  line.replace(INLINE, (match, bold, italic, label, href, offset) => {
+    if (offset > last) spans.push({ text: line.slice(last, offset) });
+    if (bold !== undefined) spans.push({ text: bold, bold: true });
+    else if (italic !== undefined) spans.push({ text: italic, italic: true });
+    else spans.push({ text: label, href });
+    last = offset + match.length;
+    return match;
+  });
+  if (last < line.length) spans.push({ text: line.slice(last) });
+  return spans;
+}
+
+export function parseRichText(text) {
+  const blocks = [];
+  String(text || "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n\s*\n/)
+    .forEach((chunk, c) => {
+      const lines = chunk.split("\n").filter((line) => line.trim());
+      lines.forEach((line) => {
+        const isItem = LIST_ITEM.test(line);
+        const type = isItem ? "ul" : "p";
+        let block = blocks[blocks.length - 1];
+        if (!block || block.type !== type || block.chunk !== c) {
+          block = type === "ul" ? { type, items: [], chunk: c } : { type, lines: [], chunk: c };
+          blocks.push(block);
+        }
+        if (isItem) block.items.push(parseInline(line.replace(LIST_ITEM, "")));
+        else block.lines.push(parseInline(line.trim()));
+      });
+    });
+  return blocks.map(({ chunk, ...block }) => block);
+}
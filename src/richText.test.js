@@ -0,0 +1,29 @@
+import { parseInline, parseRichText } from './richText';
+
+test('inline bold, italic and links', () => {
+  expect(parseInline('A **big** *day* at [the park](https://example.com/park).')).toEqual([
+    { text: 'A ' },
+    { text: 'big', bold: true },
+    { text: ' ' },
+    { text: 'day', italic: true },
+    { text: ' at ' },
+    { text: 'the park', href: 'https://example.com/park' },
+    { text: '.' },
+  ]);
+});
+
+test('only web and mail links become links', () => {
+  expect(parseInline('[click](javascript:alert(1))')).toEqual([{ text: '[click](javascript:alert(1))' }]);
+  expect(parseInline('[write](mailto:sam@example.com)')).toEqual([{ text: 'write', href: 'mailto:sam@example.com' }]);
+});
+
+test('paragraphs, line breaks and lists', () => {
+  const blocks = parseRichText('Hello\nthere\n\n- one\n- **two**\nAfter the list\n\n\nLast');
+  expect(blocks).toEqual([
+    { type: 'p', lines: [[{ text: 'Hello' }], [{ text: 'there' }]] },
+    { type: 'ul', items: [[{ text: 'one' }], [{ text: 'two', bold: true }]] },
+    { type: 'p', lines: [[{ text: 'After the list' }]] },
+    { type: 'p', lines: [[{ text: 'Last' }]] },
+  ]);
+  expect(parseRichText('')).toEqual([]);
+});
@@ -0,0 +1,75 @@
+// src/roles.js
+// Who can do what. Roles are stored per map and lower-cased email (in Firestore at
+// roles/{email} as { role, email, updatedAt }, see maps.js) and are managed by the
+// owner from the Roles panel or handed out with share links. firestore.rules /
+// storage.rules enforce the same matrix server-side.
+import { useEffect, useState } from "react";
+import { getRepository } from "./repository";
+
+export const ROLES = ["owner", "editor", "commenter", "viewer"];
+
+export const ROLE_LABELS = {
+  owner: "Owner",
+  editor: "Editor",
+  commenter: "Commenter",
+  viewer: "Viewer",
+};
+
+// anyone without a roles document (including signed-out visitors) on the original map
+export const DEFAULT_ROLE = "commenter";
+
+// anyone without a roles document on a private map; not assignable
+export const NO_ACCESS_ROLE = "none";
+
+const ROLE_PERMISSIONS = {
+  owner: ["view", "comment", "edit", "admin"],
+  editor: ["view", "comment", "edit"],
+  commenter: ["view", "comment"],
+  viewer: ["view"],
+  [NO_ACCESS_ROLE]: [],
+};
+
+/* can(role, "edit") — actions: view, comment, edit, admin */
+export function can(role, action) {
+  return (ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE]).includes(action);
+}
+
+export function roleKey(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+/* live role of the signed-in user; `fallback` for people without one. null until known */
+export function useRole(user, fallback = DEFAULT_ROLE) {
+  const [role, setRole] = useState(null);
+  useEffect(() => {
+    const key = roleKey(user?.email);
+    if (!key) {
+      setRole(fallback);
+      return undefined;
+    }
+    return getRepository().subscribeRole(
+      key,
+      (r) => setRole(ROLES.includes(r) ? r : fallback),
+      (error) => {
+        console.error("Error fetching role: ", error);
+        setRole(fallback);
+      }
+    );
+  }, [user, fallback]);
+  return role;
+}
+
+/* ---------------- Role assignments (owner only) ---------------- */
+export function subscribeRoles(onChange) {
+  return getRepository().subscribeRoles(onChange, (error) => console.error("Error fetching roles: ", error));
+}
+
+export async function assignRole(email, role) {
+  const key = roleKey(email);
+  if (!key || !ROLES.includes(role)) throw new Error("Invalid email or role");
+  await getRepository().setRole(key, role);
+}
+
+export async function removeRole(email) {
+  await getRepository().removeRole(email);
+}
@@ -0,0 +1,417 @@
+/**
+ * @jest-environment node
+ */
+// Security rules tests. They need the Firestore + Storage emulators, so they
+// are skipped by plain `npm test`; run them with `npm run test:rules`.
+import fs from "fs";
+import path from "path";
+import { ReadableStream, TransformStream } from "stream/web";
+import { TextDecoder, TextEncoder } from "util";
+
+// jest 27's node environment doesn't expose the web globals the Firebase SDK expects
+Object.assign(global, { ReadableStream, TransformStream, TextDecoder, TextEncoder });
+
+const {
+  initializeTestEnvironment,
+  assertFails,
+  assertSucceeds,
+} = require("@firebase/rules-unit-testing");
+const {
+  GeoPoint,
+  collectionGroup,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  increment,
+  serverTimestamp,
+  setLogLevel,
+  where,
+  writeBatch,
+} = require("firebase/firestore");
+const { ref, uploadBytes } = require("firebase/storage");
+
+const runWithEmulator = process.env.FIRESTORE_EMULATOR_HOST ? describe : describe.skip;
+
+const PEOPLE = {
+  owner: { uid: "u-owner", email: "owner@example.com" },
+  editor: { uid: "u-editor", email: "editor@example.com" },
+  commenter: { uid: "u-commenter", email: "commenter@example.com" },
+  viewer: { uid: "u-viewer", email: "viewer@example.com" },
+  stranger: { uid: "u-stranger", email: "stranger@example.com" },
+};
+
+runWithEmulator("security rules", () => {
+  let env;
+
+  const as = (who) =>
+    who
+      ? env.authenticatedContext(PEOPLE[who].uid, { email: PEOPLE[who].email, email_verified: true })
+      : env.unauthenticatedContext();
+
+  const memory = (fields = {}) => ({
+    schemaVersion: 1,
+    title: "New",
+    description: "",
+    coordinates: new GeoPoint(48.85, 2.35),
+    date: null,
+    category: "",
+    color: null,
+    images: [],
+    createdAt: serverTimestamp(),
+    ...fields,
+  });
+
+  const comment = (who, fields = {}) => ({
+    author: "Someone",
+    text: "Lovely",
+    authorUid: who ? PEOPLE[who].uid : null,
+    parentId: null,
+    status: "visible",
+    createdAt: serverTimestamp(),
+    ...fields,
+  });
+
+  beforeAll(async () => {
+    setLogLevel("error");
+    env = await initializeTestEnvironment({
+      projectId: "demo-memory-map",
+      firestore: { rules: fs.readFileSync(path.resolve(__dirname, "../firestore.rules"), "utf8") },
+      storage: { rules: fs.readFileSync(path.resolve(__dirname, "../storage.rules"), "utf8") },
+    });
+  });
+
+  afterAll(async () => {
+    await env.cleanup();
+  });
+
+  beforeEach(async () => {
+    await env.clearFirestore();
+    await env.withSecurityRulesDisabled(async (ctx) => {
+      const db = ctx.firestore();
+      for (const role of ["owner", "editor", "commenter", "viewer"]) {
+        await setDoc(doc(db, "roles", PEOPLE[role].email), { email: PEOPLE[role].email, role });
+      }
+      await setDoc(doc(db, "memories", "m1"), memory({ title: "Paris" }));
+      // written before the schema existed
+      await setDoc(doc(db, "memories", "legacy"), { name: "Rome", location: { lat: 41.9, lng: 12.5 } });
+      await setDoc(doc(db, "memories", "m1", "comments", "c1"), {
+        author: "Commenter",
+        text: "Hi",
+        authorUid: PEOPLE.commenter.uid,
+      });
+    });
+  });
+
+  describe("memories", () => {
+    test("anyone can read", async () => {
+      await assertSucceeds(getDoc(doc(as(null).firestore(), "memories", "m1")));
+    });
+
+    test.each(["owner", "editor"])("%s can write", async (who) => {
+      await assertSucceeds(setDoc(doc(as(who).firestore(), "memories", "m2"), memory()));
+      await assertSucceeds(deleteDoc(doc(as(who).firestore(), "memories", "m1")));
+    });
+
+    test.each([null, "stranger", "commenter", "viewer"])("%s cannot write", async (who) => {
+      await assertFails(setDoc(doc(as(who).firestore(), "memories", "m2"), memory()));
+      await assertFails(deleteDoc(doc(as(who).firestore(), "memories", "m1")));
+    });
+
+    test("malformed memories are refused", async () => {
+      const db = as("editor").firestore();
+      await assertFails(setDoc(doc(db, "memories", "m2"), { title: "New" }));
+      await assertFails(setDoc(doc(db, "memories", "m2"), memory({ title: "" })));
+      await assertFails(setDoc(doc(db, "memories", "m2"), memory({ coordinates: { lat: 1, lng: 2 } })));
+      await assertFails(setDoc(doc(db, "memories", "m2"), memory({ imageUrl: "https://example.com/a.jpg" })));
+      await assertFails(updateDoc(doc(db, "memories", "m1"), { date: "last summer" }));
+      await assertFails(updateDoc(doc(db, "memories", "m1"), { pinColor: "#ff0000" }));
+      await assertSucceeds(updateDoc(doc(db, "memories", "m1"), { date: "2024-05-01", color: "#ff0000" }));
+    });
+
+    test("legacy memories can be edited, and migrated only to a complete document", async () => {
+      const db = as("editor").firestore();
+      await assertSucceeds(updateDoc(doc(db, "memories", "legacy"), { title: "Rome" }));
+      await assertFails(updateDoc(doc(db, "memories", "legacy"), { schemaVersion: 1 }));
+      await assertSucceeds(setDoc(doc(db, "memories", "legacy"), memory({ title: "Rome", createdAt: null })));
+    });
+  });
+
+  describe("comments", () => {
+    test.each([null, "stranger", "commenter", "editor"])("%s can comment", async (who) => {
+      await assertSucceeds(setDoc(doc(as(who).firestore(), "memories", "m1", "comments", "new"), comment(who)));
+    });
+
+    test("viewers cannot comment", async () => {
+      await assertFails(setDoc(doc(as("viewer").firestore(), "memories", "m1", "comments", "new"), comment("viewer")));
+    });
+
+    test("cannot post as someone else", async () => {
+      await assertFails(
+        setDoc(doc(as("stranger").firestore(), "memories", "m1", "comments", "new"), comment("commenter"))
+      );
+    });
+
+    test("editors can remove comments only along with their memory", async () => {
+      const db = as("editor").firestore();
+      await assertFails(deleteDoc(doc(db, "memories", "m1", "comments", "c1")));
+      await deleteDoc(doc(db, "memories", "m1"));
+      await assertSucceeds(deleteDoc(doc(db, "memories", "m1", "comments", "c1")));
+    });
+
+    test("replies must point at a comment of the same memory", async () => {
+      const db = as("commenter").firestore();
+      await assertSucceeds(setDoc(doc(db, "memories", "m1", "comments", "r1"), comment("commenter", { parentId: "c1" })));
+      await assertFails(setDoc(doc(db, "memories", "m1", "comments", "r2"), comment("commenter", { parentId: "nope" })));
+    });
+
+    test("anonymous comments wait for approval when the owner asks for it", async () => {
+      await env.withSecurityRulesDisabled((ctx) =>
+        setDoc(doc(ctx.firestore(), "settings", "site"), { approveAnonymousComments: true })
+      );
+      const anonymous = as(null).firestore();
+      await assertFails(setDoc(doc(anonymous, "memories", "m1", "comments", "a1"), comment(null)));
+      await assertSucceeds(setDoc(doc(anonymous, "memories", "m1", "comments", "a1"), comment(null, { status: "pending" })));
+      await assertSucceeds(setDoc(doc(as("commenter").firestore(), "memories", "m1", "comments", "s1"), comment("commenter")));
+      await assertFails(
+        setDoc(doc(anonymous, "memories", "m1", "comments", "a2"), comment(null, { status: "hidden" }))
+      );
+    });
+
+    test("authors edit their own text, the owner moderates", async () => {
+      const ref = (who) => doc(as(who).firestore(), "memories", "m1", "comments", "c1");
+      await assertSucceeds(updateDoc(ref("commenter"), { text: "Hi again", editedAt: serverTimestamp() }));
+      await assertFails(updateDoc(ref("commenter"), { status: "visible" }));
+      await assertFails(updateDoc(ref("editor"), { text: "Not mine", editedAt: serverTimestamp() }));
+      await assertFails(updateDoc(ref("owner"), { text: "Not mine either", editedAt: serverTimestamp() }));
+      await assertSucceeds(updateDoc(ref("owner"), { status: "hidden" }));
+      await assertFails(updateDoc(ref("owner"), { status: "gone" }));
+    });
+
+    test("authors and the owner can delete, others cannot", async () => {
+      await assertFails(deleteDoc(doc(as("editor").firestore(), "memories", "m1", "comments", "c1")));
+      await assertSucceeds(deleteDoc(doc(as("commenter").firestore(), "memories", "m1", "comments", "c1")));
+      await assertSucceeds(deleteDoc(doc(as("owner").firestore(), "memories", "m1", "comments", "c1")));
+    });
+
+    test("the count moves by one only with a comment written in the same batch", async () => {
+      const count = async (who, delta, commentId, change) => {
+        const db = as(who).firestore();
+        const batch = writeBatch(db);
+        change(batch, doc(db, "memories", "m1", "comments", commentId));
+        batch.update(doc(db, "memories", "m1"), {
+          commentCount: increment(delta),
+          ...(delta > 0 && { lastCommentAt: serverTimestamp() }),
+          countedCommentId: commentId,
+        });
+        return batch.commit();
+      };
+      const post = (who, fields) => (batch, ref) => batch.set(ref, comment(who, fields));
+      const remove = (batch, ref) => batch.delete(ref);
+
+      await assertSucceeds(count(null, 1, "a1", post(null)));
+      await assertFails(count(null, 2, "a2", post(null)));
+      await assertFails(count("commenter", 1, "p1", post("commenter", { status: "pending" })));
+      await assertSucceeds(count("commenter", -1, "c1", remove));
+      await assertFails(
+        updateDoc(doc(as("viewer").firestore(), "memories", "m1"), {
+          commentCount: increment(1),
+          lastCommentAt: serverTimestamp(),
+          countedCommentId: "v1",
+        })
+      );
+    });
+
+    test("a bare +1 or -1 without a comment is refused", async () => {
+      await env.withSecurityRulesDisabled((ctx) => updateDoc(doc(ctx.firestore(), "memories", "m1"), { commentCount: 3 }));
+      const memory = (who) => doc(as(who).firestore(), "memories", "m1");
+      const plusOne = { commentCount: increment(1), lastCommentAt: serverTimestamp() };
+      await assertFails(updateDoc(memory(null), plusOne));
+      await assertFails(updateDoc(memory(null), { ...plusOne, countedCommentId: "made-up" }));
+      // c1 already exists, so it can't be what this write added
+      await assertFails(updateDoc(memory("commenter"), { ...plusOne, countedCommentId: "c1" }));
+      await assertFails(updateDoc(memory("commenter"), { commentCount: increment(-1) }));
+      // c1 is still there, so nothing was deleted
+      await assertFails(updateDoc(memory("commenter"), { commentCount: increment(-1), countedCommentId: "c1" }));
+    });
+  });
+
+  describe("unread tracking", () => {
+    test("people read and write only their own", async () => {
+      const mine = doc(as("commenter").firestore(), "users", PEOPLE.commenter.uid);
+      await assertSucceeds(setDoc(mine, { since: serverTimestamp(), seen: {} }));
+      await assertSucceeds(setDoc(mine, { seen: { m1: serverTimestamp() } }, { merge: true }));
+      await assertSucceeds(getDoc(mine));
+      await assertFails(setDoc(mine, { since: serverTimestamp(), role: "owner" }));
+      await assertFails(getDoc(doc(as("stranger").firestore(), "users", PEOPLE.commenter.uid)));
+      await assertFails(setDoc(doc(as(null).firestore(), "users", "anyone"), { seen: {} }));
+    });
+  });
+
+  describe("stories", () => {
+    const story = (fields = {}) => ({
+      title: "Our year",
+      intro: "",
+      steps: [{ memoryId: "m1", narration: "Where it started" }],
+      createdAt: serverTimestamp(),
+      ...fields,
+    });
+
+    test("anyone can read, only the owner writes", async () => {
+      await env.withSecurityRulesDisabled((ctx) => setDoc(doc(ctx.firestore(), "stories", "s1"), story()));
+      await assertSucceeds(getDoc(doc(as(null).firestore(), "stories", "s1")));
+      await assertFails(setDoc(doc(as("editor").firestore(), "stories", "s2"), story()));
+      await assertFails(updateDoc(doc(as("editor").firestore(), "stories", "s1"), { title: "Mine" }));
+      await assertSucceeds(setDoc(doc(as("owner").firestore(), "stories", "s2"), story()));
+      await assertSucceeds(updateDoc(doc(as("owner").firestore(), "stories", "s1"), { steps: [] }));
+      await assertSucceeds(deleteDoc(doc(as("owner").firestore(), "stories", "s1")));
+    });
+
+    test("malformed stories are refused", async () => {
+      const db = as("owner").firestore();
+      await assertFails(setDoc(doc(db, "stories", "s2"), story({ title: "" })));
+      await assertFails(setDoc(doc(db, "stories", "s2"), story({ steps: "paris" })));
+      await assertFails(setDoc(doc(db, "stories", "s2"), story({ music: "yes" })));
+    });
+  });
+
+  describe("site settings", () => {
+    const settings = (fields = {}) => ({
+      siteTitle: "Our trips",
+      welcomeTitle: "Hello",
+      welcomeBody: "**Hi**",
+      welcomeInstructions: ["Tap markers"],
+      welcomeVersion: 2,
+      mapCenter: { latitude: 51.5, longitude: -0.12 },
+      mapZoom: 6,
+      ...fields,
+    });
+
+    test("only the owner can change the settings", async () => {
+      await assertSucceeds(setDoc(doc(as("owner").firestore(), "settings", "site"), settings()));
+      await assertFails(setDoc(doc(as("editor").firestore(), "settings", "site"), settings()));
+      await assertSucceeds(getDoc(doc(as(null).firestore(), "settings", "site")));
+    });
+
+    test("rejects values the page can't use", async () => {
+      const db = as("owner").firestore();
+      await assertFails(setDoc(doc(db, "settings", "site"), settings({ mapZoom: 30 })));
+      await assertFails(setDoc(doc(db, "settings", "site"), settings({ mapCenter: { latitude: 120, longitude: 0 } })));
+      await assertFails(setDoc(doc(db, "settings", "site"), settings({ accentColor: "red" })));
+      await assertFails(setDoc(doc(db, "settings", "site"), settings({ welcomeInstructions: "Tap markers" })));
+      await assertFails(setDoc(doc(db, "settings", "site"), settings({ home: { latitude: 53.8, longitude: -1.55 } })));
+      await assertSucceeds(
+        setDoc(doc(db, "settings", "site"), settings({ home: { label: "Leeds", latitude: 53.8, longitude: -1.55 } }))
+      );
+    });
+  });
+
+  describe("other maps", () => {
+    beforeEach(async () => {
+      await env.withSecurityRulesDisabled(async (ctx) => {
+        const db = ctx.firestore();
+        await setDoc(doc(db, "maps", "fam"), { createdBy: PEOPLE.owner.uid, createdAt: serverTimestamp() });
+        await setDoc(doc(db, "maps", "fam", "roles", PEOPLE.owner.email), { email: PEOPLE.owner.email, role: "owner" });
+        await setDoc(doc(db, "maps", "fam", "roles", PEOPLE.viewer.email), { email: PEOPLE.viewer.email, role: "viewer" });
+        await setDoc(doc(db, "maps", "fam", "memories", "m1"), memory({ title: "Home" }));
+        await setDoc(doc(db, "maps", "fam", "memories", "m1", "mapComments", "c1"), { ...comment("owner"), mapId: "fam" });
+        await setDoc(doc(db, "maps", "fam", "invites", "tok"), { role: "editor" });
+      });
+    });
+
+    test("only members can read a map's contents", async () => {
+      await assertSucceeds(getDoc(doc(as("viewer").firestore(), "maps", "fam", "memories", "m1")));
+      await assertFails(getDoc(doc(as("stranger").firestore(), "maps", "fam", "memories", "m1")));
+      await assertFails(getDoc(doc(as(null).firestore(), "maps", "fam", "memories", "m1")));
+      // roles on the original map don't carry over
+      await assertFails(setDoc(doc(as("editor").firestore(), "maps", "fam", "memories", "m2"), memory()));
+      await assertSucceeds(getDoc(doc(as(null).firestore(), "maps", "fam")));
+    });
+
+    test("comments are read across the map by its members only", async () => {
+      const comments = (who) =>
+        getDocs(query(collectionGroup(as(who).firestore(), "mapComments"), where("mapId", "==", "fam")));
+      await assertSucceeds(comments("viewer"));
+      await assertFails(comments("stranger"));
+      const db = as("owner").firestore();
+      await assertSucceeds(setDoc(doc(db, "maps", "fam", "memories", "m1", "mapComments", "c2"), { ...comment("owner"), mapId: "fam" }));
+      await assertFails(setDoc(doc(db, "maps", "fam", "memories", "m1", "mapComments", "c3"), comment("owner")));
+      await assertFails(setDoc(doc(as("viewer").firestore(), "maps", "fam", "memories", "m1", "mapComments", "c4"), { ...comment("viewer"), mapId: "fam" }));
+    });
+
+    test("whoever creates a map owns it, but nobody can claim an existing one", async () => {
+      const db = as("stranger").firestore();
+      const batch = writeBatch(db);
+      batch.set(doc(db, "maps", "new"), { createdBy: PEOPLE.stranger.uid, createdAt: serverTimestamp() });
+      batch.set(doc(db, "maps", "new", "roles", PEOPLE.stranger.email), { email: PEOPLE.stranger.email, role: "owner" });
+      await assertSucceeds(batch.commit());
+      await assertSucceeds(setDoc(doc(db, "maps", "new", "settings", "site"), { siteTitle: "Mine" }));
+      await assertFails(setDoc(doc(db, "maps", "fam", "roles", PEOPLE.stranger.email), { email: PEOPLE.stranger.email, role: "owner" }));
+    });
+
+    test("a share link grants its role, and only that", async () => {
+      const db = as("stranger").firestore();
+      const mine = doc(db, "maps", "fam", "roles", PEOPLE.stranger.email);
+      await assertSucceeds(getDoc(doc(db, "maps", "fam", "invites", "tok")));
+      await assertFails(setDoc(mine, { email: PEOPLE.stranger.email, role: "owner", invite: "tok" }));
+      await assertFails(setDoc(mine, { email: PEOPLE.stranger.email, role: "editor", invite: "nope" }));
+      await assertSucceeds(setDoc(mine, { email: PEOPLE.stranger.email, role: "editor", invite: "tok" }));
+      await assertSucceeds(setDoc(doc(db, "maps", "fam", "memories", "m2"), memory()));
+      // members can't use a link to change the role they have
+      await assertFails(
+        setDoc(doc(as("viewer").firestore(), "maps", "fam", "roles", PEOPLE.viewer.email), { email: PEOPLE.viewer.email, role: "editor", invite: "tok" })
+      );
+    });
+
+    test("only the owner lists and creates share links", async () => {
+      const invite = { role: "viewer", createdBy: PEOPLE.owner.uid, createdAt: serverTimestamp() };
+      await assertSucceeds(setDoc(doc(as("owner").firestore(), "maps", "fam", "invites", "t2"), invite));
+      await assertFails(setDoc(doc(as("viewer").firestore(), "maps", "fam", "invites", "t3"), { ...invite, createdBy: PEOPLE.viewer.uid }));
+      await assertFails(setDoc(doc(as("owner").firestore(), "maps", "fam", "invites", "t4"), { ...invite, role: "owner" }));
+    });
+
+    test("people find the maps they belong to through their own roles", async () => {
+      const mine = (who, email) =>
+        getDocs(query(collectionGroup(as(who).firestore(), "roles"), where("email", "==", email)));
+      await assertSucceeds(mine("viewer", PEOPLE.viewer.email));
+      await assertFails(mine("viewer", PEOPLE.owner.email));
+    });
+  });
+
+  describe("roles", () => {
+    test("only the owner can assign roles", async () => {
+      await assertSucceeds(setDoc(doc(as("owner").firestore(), "roles", "new@example.com"), { role: "editor" }));
+      await assertFails(setDoc(doc(as("editor").firestore(), "roles", "new@example.com"), { role: "owner" }));
+    });
+
+    test("rejects unknown roles", async () => {
+      await assertFails(setDoc(doc(as("owner").firestore(), "roles", "new@example.com"), { role: "admin" }));
+    });
+
+    test("people can read their own role only", async () => {
+      await assertSucceeds(getDoc(doc(as("viewer").firestore(), "roles", PEOPLE.viewer.email)));
+      await assertFails(getDoc(doc(as("viewer").firestore(), "roles", PEOPLE.editor.email)));
+    });
+  });
+
+  describe("storage", () => {
+    const image = new Uint8Array([0xff, 0xd8, 0xff]);
+
+    test("editors can upload images", async () => {
+      const storage = as("editor").storage();
+      await assertSucceeds(uploadBytes(ref(storage, "memories/a.jpg"), image, { contentType: "image/jpeg" }));
+    });
+
+    test("commenters and non-images are refused", async () => {
+      await assertFails(
+        uploadBytes(ref(as("commenter").storage(), "memories/a.jpg"), image, { contentType: "image/jpeg" })
+      );
+      await assertFails(
+        uploadBytes(ref(as("editor").storage(), "memories/a.txt"), image, { contentType: "text/plain" })
+      );
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/* eslint-disable no-restricted-globals */
+// src/service-worker.js
+// Built by react-scripts (workbox InjectManifest) in production only.
+// Precaches the app shell and keeps runtime caches for map tiles and photos so
+// the map still works without a connection. Memories themselves are cached by
+// Firestore's own IndexedDB persistence (see firebase.js), not here.
+import { clientsClaim } from "workbox-core";
+import { ExpirationPlugin } from "workbox-expiration";
+import { createHandlerBoundToURL, precacheAndRoute } from "workbox-precaching";
+import { registerRoute } from "workbox-routing";
+import { CacheFirst, StaleWhileRevalidate } from "workbox-strategies";
+import { CacheableResponsePlugin } from "workbox-cacheable-response";
+import { TILE_PROVIDERS, tileUrlPattern } from "./tileProviders";
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+/* ---------------- App shell ---------------- */
+// Navigations (including deep links like /?m=abc) get index.html.
+const fileExtensionRegexp = new RegExp("/[^/?]+\\.[^/]+$");
+registerRoute(({ request, url }) => {
+  if (request.mode !== "navigate") return false;
+  if (url.pathname.startsWith("/_")) return false;
+  if (url.pathname.match(fileExtensionRegexp)) return false;
+  return true;
+}, createHandlerBoundToURL(process.env.PUBLIC_URL + "/index.html"));
+
+/* ---------------- Map tiles ---------------- */
+// Tiles from every configured base map (see tileProviders.js). Tiles are opaque
+// cross-origin responses (status 0), hence the 0 status.
+const tilePatterns = TILE_PROVIDERS.map((p) => tileUrlPattern(p.url, self.location.origin));
+registerRoute(
+  ({ url }) => tilePatterns.some((pattern) => pattern.test(url.href)),
+  new CacheFirst({
+    cacheName: "map-tiles",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({
+        maxEntries: 2000,
+        maxAgeSeconds: 30 * 24 * 60 * 60,
+        purgeOnQuotaError: true,
+      }),
+    ],
+  })
+);
+
+/* ---------------- Memory photos ---------------- */
+// Storage download URLs carry a token and never change for the same file.
+registerRoute(
+  ({ url }) => url.hostname === "firebasestorage.googleapis.com",
+  new CacheFirst({
+    cacheName: "memory-photos",
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({
+        maxEntries: 500,
+        maxAgeSeconds: 90 * 24 * 60 * 60,
+        purgeOnQuotaError: true,
+      }),
+    ],
+  })
+);
+
+/* ---------------- Other static assets ---------------- */
+// Leaflet marker images and fonts served from public/ or a CDN.
+registerRoute(
+  ({ request, url }) =>
+    url.origin === self.location.origin && ["image", "font"].includes(request.destination),
+  new StaleWhileRevalidate({
+    cacheName: "static-assets",
+    plugins: [new ExpirationPlugin({ maxEntries: 100 })],
+  })
+);
+
+// Lets the page activate a freshly installed worker (see serviceWorkerRegistration.js).
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "SKIP_WAITING") {
+    self.skipWaiting();
+  }
+});
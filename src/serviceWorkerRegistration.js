@@ -0,0 +1,77 @@
+// src/serviceWorkerRegistration.js
+// Registers the service worker built from src/service-worker.js. Production
+// only: in development the worker would cache stale bundles between reloads.
+// Adapted from the cra-template-pwa registration helper.
+
+const isLocalhost = Boolean(
+  window.location.hostname === "localhost" ||
+    window.location.hostname === "[::1]" ||
+    window.location.hostname.match(/^127(?:\.(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)){3}$/)
+);
+
+export function register(config = {}) {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+
+  // the worker can't serve a different origin than the page (e.g. PUBLIC_URL on a CDN)
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener("load", () => {
+    const swUrl = `${process.env.PUBLIC_URL}/service-worker.js`;
+    if (isLocalhost) {
+      checkValidServiceWorker(swUrl, config);
+    } else {
+      registerValidSW(swUrl, config);
+    }
+  });
+}
+
+function registerValidSW(swUrl, config) {
+  navigator.serviceWorker
+    .register(swUrl)
+    .then((registration) => {
+      registration.onupdatefound = () => {
+        const installing = registration.installing;
+        if (!installing) return;
+        installing.onstatechange = () => {
+          if (installing.state !== "installed") return;
+          if (navigator.serviceWorker.controller) {
+            // new build waiting; it takes over once every tab is closed
+            if (config.onUpdate) config.onUpdate(registration);
+          } else if (config.onSuccess) {
+            // first install: the app shell is now available offline
+            config.onSuccess(registration);
+          }
+        };
+      };
+    })
+    .catch((error) => {
+      console.error("Error during service worker registration: ", error);
+    });
+}
+
+/* on localhost, make sure the worker file is really ours before registering */
+function checkValidServiceWorker(swUrl, config) {
+  fetch(swUrl, { headers: { "Service-Worker": "script" } })
+    .then((response) => {
+      const contentType = response.headers.get("content-type");
+      if (response.status === 404 || (contentType != null && contentType.indexOf("javascript") === -1)) {
+        navigator.serviceWorker.ready.then((registration) => {
+          registration.unregister().then(() => window.location.reload());
+        });
+      } else {
+        registerValidSW(swUrl, config);
+      }
+    })
+    .catch(() => {
+      console.log("No internet connection found. App is running in offline mode.");
+    });
+}
+
+export function unregister() {
+  if ("serviceWorker" in navigator) {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+  }
+}
@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no SVG geometry, so Leaflet would find no renderer for circles and lines
+// (the rules tests run in node, without a window).
+if (typeof window !== 'undefined') {
+  window.SVGSVGElement.prototype.createSVGRect = () => ({ x: 0, y: 0, width: 0, height: 0 });
+}
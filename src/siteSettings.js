@@ -0,0 +1,132 @@
+// src/siteSettings.js
+// The site-wide settings document (settings/site) that the owner edits in the app, and
+// the defaults for anything it doesn't set, so the site can change without a redeploy.
+//
+//   siteTitle              page title
+//   accentColor            "#rrggbb" for primary buttons and highlights
+//   welcomeTitle           heading of the welcome screen
+//   welcomeBody            text with basic formatting (see richText.js)
+//   welcomeInstructions    ["Tap markers to bring up memories", …]
+//   welcomeVersion         visitors who saw an older version see the welcome again
+//   reshowWelcomeOnEdit    bump welcomeVersion whenever the owner changes the welcome
+//   mapCenter, mapZoom     where the map opens when the link doesn't say
+//                          (mapCenter is { latitude, longitude })
+//   home                   { label, latitude, longitude } or null; the statistics
+//                          measure how far memories are from it
+//
+// The same document holds trashRetentionDays (see the trash) and the comment
+// moderation settings (see comments.js).
+
+export const DEFAULT_SITE_SETTINGS = {
+  siteTitle: "Our Memory Map",
+  accentColor: "#111827",
+  welcomeTitle: "Welcome to Our Memory Map 💛",
+  welcomeBody: [
+    "I know how much you love collecting things from different trips and experiences to scrapbook with. " +
+      "I wanted to bring together that with my love (bordering special interest) of maps to create something " +
+      "that highlights how much our relationship has meant to me. Every marker on this map holds a different " +
+      "memory I'll always treasure. I hope exploring it brings back some of the joy of our relationship. Love, Sam",
+    "P.S. where memories are close together they're grouped into numbered circles, tap one to zoom in and see them all",
+  ].join("\n"),
+  welcomeInstructions: [
+    "Tap markers to bring up memories",
+    "Tap a numbered circle to zoom into a group of memories",
+    "Hold down the circle on the scroll bar to change the date and the amount of memories on the map",
+    "Zoom using usual controls",
+  ],
+  welcomeVersion: 1,
+  reshowWelcomeOnEdit: false,
+  mapCenter: { latitude: 54.526, longitude: 15.2551 },
+  mapZoom: 4,
+  home: null,
+};
+
+export const SETTINGS_LIMITS = {
+  siteTitle: 80,
+  welcomeTitle: 120,
+  welcomeBody: 5000,
+  instruction: 200,
+  instructions: 20,
+  homeLabel: 200,
+};
+
+const WELCOME_FIELDS = ["welcomeTitle", "welcomeBody", "welcomeInstructions"];
+
+/* the stored settings with defaults for whatever is missing */
+export function withDefaults(raw = {}) {
+  const out = { ...DEFAULT_SITE_SETTINGS };
+  Object.entries(raw || {}).forEach(([key, value]) => {
+    if (value !== undefined && value !== null) out[key] = value;
+  });
+  return out;
+}
+
+/* problems with the fields the settings screen saves, as ["Zoom must be …", …] */
+export function validateSiteSettings(fields) {
+  const errors = [];
+  const text = (key, label) => {
+    if (!(key in fields)) return;
+    const v = fields[key];
+    if (typeof v !== "string" || v.length > SETTINGS_LIMITS[key]) {
+      errors.push(`${label} must be at most ${SETTINGS_LIMITS[key]} characters`);
+    }
+  };
+  text("siteTitle", "Site title");
+  text("welcomeTitle", "Welcome heading");
+  text("welcomeBody", "Welcome text");
+  if ("siteTitle" in fields && !String(fields.siteTitle).trim()) errors.push("Site title can't be empty");
+  if ("welcomeInstructions" in fields) {
+    const list = fields.welcomeInstructions;
+    if (
+      !Array.isArray(list) ||
+      list.length > SETTINGS_LIMITS.instructions ||
+      list.some((line) => typeof line !== "string" || line.length > SETTINGS_LIMITS.instruction)
+    ) {
+      errors.push(
+        `Instructions must be up to ${SETTINGS_LIMITS.instructions} lines of at most ${SETTINGS_LIMITS.instruction} characters`
+      );
+    }
+  }
+  if ("accentColor" in fields && !/^#[0-9a-f]{6}$/i.test(fields.accentColor)) {
+    errors.push("Accent colour must be a #rrggbb colour");
+  }
+  if ("mapCenter" in fields) {
+    const c = fields.mapCenter;
+    const ok =
+      c && Number.isFinite(c.latitude) && Number.isFinite(c.longitude) && Math.abs(c.latitude) <= 90 && Math.abs(c.longitude) <= 180;
+    if (!ok) errors.push("Map centre must be a latitude/longitude on the map");
+  }
+  if ("home" in fields && fields.home !== null) {
+    const h = fields.home;
+    const ok =
+      h &&
+      typeof h.label === "string" &&
+      h.label.length <= SETTINGS_LIMITS.homeLabel &&
+      Number.isFinite(h.latitude) &&
+      Number.isFinite(h.longitude) &&
+      Math.abs(h.latitude) <= 90 &&
+      Math.abs(h.longitude) <= 180;
+    if (!ok) errors.push("Home must be a named place on the map");
+  }
+  if ("mapZoom" in fields && !(Number.isInteger(fields.mapZoom) && fields.mapZoom >= 1 && fields.mapZoom <= 18)) {
+    errors.push("Zoom must be a whole number from 1 to 18");
+  }
+  return errors;
+}
+
+/* the welcomeVersion to save: bumped when the owner wants the changed welcome shown again */
+export function nextWelcomeVersion(current, changes) {
+  const version = withDefaults(current).welcomeVersion;
+  const reshow = changes.reshowWelcomeOnEdit ?? withDefaults(current).reshowWelcomeOnEdit;
+  const edited = WELCOME_FIELDS.some(
+    (key) => key in changes && JSON.stringify(changes[key]) !== JSON.stringify(withDefaults(current)[key])
+  );
+  return reshow && edited ? version + 1 : version;
+}
+
+/* has this browser seen the current welcome? `seen` is what it stored when dismissing
+   (older builds stored "1", which is version 1) */
+export function shouldShowWelcome(seen, version) {
+  const n = Number(seen);
+  return !Number.isFinite(n) || n < version;
+}
@@ -0,0 +1,49 @@
+import {
+  DEFAULT_SITE_SETTINGS,
+  nextWelcomeVersion,
+  shouldShowWelcome,
+  validateSiteSettings,
+  withDefaults,
+} from './siteSettings';
+
+test('missing settings fall back to the defaults', () => {
+  const settings = withDefaults({ siteTitle: 'Our trips', mapZoom: null, commentsPerHour: 5 });
+  expect(settings.siteTitle).toBe('Our trips');
+  expect(settings.mapZoom).toBe(DEFAULT_SITE_SETTINGS.mapZoom);
+  expect(settings.commentsPerHour).toBe(5);
+  expect(withDefaults(undefined).welcomeVersion).toBe(1);
+});
+
+test('validation names each bad field', () => {
+  expect(validateSiteSettings({ siteTitle: 'Ours', mapCenter: { latitude: 1, longitude: 2 }, mapZoom: 5 })).toEqual([]);
+  expect(
+    validateSiteSettings({
+      siteTitle: ' ',
+      accentColor: 'blue',
+      welcomeInstructions: ['x'.repeat(300)],
+      mapCenter: { latitude: 91, longitude: 0 },
+      mapZoom: 2.5,
+    })
+  ).toEqual([
+    "Site title can't be empty",
+    'Instructions must be up to 20 lines of at most 200 characters',
+    'Accent colour must be a #rrggbb colour',
+    'Map centre must be a latitude/longitude on the map',
+    'Zoom must be a whole number from 1 to 18',
+  ]);
+  expect(validateSiteSettings({ home: null })).toEqual([]);
+  expect(validateSiteSettings({ home: { label: 'Leeds, United Kingdom', latitude: 53.8, longitude: -1.55 } })).toEqual([]);
+  expect(validateSiteSettings({ home: { latitude: 53.8, longitude: -1.55 } })).toEqual(['Home must be a named place on the map']);
+});
+
+test('the welcome comes back only for edits the owner wants shown again', () => {
+  expect(nextWelcomeVersion({}, { welcomeTitle: 'Hi' })).toBe(1);
+  expect(nextWelcomeVersion({}, { welcomeTitle: 'Hi', reshowWelcomeOnEdit: true })).toBe(2);
+  expect(nextWelcomeVersion({ welcomeVersion: 4, reshowWelcomeOnEdit: true }, { welcomeTitle: 'Hi' })).toBe(5);
+  const unchanged = { welcomeTitle: DEFAULT_SITE_SETTINGS.welcomeTitle, siteTitle: 'New' };
+  expect(nextWelcomeVersion({ reshowWelcomeOnEdit: true }, unchanged)).toBe(1);
+
+  expect(shouldShowWelcome(null, 1)).toBe(true);
+  expect(shouldShowWelcome('1', 1)).toBe(false);
+  expect(shouldShowWelcome('1', 2)).toBe(true);
+});
@@ -0,0 +1,130 @@
+// src/stats.js
+// Figures for the 📊 statistics panel. They are worked out from whatever the map shows
+// (App passes the memories left after the timeline, trip and search filters), so
+// the panel always describes the current view.
+//
+// memoryStats(memories, { home, palette }) → {
+//   total, dated,
+//   byYear:        [{ year, total, months: [12 counts, January first] }]   oldest year first
+//   byCategory:    [{ key, label, color, count }]                          most first
+//   first, latest: the earliest and most recent dated memory (or null)
+//   countries:     [{ name, count }]           from each memory's place ("City, Country")
+//   cities:        [{ name, country, count }]
+//   unplaced:      memories without a place name
+//   furthest:      { memory, km } from home (or null without a home or positions)
+//   distanceKm:    the length of the route through the dated memories in date order
+//   mostCommented: [{ memory, count }]          top MOST_COMMENTED_LIMIT with comments
+// }
+// where home is { latitude, longitude } and palette maps category keys to colours
+// (with a `default` entry for everything else).
+
+export const MOST_COMMENTED_LIMIT = 5;
+
+const DATE = /^(\d{4})-(\d{2})-\d{2}$/;
+
+/* great-circle distance in km between two [lat, lng] points */
+export function distanceKm(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+export function pathLengthKm(positions) {
+  let total = 0;
+  for (let i = 1; i < positions.length; i++) total += distanceKm(positions[i - 1], positions[i]);
+  return total;
+}
+
+function positionOf(memory) {
+  const c = memory.coordinates;
+  return c && Number.isFinite(c.latitude) && Number.isFinite(c.longitude) ? [c.latitude, c.longitude] : null;
+}
+
+function capitalise(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/* [{ ...key, count }] sorted by count, then alphabetically */
+function tally(entries) {
+  const counts = new Map();
+  entries.forEach(({ id, ...rest }) => {
+    const entry = counts.get(id) || { ...rest, count: 0 };
+    entry.count += 1;
+    counts.set(id, entry);
+  });
+  return [...counts.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/* "Lisbon, Portugal" → { city: "Lisbon", country: "Portugal" }; a single name is a city */
+export function splitPlace(place) {
+  const parts = String(place || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (!parts.length) return null;
+  return { city: parts[0], country: parts.length > 1 ? parts[parts.length - 1] : null };
+}
+
+export function memoryStats(memories, { home = null, palette = { default: "#3b82f6" } } = {}) {
+  const dated = memories
+    .filter((m) => DATE.test(m.date || ""))
+    .sort((a, b) => a.date.localeCompare(b.date) || String(a.title).localeCompare(String(b.title)));
+
+  const years = new Map();
+  dated.forEach((m) => {
+    const [, year, month] = DATE.exec(m.date);
+    const entry = years.get(year) || { year: Number(year), total: 0, months: Array(12).fill(0) };
+    entry.total += 1;
+    entry.months[Number(month) - 1] += 1;
+    years.set(year, entry);
+  });
+
+  const byCategory = tally(
+    memories.map((m) => {
+      const key = (m.category || "").toString().trim().toLowerCase();
+      return { id: key, key, name: key ? capitalise(key) : "No category", color: palette[key] || palette.default };
+    })
+  ).map(({ name, ...rest }) => ({ ...rest, label: name }));
+
+  const places = memories.map((m) => splitPlace(m.place)).filter(Boolean);
+  const countries = tally(places.filter((p) => p.country).map((p) => ({ id: p.country, name: p.country })));
+  const cities = tally(
+    places.map((p) => ({ id: `${p.city}\n${p.country || ""}`, name: p.city, country: p.country }))
+  );
+
+  let furthest = null;
+  if (home) {
+    const from = [home.latitude, home.longitude];
+    memories.forEach((memory) => {
+      const pos = positionOf(memory);
+      if (!pos) return;
+      const km = distanceKm(from, pos);
+      if (!furthest || km > furthest.km) furthest = { memory, km };
+    });
+  }
+
+  const mostCommented = memories
+    .filter((m) => (m.commentCount || 0) > 0)
+    .map((memory) => ({ memory, count: memory.commentCount }))
+    .sort((a, b) => b.count - a.count || String(a.memory.title).localeCompare(String(b.memory.title)))
+    .slice(0, MOST_COMMENTED_LIMIT);
+
+  return {
+    total: memories.length,
+    dated: dated.length,
+    byYear: [...years.values()].sort((a, b) => a.year - b.year),
+    byCategory,
+    first: dated[0] || null,
+    latest: dated[dated.length - 1] || null,
+    countries,
+    cities,
+    unplaced: memories.length - places.length,
+    furthest,
+    distanceKm: pathLengthKm(dated.map(positionOf).filter(Boolean)),
+    mostCommented,
+  };
+}
@@ -0,0 +1,84 @@
+import { distanceKm, memoryStats, splitPlace } from './stats';
+
+const PALETTE = { holiday: '#f59e0b', work: '#3b82f6', default: '#6b7280' };
+
+function memory(id, fields) {
+  return { id, title: id, category: '', place: null, coordinates: null, date: null, commentCount: 0, ...fields };
+}
+
+const MEMORIES = [
+  memory('lisbon', {
+    date: '2022-05-03',
+    category: 'Holiday',
+    place: 'Lisbon, Portugal',
+    coordinates: { latitude: 38.72, longitude: -9.14 },
+    commentCount: 2,
+  }),
+  memory('porto', {
+    date: '2022-05-20',
+    category: 'holiday',
+    place: 'Porto, Portugal',
+    coordinates: { latitude: 41.15, longitude: -8.61 },
+    commentCount: 5,
+  }),
+  memory('berlin', {
+    date: '2023-01-09',
+    category: 'Work',
+    place: 'Berlin, Germany',
+    coordinates: { latitude: 52.52, longitude: 13.4 },
+  }),
+  memory('garden', { place: 'Home', coordinates: { latitude: 51.5, longitude: -0.12 }, commentCount: 2 }),
+  memory('unknown', {}),
+];
+
+test('memories are counted per year and month, oldest year first', () => {
+  const stats = memoryStats(MEMORIES);
+  expect(stats.total).toBe(5);
+  expect(stats.dated).toBe(3);
+  expect(stats.byYear.map((y) => [y.year, y.total])).toEqual([[2022, 2], [2023, 1]]);
+  expect(stats.byYear[0].months[4]).toBe(2);
+  expect(stats.byYear[1].months[0]).toBe(1);
+  expect(stats.first.id).toBe('lisbon');
+  expect(stats.latest.id).toBe('berlin');
+});
+
+test('categories use the palette and fall back to its default colour', () => {
+  expect(memoryStats(MEMORIES, { palette: PALETTE }).byCategory).toEqual([
+    { key: 'holiday', label: 'Holiday', color: '#f59e0b', count: 2 },
+    { key: '', label: 'No category', color: '#6b7280', count: 2 },
+    { key: 'work', label: 'Work', color: '#3b82f6', count: 1 },
+  ]);
+});
+
+test('countries and cities come from the place names', () => {
+  const stats = memoryStats(MEMORIES);
+  expect(stats.countries).toEqual([{ name: 'Portugal', count: 2 }, { name: 'Germany', count: 1 }]);
+  expect(stats.cities.map((c) => c.name)).toEqual(['Berlin', 'Home', 'Lisbon', 'Porto']);
+  expect(stats.unplaced).toBe(1);
+  expect(splitPlace('Springfield, Illinois, United States')).toEqual({ city: 'Springfield', country: 'United States' });
+  expect(splitPlace(' ')).toBeNull();
+});
+
+test('distances follow the dated memories in order and measure from home', () => {
+  const stats = memoryStats(MEMORIES, { home: { latitude: 51.5, longitude: -0.12 } });
+  const lisbon = [38.72, -9.14];
+  const porto = [41.15, -8.61];
+  const berlin = [52.52, 13.4];
+  expect(stats.distanceKm).toBeCloseTo(distanceKm(lisbon, porto) + distanceKm(porto, berlin), 6);
+  expect(stats.furthest.memory.id).toBe('lisbon');
+  expect(Math.round(stats.furthest.km)).toBe(1585);
+  expect(memoryStats(MEMORIES).furthest).toBeNull();
+});
+
+test('the most commented memories come first and uncommented ones are left out', () => {
+  expect(memoryStats(MEMORIES).mostCommented.map((e) => [e.memory.id, e.count])).toEqual([
+    ['porto', 5],
+    ['garden', 2],
+    ['lisbon', 2],
+  ]);
+});
+
+test('nothing to count', () => {
+  const stats = memoryStats([]);
+  expect(stats).toMatchObject({ total: 0, first: null, latest: null, distanceKm: 0, byYear: [], mostCommented: [] });
+});
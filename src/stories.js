@@ -0,0 +1,45 @@
+// src/stories.js
+// Guided tours through the memories, independent of React and the backend.
+//
+// A story is { id, title, intro, steps: [{ memoryId, narration }], createdAt }:
+//   intro      shown with the first step, "" when none
+//   steps      the memories in the order the tour visits them; the same memory may
+//              appear twice. Steps whose memory was deleted or trashed are skipped
+//              when playing rather than removed, so restoring the memory brings
+//              them back.
+//   narration  what the owner wants to say at that stop, "" when none
+
+export const MAX_STORY_TITLE_LENGTH = 80;
+export const MAX_STORY_TEXT_LENGTH = 2000;
+export const MAX_STORY_STEPS = 200;
+
+/* how long autoplay stays on each step */
+export const STORY_STEP_MS = 8000;
+
+/* the steps that can be played: [{ memoryId, narration, memory }] */
+export function playableSteps(story, memoriesById) {
+  return (story?.steps || [])
+    .map((step) => ({ ...step, memory: memoriesById.get(step.memoryId) }))
+    .filter((step) => step.memory);
+}
+
+/* steps with the one at `index` moved by `delta` places (unchanged at either end) */
+export function moveStep(steps, index, delta) {
+  const target = index + delta;
+  if (target < 0 || target >= steps.length) return steps;
+  const next = steps.slice();
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+/* trimmed, length-limited fields ready to save */
+export function cleanStory({ title, intro, steps }) {
+  return {
+    title: String(title || "").trim().slice(0, MAX_STORY_TITLE_LENGTH),
+    intro: String(intro || "").trim().slice(0, MAX_STORY_TEXT_LENGTH),
+    steps: (steps || []).slice(0, MAX_STORY_STEPS).map((s) => ({
+      memoryId: s.memoryId,
+      narration: String(s.narration || "").trim().slice(0, MAX_STORY_TEXT_LENGTH),
+    })),
+  };
+}
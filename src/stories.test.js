@@ -0,0 +1,36 @@
+import { MAX_STORY_TITLE_LENGTH, cleanStory, moveStep, playableSteps } from './stories';
+
+const steps = [
+  { memoryId: 'paris', narration: 'Where it started' },
+  { memoryId: 'gone', narration: 'Deleted since' },
+  { memoryId: 'rome', narration: '' },
+];
+
+test('playing skips steps whose memory is gone', () => {
+  const memoriesById = new Map([
+    ['paris', { id: 'paris', title: 'Paris' }],
+    ['rome', { id: 'rome', title: 'Rome' }],
+  ]);
+  const playable = playableSteps({ steps }, memoriesById);
+  expect(playable.map((s) => s.memory.title)).toEqual(['Paris', 'Rome']);
+  expect(playable[0].narration).toBe('Where it started');
+  expect(playableSteps(null, memoriesById)).toEqual([]);
+});
+
+test('steps move one place at a time and stay put at the ends', () => {
+  expect(moveStep(steps, 0, 1).map((s) => s.memoryId)).toEqual(['gone', 'paris', 'rome']);
+  expect(moveStep(steps, 2, -1).map((s) => s.memoryId)).toEqual(['paris', 'rome', 'gone']);
+  expect(moveStep(steps, 0, -1)).toBe(steps);
+  expect(moveStep(steps, 2, 1)).toBe(steps);
+});
+
+test('saved stories are trimmed and keep only known fields', () => {
+  const story = cleanStory({
+    title: `  ${'x'.repeat(100)}`,
+    intro: ' Hello ',
+    steps: [{ memoryId: 'paris', narration: ' Hi ', memory: { id: 'paris' } }],
+  });
+  expect(story.title).toHaveLength(MAX_STORY_TITLE_LENGTH);
+  expect(story.intro).toBe('Hello');
+  expect(story.steps).toEqual([{ memoryId: 'paris', narration: 'Hi' }]);
+});
@@ -0,0 +1,118 @@
+// src/tileProviders.js
+// The base maps people can pick from the 🌓 panel. The list comes from configuration:
+// REACT_APP_TILE_PROVIDERS is a JSON array whose entries are either the id of a
+// built-in provider below or a provider of your own, for example a local tile server
+// so the app works without network access:
+//
+//   REACT_APP_TILE_PROVIDERS='["standard", {"id": "local", "name": "Local tiles",
+//     "url": "http://localhost:8080/tile/{z}/{x}/{y}.png"}]'
+//
+// provider = { id, name, url, attribution?, maxZoom?, subdomains?, dark? }
+// url is a Leaflet tile template ({z}, {x}, {y}, optional {s} and {r}); it may be a
+// path on this site ("/tiles/{z}/{x}/{y}.png"). dark: true switches the app to its dark
+// theme while that base map is shown. The first provider is the default.
+
+const OSM = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const CARTO = `${OSM} &copy; <a href="https://carto.com/attributions">CARTO</a>`;
+
+export const BUILT_IN_TILE_PROVIDERS = [
+  {
+    id: "standard",
+    name: "Standard",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    attribution: OSM,
+    maxZoom: 19,
+  },
+  {
+    id: "satellite",
+    name: "Satellite",
+    url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+    attribution: "Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community",
+    maxZoom: 18,
+  },
+  {
+    id: "light",
+    name: "Minimal light",
+    url: "https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png",
+    attribution: CARTO,
+    subdomains: "abcd",
+    maxZoom: 20,
+  },
+  {
+    id: "dark",
+    name: "Dark",
+    url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png",
+    attribution: CARTO,
+    subdomains: "abcd",
+    maxZoom: 20,
+    dark: true,
+  },
+];
+
+const TEMPLATE_URL = /^(https?:\/\/[^/\s]+)?\/\S*$/;
+
+function checkProvider(p, i) {
+  const where = `Tile provider ${i + 1}`;
+  if (!p || typeof p !== "object") throw new Error(`${where} must be a built-in id or an object`);
+  if (typeof p.id !== "string" || !p.id.trim()) throw new Error(`${where} needs an id`);
+  if (typeof p.url !== "string" || !TEMPLATE_URL.test(p.url) || !["{z}", "{x}", "{y}"].every((k) => p.url.includes(k))) {
+    throw new Error(`${where} (${p.id}) needs a url with {z}, {x} and {y}`);
+  }
+  if (p.maxZoom !== undefined && !(Number.isInteger(p.maxZoom) && p.maxZoom >= 1 && p.maxZoom <= 24)) {
+    throw new Error(`${where} (${p.id}) has a maxZoom outside 1–24`);
+  }
+  return {
+    id: p.id,
+    name: typeof p.name === "string" && p.name.trim() ? p.name : p.id,
+    url: p.url,
+    attribution: typeof p.attribution === "string" ? p.attribution : "",
+    ...(p.maxZoom !== undefined && { maxZoom: p.maxZoom }),
+    ...(p.subdomains !== undefined && { subdomains: p.subdomains }),
+    dark: p.dark === true,
+  };
+}
+
+/* the providers described by a REACT_APP_TILE_PROVIDERS value; throws on a bad one */
+export function parseTileProviders(json) {
+  const list = JSON.parse(json);
+  if (!Array.isArray(list) || !list.length) throw new Error("REACT_APP_TILE_PROVIDERS must be a non-empty JSON array");
+  const providers = list.map((entry, i) => {
+    if (typeof entry !== "string") return checkProvider(entry, i);
+    const builtIn = BUILT_IN_TILE_PROVIDERS.find((p) => p.id === entry);
+    if (!builtIn) throw new Error(`Unknown tile provider "${entry}"`);
+    return builtIn;
+  });
+  const ids = providers.map((p) => p.id);
+  const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (dup) throw new Error(`Tile provider "${dup}" is listed twice`);
+  return providers;
+}
+
+/* the configured providers, or the built-in ones when nothing (usable) is configured */
+export function configuredTileProviders(json = process.env.REACT_APP_TILE_PROVIDERS) {
+  if (!json) return BUILT_IN_TILE_PROVIDERS;
+  try {
+    return parseTileProviders(json);
+  } catch (err) {
+    console.error("Ignoring REACT_APP_TILE_PROVIDERS:", err.message);
+    return BUILT_IN_TILE_PROVIDERS;
+  }
+}
+
+export const TILE_PROVIDERS = configuredTileProviders();
+
+/* the provider with this id, falling back to the first (the default) */
+export function pickTileProvider(providers, id) {
+  return providers.find((p) => p.id === id) || providers[0];
+}
+
+/* a RegExp matching the tile URLs of a template, for the service worker's tile cache;
+   templates that are paths are taken relative to `origin` */
+export function tileUrlPattern(template, origin) {
+  const absolute = template.startsWith("/") ? `${origin}${template}` : template;
+  const source = absolute
+    .split(/(\{[a-z]+\})/)
+    .map((part) => (/^\{[a-z]+\}$/.test(part) ? "[^/?#]*" : part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${source}(\\?.*)?$`);
+}
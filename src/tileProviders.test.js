@@ -0,0 +1,49 @@
+import { BUILT_IN_TILE_PROVIDERS, configuredTileProviders, parseTileProviders, pickTileProvider, tileUrlPattern } from './tileProviders';
+
+test('configuration mixes built-in base maps with a local tile server', () => {
+  const providers = parseTileProviders(
+    JSON.stringify(['dark', { id: 'local', name: 'Local tiles', url: 'http://localhost:8080/tile/{z}/{x}/{y}.png', maxZoom: 16 }])
+  );
+  expect(providers.map((p) => p.id)).toEqual(['dark', 'local']);
+  expect(providers[0].dark).toBe(true);
+  expect(providers[1]).toEqual({
+    id: 'local',
+    name: 'Local tiles',
+    url: 'http://localhost:8080/tile/{z}/{x}/{y}.png',
+    attribution: '',
+    maxZoom: 16,
+    dark: false,
+  });
+  expect(parseTileProviders('[{"id": "site", "url": "/tiles/{z}/{x}/{y}.png"}]')[0].name).toBe('site');
+});
+
+test('bad configuration is reported and the built-in base maps are used', () => {
+  expect(() => parseTileProviders('[]')).toThrow(/non-empty/);
+  expect(() => parseTileProviders('["moon"]')).toThrow(/Unknown tile provider "moon"/);
+  expect(() => parseTileProviders('[{"id": "x", "url": "http://tiles/{z}/{x}.png"}]')).toThrow(/\{y\}/);
+  expect(() => parseTileProviders('[{"id": "x", "url": "javascript:{z}{x}{y}"}]')).toThrow(/url/);
+  expect(() => parseTileProviders('["standard", "standard"]')).toThrow(/listed twice/);
+
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  expect(configuredTileProviders('not json')).toBe(BUILT_IN_TILE_PROVIDERS);
+  expect(error).toHaveBeenCalled();
+  error.mockRestore();
+  expect(configuredTileProviders(undefined)).toBe(BUILT_IN_TILE_PROVIDERS);
+});
+
+test('an unknown or forgotten choice falls back to the first base map', () => {
+  expect(pickTileProvider(BUILT_IN_TILE_PROVIDERS, 'satellite').name).toBe('Satellite');
+  expect(pickTileProvider(BUILT_IN_TILE_PROVIDERS, 'gone').id).toBe('standard');
+  expect(pickTileProvider(BUILT_IN_TILE_PROVIDERS, null).id).toBe('standard');
+});
+
+test('tile URLs are recognised for the offline cache', () => {
+  const osm = tileUrlPattern('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', 'https://example.com');
+  expect(osm.test('https://a.tile.openstreetmap.org/4/8/5.png')).toBe(true);
+  expect(osm.test('https://example.com/4/8/5.png')).toBe(false);
+  const carto = tileUrlPattern('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', 'https://example.com');
+  expect(carto.test('https://b.basemaps.cartocdn.com/dark_all/4/8/5@2x.png')).toBe(true);
+  const local = tileUrlPattern('/tiles/{z}/{x}/{y}.png', 'https://example.com');
+  expect(local.test('https://example.com/tiles/4/8/5.png')).toBe(true);
+  expect(local.test('https://example.com/static/js/main.js')).toBe(false);
+});
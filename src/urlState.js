@@ -0,0 +1,50 @@
+// src/urlState.js
+// What the address bar remembers, so a link opens the same memory, view, timeline
+// position and filters:
+//
+//   ?m=<memoryId>&at=<lat>,<lng>,<zoom>&t=<yyyy-mm-dd>&q=<text>&cat=a,b&col=ff0000,00ff00&trip=<tripId>
+//
+// readUrlState(search) → { memoryId, view: { center, zoom } | null, timeline (ms) | null,
+//                          tripId, filters: { text, categories, colors } }
+// writeUrlState(state, search) is the reverse; other query parameters are left alone.
+import { normalizeColor } from "./memorySchema";
+
+const URL_STATE_KEYS = ["m", "at", "t", "q", "cat", "col", "trip"];
+export const URL_PUSH_DELAY_MS = 600;
+
+export function readUrlState(search = window.location.search) {
+  const p = new URLSearchParams(search);
+  const list = (key) => (p.get(key) || "").split(",").map((v) => v.trim()).filter(Boolean);
+
+  const at = (p.get("at") || "").split(",").map(Number);
+  const view =
+    at.length === 3 && at.every(Number.isFinite) ? { center: [at[0], at[1]], zoom: at[2] } : null;
+  const t = p.get("t") ? new Date(p.get("t")).getTime() : NaN;
+
+  return {
+    memoryId: p.get("m") || null,
+    view,
+    timeline: Number.isFinite(t) ? t : null,
+    tripId: p.get("trip") || null,
+    filters: {
+      text: p.get("q") || "",
+      categories: list("cat").map((c) => c.toLowerCase()),
+      colors: list("col").map((c) => normalizeColor(`#${c.replace(/^#/, "")}`)).filter(Boolean),
+    },
+  };
+}
+
+/* returns the new query string (with leading "?", or "") keeping unrelated params */
+export function writeUrlState({ memoryId, view, timeline, tripId, filters }, search = window.location.search) {
+  const p = new URLSearchParams(search);
+  URL_STATE_KEYS.forEach((k) => p.delete(k));
+  if (memoryId) p.set("m", memoryId);
+  if (view) p.set("at", `${view.center[0].toFixed(5)},${view.center[1].toFixed(5)},${view.zoom}`);
+  if (timeline) p.set("t", new Date(timeline).toISOString().slice(0, 10));
+  if (tripId) p.set("trip", tripId);
+  if (filters?.text.trim()) p.set("q", filters.text.trim());
+  if (filters?.categories.length) p.set("cat", filters.categories.join(","));
+  if (filters?.colors.length) p.set("col", filters.colors.map((c) => c.slice(1)).join(","));
+  const qs = p.toString();
+  return qs ? `?${qs}` : "";
+}
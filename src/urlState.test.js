@@ -0,0 +1,37 @@
+import { readUrlState, writeUrlState } from './urlState';
+
+const STATE = {
+  memoryId: 'rome',
+  view: { center: [41.890212, 12.492231], zoom: 12 },
+  timeline: new Date('2023-06-10').getTime(),
+  tripId: 'europe',
+  filters: { text: ' colosseum ', categories: ['city', 'history'], colors: ['#ef4444', '#22c55e'] },
+};
+
+test('the state survives a trip through the query string', () => {
+  const search = writeUrlState(STATE, '');
+  expect(search).toBe('?m=rome&at=41.89021%2C12.49223%2C12&t=2023-06-10&trip=europe&q=colosseum&cat=city%2Chistory&col=ef4444%2C22c55e');
+  expect(readUrlState(search)).toEqual({
+    ...STATE,
+    view: { center: [41.89021, 12.49223], zoom: 12 },
+    filters: { ...STATE.filters, text: 'colosseum' },
+  });
+});
+
+test('other parameters are kept and empty state leaves no trace', () => {
+  expect(writeUrlState(STATE, '?invite=abc&m=paris&q=old')).toMatch(/^\?invite=abc&m=rome&/);
+  const empty = { memoryId: null, view: null, timeline: null, tripId: null, filters: { text: '  ', categories: [], colors: [] } };
+  expect(writeUrlState(empty, '?m=paris&t=2020-01-01')).toBe('');
+  expect(writeUrlState(empty, '?invite=abc&cat=city')).toBe('?invite=abc');
+});
+
+test('broken or hand-edited links fall back to defaults', () => {
+  expect(readUrlState('?at=1,2&t=someday&cat=%20City%20,,&col=F00,blue,%2300ff00')).toEqual({
+    memoryId: null,
+    view: null,
+    timeline: null,
+    tripId: null,
+    filters: { text: '', categories: ['city'], colors: ['#FF0000', '#00ff00'] },
+  });
+  expect(readUrlState('?at=a,2,3').view).toBeNull();
+});